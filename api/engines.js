@@ -0,0 +1,24 @@
+// ============================================
+// VERCEL FUNCTION: ENGINE PROXY
+// CR AudioViz AI, LLC
+//
+// vercel.json rewrites /api/engines/:engine/:path* here.
+// ============================================
+
+import { handleProxy } from '../server/proxy.js';
+
+export const config = {
+  api: { bodyParser: false }
+};
+
+export default function handler(req, res) {
+  const { engine, path } = req.query;
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  query.delete('engine');
+  query.delete('path');
+  return handleProxy(req, res, {
+    engine,
+    path: Array.isArray(path) ? path.join('/') : path,
+    query: query.toString()
+  });
+}
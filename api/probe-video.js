@@ -0,0 +1,12 @@
+// ============================================
+// VERCEL FUNCTION: VIDEO LINK PROBE
+// CR AudioViz AI, LLC
+//
+// /api/probe-video?url=<link>, see server/probe.js.
+// ============================================
+
+import { handleProbe } from '../server/probe.js';
+
+export default function handler(req, res) {
+  return handleProbe(req, res, { url: req.query.url || '' });
+}
@@ -0,0 +1,16 @@
+// ============================================
+// VERCEL FUNCTION: SEAL A REPORT MANIFEST
+// CR AudioViz AI, LLC
+//
+// POST /api/seal, see server/seal.js.
+// ============================================
+
+import { handleSeal } from '../server/seal.js';
+
+export const config = {
+  api: { bodyParser: false }
+};
+
+export default function handler(req, res) {
+  return handleSeal(req, res);
+}
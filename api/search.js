@@ -0,0 +1,16 @@
+// ============================================
+// VERCEL FUNCTION: LIBRARY SEARCH
+// CR AudioViz AI, LLC
+//
+// POST /api/search, see server/search.js.
+// ============================================
+
+import { handleSearch } from '../server/search.js';
+
+export const config = {
+  api: { bodyParser: false }
+};
+
+export default function handler(req, res) {
+  return handleSearch(req, res);
+}
@@ -0,0 +1,12 @@
+// ============================================
+// VERCEL FUNCTION: ENGINE USAGE
+// CR AudioViz AI, LLC
+//
+// GET /api/usage, see server/usage.js.
+// ============================================
+
+import { handleUsage } from '../server/usage.js';
+
+export default function handler(req, res) {
+  return handleUsage(req, res);
+}
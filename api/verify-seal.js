@@ -0,0 +1,16 @@
+// ============================================
+// VERCEL FUNCTION: CHECK A REPORT SEAL
+// CR AudioViz AI, LLC
+//
+// POST /api/verify-seal, see server/seal.js.
+// ============================================
+
+import { handleVerifySeal } from '../server/seal.js';
+
+export const config = {
+  api: { bodyParser: false }
+};
+
+export default function handler(req, res) {
+  return handleVerifySeal(req, res);
+}
@@ -107,6 +107,15 @@ export const CREDIT_COSTS: Record<string, number> = {
   'itinerary_generate': 5,
   'travel_recommendation': 2,
   
+  // Video Analysis (Javari Video Analysis)
+  'video_property_damage': 5,
+  'video_vehicle_damage': 4,
+  'video_content_search': 3,
+  'video_object_tracking': 4,
+  'video_content_summary': 2,
+  'video_custom_query': 3,
+  'video_follow_up': 1,
+  
   // Misc
   'export_data': 1,
   'premium_feature': 2,
@@ -0,0 +1,119 @@
+// ============================================
+// SERVICE WORKER
+// CR AudioViz AI, LLC
+//
+// Keeps the app shell (the page, its built assets, icons and fonts) in a
+// cache so the app opens with no signal. Pages are fetched network-first
+// and fall back to the cached shell; hashed build assets never change, so
+// they are served from the cache. API calls are never cached. Analyses
+// queued offline are submitted by the page (see src/offline/), not here;
+// the worker only reminds the inspector to open the app once the
+// connection is back, and focuses it when a notification is tapped.
+// ============================================
+
+// Bump to drop every cached file on the next visit
+const CACHE = 'javari-shell-v1';
+
+const STATIC_FILES = [
+  '/',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/apple-touch-icon.png'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Same tag as PENDING_SYNC_TAG in src/offline/notify.js
+const PENDING_SYNC_TAG = 'javari-pending-analyses';
+
+// The page plus the assets it loads up front, read from the built HTML
+const precache = async () => {
+  const cache = await caches.open(CACHE);
+  const response = await fetch('/index.html', { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Could not fetch the app shell: HTTP ${response.status}`);
+  const html = await response.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+  await cache.put('/index.html', response);
+  await cache.addAll([...new Set([...STATIC_FILES, ...assets])]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// A fresh page when online, so a new build is picked up straight away
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE);
+      await cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match('/index.html');
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) return;
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirstPage(request));
+    } else if (url.pathname.startsWith('/assets/') || STATIC_FILES.includes(url.pathname)) {
+      event.respondWith(cacheFirst(request));
+    }
+    return;
+  }
+  if (FONT_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request));
+});
+
+// The browser fires this once a connection is back. Open pages submit
+// their queue themselves; with none open, ask the inspector to open one.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== PENDING_SYNC_TAG) return;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length) return;
+    await self.registration.showNotification('Back online', {
+      body: 'Open Javari Video Analysis to submit your queued inspections.',
+      icon: '/icons/icon-192.png',
+      tag: PENDING_SYNC_TAG
+    });
+  })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length) return windows[0].focus();
+    return self.clients.openWindow('/');
+  })());
+});
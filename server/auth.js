@@ -0,0 +1,95 @@
+// ============================================
+// CALLER IDENTITY
+// CR AudioViz AI, LLC
+//
+// Every API route that spends engine keys needs a signed-in caller. The
+// browser sends its Supabase access token (the same account as CentralAuth)
+// as a bearer token, and it is checked with Supabase before anything is
+// relayed. The caller's address, for the per-address limits, is only read
+// from X-Forwarded-For when the request came through a trusted proxy.
+// ============================================
+
+import net from 'node:net';
+import { getSupabaseAdmin } from './secrets.js';
+import { ProxyError } from './limits.js';
+
+// Verified tokens are remembered briefly, so polling doesn't ask Supabase
+// on every request
+const TOKEN_TTL = 60 * 1000;
+const MAX_CACHED_TOKENS = 500;
+const verified = new Map();   // token -> { user, expires }
+
+// Local development without Supabase (PROXY_ALLOW_ANONYMOUS=true); never
+// honoured in production
+export const allowAnonymous = () => process.env.PROXY_ALLOW_ANONYMOUS === 'true'
+  && process.env.NODE_ENV !== 'production' && !process.env.VERCEL;
+
+let trusted = null;
+
+// TRUSTED_PROXIES: comma-separated addresses or CIDR ranges of the reverse
+// proxies in front of the server
+const trustedProxies = () => {
+  if (trusted) return trusted;
+  trusted = new net.BlockList();
+  String(process.env.TRUSTED_PROXIES || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [address, bits] = entry.split('/');
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      console.warn(`[Auth] Ignoring TRUSTED_PROXIES entry "${entry}"`);
+    } else if (bits === undefined) {
+      trusted.addAddress(address, type);
+    } else {
+      trusted.addSubnet(address, Number(bits), type);
+    }
+  });
+  return trusted;
+};
+
+// ::ffff:10.0.0.1 -> 10.0.0.1, as Node reports IPv4 peers on dual-stack sockets
+const plainAddress = (address) => address.replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+
+const isTrustedProxy = (address) => {
+  const type = net.isIP(address);
+  return type !== 0 && trustedProxies().check(address, type === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Vercel replaces X-Forwarded-For with the real client address, so it is
+// trusted there. Elsewhere the right-most address not added by a trusted
+// proxy is the caller; anything further left could have been sent by them.
+export const clientAddress = (req) => {
+  const peer = plainAddress(req.socket?.remoteAddress || '');
+  if (!process.env.VERCEL && !isTrustedProxy(peer)) return peer || 'unknown';
+  const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(hop => plainAddress(hop.trim())).filter(Boolean);
+  for (let i = hops.length - 1; i >= 0; i -= 1) {
+    if (!isTrustedProxy(hops[i])) return hops[i];
+  }
+  return hops[0] || peer || 'unknown';
+};
+
+const remember = (token, user) => {
+  if (verified.size >= MAX_CACHED_TOKENS) verified.delete(verified.keys().next().value);
+  verified.set(token, { user, expires: Date.now() + TOKEN_TTL });
+};
+
+// { id, email } of the signed-in caller. Throws ProxyError(401) without a
+// valid session.
+export const requireUser = async (req) => {
+  const client = getSupabaseAdmin();
+  if (!client) {
+    if (allowAnonymous()) return { id: `dev:${clientAddress(req)}`, email: null };
+    throw new ProxyError(503, 'Sign-in is not configured on the server');
+  }
+
+  const token = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token) throw new ProxyError(401, 'Sign in to use the analysis engines');
+
+  const cached = verified.get(token);
+  if (cached && cached.expires > Date.now()) return cached.user;
+  verified.delete(token);
+
+  const { data, error } = await client.auth.getUser(token);
+  if (error || !data?.user) throw new ProxyError(401, 'Your session has expired; sign in again');
+  const user = { id: data.user.id, email: data.user.email };
+  remember(token, user);
+  return user;
+};
@@ -0,0 +1,76 @@
+// ============================================
+// CREDIT CHECK
+// CR AudioViz AI, LLC
+//
+// Analyses are charged in the browser, which reaches CentralCredits with
+// the user's CR AudioViz AI cookie. So that the engine proxy can't be
+// called directly for free, it asks CentralCredits for the caller's
+// balance (server to server, with CENTRAL_SERVICE_KEY) before relaying a
+// billable call, and refuses with 402 when it wouldn't cover the cheapest
+// billable action. Balances are remembered briefly, since one analysis can
+// make many billable calls (Roboflow is called once per frame).
+// ============================================
+
+import { getCreditsKey } from './secrets.js';
+import { ProxyError } from './limits.js';
+import { allowAnonymous } from './auth.js';
+
+const CENTRAL_API_BASE = process.env.CENTRAL_API_URL || process.env.NEXT_PUBLIC_CENTRAL_API_URL || 'https://craudiovizai.com/api';
+
+// video_follow_up, the cheapest action that calls an engine
+const MIN_BILLABLE_CREDITS = 1;
+
+const BALANCE_TTL = 30 * 1000;
+const MAX_CACHED_BALANCES = 500;
+const balances = new Map();   // email -> { balance, expires }
+
+// Admins are never charged (lib/central-services.ts), so their balance isn't
+// checked; the same addresses are listed here since the server can't load
+// that TypeScript module
+const exemptEmails = () => String(process.env.CREDIT_EXEMPT_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const fetchBalance = async (email, key) => {
+  const url = new URL(`${CENTRAL_API_BASE.replace(/\/+$/, '')}/credits/balance`);
+  url.searchParams.set('email', email);
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${key}`, Accept: 'application/json' }
+  });
+  if (!response.ok) throw new Error(`CentralCredits answered HTTP ${response.status}`);
+  const body = await response.json();
+  const balance = Number((body.data || body).balance);
+  if (!Number.isFinite(balance)) throw new Error('CentralCredits sent no balance');
+  return balance;
+};
+
+// Throws ProxyError(402) when the user's balance can't pay for a billable
+// call, or 503 when it can't be checked
+export const assertCredits = async (user) => {
+  const key = await getCreditsKey();
+  if (!key) {
+    if (allowAnonymous()) return;
+    throw new ProxyError(503, 'Credit checks are not configured on the server');
+  }
+  const email = String(user.email || '').toLowerCase();
+  if (!email) throw new ProxyError(402, 'Your account has no credits');
+  if (exemptEmails().includes(email)) return;
+
+  let cached = balances.get(email);
+  if (!cached || cached.expires <= Date.now()) {
+    let balance;
+    try {
+      balance = await fetchBalance(email, key);
+    } catch (err) {
+      console.error('[Credits] Could not read balance:', err.message);
+      throw new ProxyError(503, 'Could not check your credits; try again shortly');
+    }
+    if (balances.size >= MAX_CACHED_BALANCES) balances.delete(balances.keys().next().value);
+    cached = { balance, expires: Date.now() + BALANCE_TTL };
+    balances.set(email, cached);
+  }
+  if (cached.balance < MIN_BILLABLE_CREDITS) {
+    throw new ProxyError(402, 'Not enough credits for this analysis');
+  }
+};
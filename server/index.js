@@ -0,0 +1,68 @@
+// ============================================
+// LOCAL API SERVER
+// CR AudioViz AI, LLC
+//
+// Runs the same handlers as the Vercel functions in /api on a plain Node
+// HTTP server, for local development (`npm run server`; Vite proxies /api).
+// ============================================
+
+import http from 'node:http';
+import { handleProxy } from './proxy.js';
+import { handleProbe } from './probe.js';
+import { handleSearch } from './search.js';
+import { handleSeal, handleVerifySeal } from './seal.js';
+import { handleUsage } from './usage.js';
+import { sendJson } from './json.js';
+
+const PORT = Number(process.env.API_PORT) || 3001;
+
+// /api/engines/<engine>/<path...>
+const ENGINE_ROUTE = /^\/api\/engines\/([\w-]+)\/(.+)$/;
+
+const server = http.createServer((req, res) => {
+  const [pathname, query = ''] = req.url.split('?');
+  const match = pathname.match(ENGINE_ROUTE);
+
+  if (match) {
+    let path;
+    try {
+      path = decodeURIComponent(match[2]);
+    } catch {
+      sendJson(res, 400, { error: { message: 'Malformed request path', status: 400 } });
+      return;
+    }
+    handleProxy(req, res, { engine: match[1], path, query });
+    return;
+  }
+
+  if (pathname === '/api/probe-video') {
+    handleProbe(req, res, { url: new URLSearchParams(query).get('url') || '' });
+    return;
+  }
+
+  if (pathname === '/api/search') {
+    handleSearch(req, res);
+    return;
+  }
+
+  if (pathname === '/api/seal') {
+    handleSeal(req, res);
+    return;
+  }
+
+  if (pathname === '/api/verify-seal') {
+    handleVerifySeal(req, res);
+    return;
+  }
+
+  if (pathname === '/api/usage') {
+    handleUsage(req, res);
+    return;
+  }
+
+  sendJson(res, 404, { error: { message: 'Not found', status: 404 } });
+});
+
+server.listen(PORT, () => {
+  console.log(`[Javari API] listening on http://localhost:${PORT}`);
+});
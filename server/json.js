@@ -0,0 +1,42 @@
+// ============================================
+// JSON REQUESTS AND RESPONSES
+// CR AudioViz AI, LLC
+//
+// Small JSON helpers for the API routes that aren't relayed to an engine.
+// Errors are sent in the same { error: { message, status } } shape as the
+// engine proxy's.
+// ============================================
+
+import { ProxyError } from './limits.js';
+
+// Reads and parses the request body; throws ProxyError(413 or 400)
+export const readJson = async (req, maxBytes) => {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+    if (text.length > maxBytes) throw new ProxyError(413, 'Request body is too large');
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ProxyError(400, 'Request body is not valid JSON');
+  }
+};
+
+export const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+// ProxyErrors are the caller's to see; anything else is logged and sent as
+// `fallback` (status 502)
+export const sendFailure = (res, err, fallback, label) => {
+  if (err instanceof ProxyError) {
+    if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+    sendJson(res, err.status, { error: { message: err.message, status: err.status } });
+    return;
+  }
+  console.error(`[${label}] failed:`, err);
+  sendJson(res, 502, { error: { message: fallback, status: 502 } });
+};
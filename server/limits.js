@@ -0,0 +1,74 @@
+// ============================================
+// PER-USER LIMITS
+// CR AudioViz AI, LLC
+//
+// Sliding-window request and upload limits per signed-in user (see
+// auth.js), plus a cap on concurrent uploads, and a looser per-address
+// limit checked before the session is. State is in memory, so on Vercel
+// each warm instance enforces its own window.
+// ============================================
+
+export const LIMITS = {
+  requestsPerMinute: Number(process.env.PROXY_REQUESTS_PER_MINUTE) || 60,
+  uploadsPerHour: Number(process.env.PROXY_UPLOADS_PER_HOUR) || 20,
+  concurrentUploads: Number(process.env.PROXY_CONCURRENT_UPLOADS) || 2,
+  maxUploadBytes: Number(process.env.PROXY_MAX_UPLOAD_MB || 2048) * 1024 * 1024,
+  // Several users can share an address (an office, a carrier NAT)
+  requestsPerMinutePerAddress: Number(process.env.PROXY_REQUESTS_PER_MINUTE_PER_ADDRESS) || 240
+};
+
+const windows = new Map();   // `${user}:${kind}` -> [timestamps]
+const activeUploads = new Map();
+
+export class ProxyError extends Error {
+  constructor(status, message, retryAfter = null) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const hit = (key, limit, windowMs) => {
+  const now = Date.now();
+  const recent = (windows.get(key) || []).filter(t => now - t < windowMs);
+  if (recent.length >= limit) {
+    windows.set(key, recent);
+    return Math.ceil((windowMs - (now - recent[0])) / 1000);
+  }
+  recent.push(now);
+  windows.set(key, recent);
+  return 0;
+};
+
+// address: see clientAddress in auth.js. Throws ProxyError(429).
+export const enforceAddressLimit = (address) => {
+  const wait = hit(`address:${address}:req`, LIMITS.requestsPerMinutePerAddress, 60 * 1000);
+  if (wait) throw new ProxyError(429, 'Too many requests from this network, slow down', wait);
+};
+
+// Throws ProxyError(429) when the user is over a limit. Returns a release()
+// to call once an upload finishes.
+export const enforceLimits = (user, { isUpload }) => {
+  const waitRequests = hit(`user:${user.id}:req`, LIMITS.requestsPerMinute, 60 * 1000);
+  if (waitRequests) throw new ProxyError(429, 'Too many requests, slow down', waitRequests);
+
+  if (!isUpload) return () => {};
+
+  const active = activeUploads.get(user.id) || 0;
+  if (active >= LIMITS.concurrentUploads) {
+    throw new ProxyError(429, `Only ${LIMITS.concurrentUploads} uploads may run at once`, 5);
+  }
+  const waitUploads = hit(`user:${user.id}:upload`, LIMITS.uploadsPerHour, 60 * 60 * 1000);
+  if (waitUploads) throw new ProxyError(429, 'Hourly upload limit reached', waitUploads);
+
+  activeUploads.set(user.id, active + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const remaining = (activeUploads.get(user.id) || 1) - 1;
+    if (remaining > 0) activeUploads.set(user.id, remaining);
+    else activeUploads.delete(user.id);
+  };
+};
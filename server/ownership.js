@@ -0,0 +1,70 @@
+// ============================================
+// ENGINE OBJECT OWNERSHIP
+// CR AudioViz AI, LLC
+//
+// The engines hold objects made with the shared server keys: Gemini
+// uploads, Twelve Labs indexing tasks and indexed videos, Video
+// Intelligence operations. Each is recorded against the user whose request
+// created it, in the `engine_objects` table (see README), and a request
+// that reads or uses one is only relayed for that user. Without Supabase
+// (local development) the records are kept in memory.
+// ============================================
+
+import { getSupabaseAdmin } from './secrets.js';
+import { ProxyError } from './limits.js';
+
+const TABLE = 'engine_objects';
+
+const memory = new Map();   // `${engine}:${id}` -> { userId, kind }
+
+// objects: [{ kind, id }] the engine returned; entries without an id are skipped
+export const recordOwner = async (user, engine, objects) => {
+  const rows = objects.filter(object => object.id).map(object => ({
+    engine,
+    object_id: String(object.id),
+    kind: object.kind,
+    user_id: user.id
+  }));
+  if (!rows.length) return;
+
+  const client = getSupabaseAdmin();
+  if (!client) {
+    rows.forEach(row => memory.set(`${engine}:${row.object_id}`, { userId: row.user_id, kind: row.kind }));
+    return;
+  }
+  const { error } = await client.from(TABLE).upsert(rows, { onConflict: 'engine,object_id', ignoreDuplicates: true });
+  if (error) throw new Error(`Could not record ${engine} objects: ${error.message}`);
+};
+
+// Throws ProxyError(404), as if the object didn't exist, unless every one
+// of ids belongs to the user
+export const assertOwner = async (user, engine, ids) => {
+  const wanted = [...new Set(ids.filter(Boolean).map(String))];
+  if (!wanted.length) return;
+
+  const client = getSupabaseAdmin();
+  let owned;
+  if (!client) {
+    owned = wanted.filter(id => memory.get(`${engine}:${id}`)?.userId === user.id);
+  } else {
+    const { data, error } = await client.from(TABLE).select('object_id')
+      .eq('engine', engine).eq('user_id', user.id).in('object_id', wanted);
+    if (error) throw new Error(`Could not check ${engine} objects: ${error.message}`);
+    owned = data.map(row => row.object_id);
+  }
+  if (owned.length !== wanted.length) throw new ProxyError(404, `Not found on ${engine}`);
+};
+
+// IDs of the user's objects of one kind, e.g. their indexed Twelve Labs videos
+export const ownedObjects = async (user, engine, kind) => {
+  const client = getSupabaseAdmin();
+  if (!client) {
+    return [...memory.entries()]
+      .filter(([key, owner]) => key.startsWith(`${engine}:`) && owner.userId === user.id && owner.kind === kind)
+      .map(([key]) => key.slice(engine.length + 1));
+  }
+  const { data, error } = await client.from(TABLE).select('object_id')
+    .eq('engine', engine).eq('user_id', user.id).eq('kind', kind);
+  if (error) throw new Error(`Could not list ${engine} objects: ${error.message}`);
+  return data.map(row => row.object_id);
+};
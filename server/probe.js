@@ -0,0 +1,149 @@
+// ============================================
+// VIDEO LINK PROBE
+// CR AudioViz AI, LLC
+//
+// Reads a linked video's type and size for the browser when the host
+// doesn't allow cross-origin requests (most S3 and GCS buckets). Only the
+// headers are fetched: a HEAD, or a one-byte GET for hosts and presigned
+// URLs that refuse HEAD. Links to private or local addresses are refused,
+// on every redirect, and the connection goes to the address that was
+// checked, so the server can't be used to reach its own network.
+// ============================================
+
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { enforceLimits, enforceAddressLimit, ProxyError } from './limits.js';
+import { requireUser, clientAddress } from './auth.js';
+import { sendJson, sendFailure } from './json.js';
+
+const MAX_REDIRECTS = 5;
+const PROBE_TIMEOUT = 15000;
+
+// Unspecified, private, CGNAT, loopback, link-local, documentation,
+// benchmarking, multicast and reserved ranges
+const V4_BLOCKS = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+// IPv4-compatible and NAT64 forms (which can reach IPv4 ranges), unique
+// local, link-local, documentation and multicast
+const V6_BLOCKS = [
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10],
+  ['2001:db8::', 32], ['ff00::', 8]
+];
+
+const BLOCKED = new net.BlockList();
+V4_BLOCKS.forEach(([base, bits]) => {
+  BLOCKED.addSubnet(base, bits, 'ipv4');
+  // The same range written as IPv4-mapped IPv6, e.g. ::ffff:7f00:1
+  BLOCKED.addSubnet(`::ffff:${base}`, 96 + bits, 'ipv6');
+});
+V6_BLOCKS.forEach(([base, bits]) => BLOCKED.addSubnet(base, bits, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const type = net.isIP(address);
+  return type === 0 || BLOCKED.check(address, type === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = () => new ProxyError(403, 'Links to private addresses are not allowed');
+
+// dns.lookup for http.request that refuses a host if any of its addresses
+// is private. The connection is made to the address checked here, so the
+// name can't resolve differently in between.
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(new ProxyError(400, `Could not resolve ${hostname}`));
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateAddressError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Addresses written in the link are connected to without a lookup
+const checkTarget = (url) => {
+  if (!['http:', 'https:'].includes(url.protocol)) throw new ProxyError(400, 'Only http(s) links can be probed');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) throw privateAddressError();
+};
+
+// One request, resolving { status, headers } without reading the body
+const send = (url, { method = 'GET', headers = {} }, signal) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.request(url, { method, headers, signal, lookup: checkedLookup, agent: false }, (response) => {
+    resolve({ status: response.statusCode, headers: response.headers });
+    response.destroy();
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+// Follows redirects by hand so each hop is checked
+const request = async (url, init, signal) => {
+  let target = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    checkTarget(target);
+    const response = await send(target, init, signal);
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    target = new URL(location, target);
+  }
+  throw new ProxyError(400, 'Too many redirects');
+};
+
+const isOk = (response) => response.status >= 200 && response.status < 300;
+
+// attachment; filename="clip.mp4" or filename*=UTF-8''clip%20one.mp4
+const filenameOf = (disposition) => {
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return match[1];
+  }
+};
+
+const readHeaders = ({ headers }) => {
+  // bytes 0-0/12345
+  const range = headers['content-range'];
+  const length = range ? range.split('/')[1] : headers['content-length'];
+  return {
+    type: (headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+    size: Number(length) || null,
+    etag: headers.etag || headers['last-modified'] || null,
+    name: filenameOf(headers['content-disposition'] || '')
+  };
+};
+
+// GET /api/probe-video?url=<link> -> { type, size, etag, name }
+export const handleProbe = async (req, res, { url }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+
+  try {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      throw new ProxyError(400, 'Not a valid link');
+    }
+    enforceAddressLimit(clientAddress(req));
+    enforceLimits(await requireUser(req), { isUpload: false })();
+
+    let response = await request(target, { method: 'HEAD' }, controller.signal);
+    if (!isOk(response)) response = await request(target, { headers: { Range: 'bytes=0-0' } }, controller.signal);
+    if (!isOk(response)) throw new ProxyError(502, `The link answered HTTP ${response.status}`);
+    sendJson(res, 200, readHeaders(response));
+  } catch (err) {
+    sendFailure(res, err, err.name === 'AbortError' ? 'The link did not answer in time' : 'Could not reach the link', 'Probe');
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,345 @@
+// ============================================
+// ENGINE PROXY
+// CR AudioViz AI, LLC
+//
+// Relays /api/engines/<engine>/<path> to the engine's API for a signed-in
+// user (see auth.js), adding the API key server-side. Only the methods and
+// paths the adapters use are allowed. Objects a call creates on the engine
+// (uploads, indexing tasks, operations) belong to the caller, and calls
+// that read or use one are refused for anyone else (see ownership.js).
+// Billable calls need a balance that covers them (see credits.js).
+// Billable and rate-limited calls are recorded per user and counted against
+// the engines' free tiers (see usage.js). Uploads are streamed, so large
+// videos never sit in memory.
+// ============================================
+
+import { getEngineKey } from './secrets.js';
+import { enforceLimits, enforceAddressLimit, LIMITS, ProxyError } from './limits.js';
+import { requireUser, clientAddress } from './auth.js';
+import { recordOwner, assertOwner } from './ownership.js';
+import { recordCall } from './usage.js';
+import { assertCredits } from './credits.js';
+
+// Request bodies read to check the objects they use; Gemini's inline
+// videos (up to 20MB) arrive base64-encoded
+const MAX_JSON_BODY = 32 * 1024 * 1024;
+
+// Gemini file references ("https://.../v1beta/files/abc") anywhere in a
+// generateContent body
+const geminiFiles = (body) => {
+  const names = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) value.forEach(visit);
+    else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        if ((key === 'file_uri' || key === 'fileUri') && typeof child === 'string') {
+          names.push(child.match(/(?:^|\/)(files\/[\w-]+)$/)?.[1] || child);
+        } else {
+          visit(child);
+        }
+      });
+    }
+  };
+  visit(body);
+  return names;
+};
+
+// gs:// prefixes Video Intelligence may read with the server's project,
+// e.g. "gs://inspections-shared/". None by default: a gs:// link would
+// otherwise let any user read any bucket the project can reach.
+const GCS_INPUT_PREFIXES = (process.env.VIDEO_INTELLIGENCE_INPUT_PREFIXES || '')
+  .split(',')
+  .map(prefix => prefix.trim())
+  .filter(Boolean)
+  .map(prefix => (prefix.endsWith('/') ? prefix : `${prefix}/`));
+
+const checkInputUri = (uri) => {
+  if (uri === undefined) return;
+  if (typeof uri !== 'string' || !GCS_INPUT_PREFIXES.some(prefix => uri.startsWith(prefix))) {
+    throw new ProxyError(403, 'Video Intelligence can only read gs:// links from the allowed buckets');
+  }
+};
+
+// Video Intelligence takes videos inline up to 100MB, base64-encoded
+const MAX_ANNOTATE_BODY = 140 * 1024 * 1024;
+
+// Longest video Twelve Labs and Video Intelligence take
+const MAX_VIDEO_MINUTES = 2 * 60;
+
+// Faster than any camera records: a claimed length shorter than this
+// allows for the bytes sent is not believed
+const MAX_BYTES_PER_SECOND = 100 * 1000 * 1000 / 8;
+
+// Video minutes to count for a call that sent `bytes`. The app sends the
+// length as X-Video-Duration (seconds); when that is missing, longer than
+// the engines take or too short for the bytes, the longest video is counted.
+const videoMinutes = (req, bytes) => {
+  const seconds = Number(req.headers['x-video-duration']);
+  const plausible = Number.isFinite(seconds) && seconds > 0
+    && seconds <= MAX_VIDEO_MINUTES * 60 && seconds >= bytes / MAX_BYTES_PER_SECOND;
+  return plausible ? seconds / 60 : MAX_VIDEO_MINUTES;
+};
+
+// Each route: name, method, path (matched against the path after the
+// engine), and optionally
+//   upload:   streams a body that may be large (counts against upload limits)
+//   billable: the engine charges for the call; needs credits, recorded per user
+//   minutes:  the engine bills by video length, which the app sends as
+//             X-Video-Duration (seconds) since the body may be a link; see
+//             videoMinutes()
+//   json:     the request body is read as JSON and passed to uses() and checks()
+//   maxBytes: largest body the route takes, when not the default
+//   uses(match, body) -> [id]              objects it reads; must be the caller's
+//   checks(body)                           throws ProxyError to refuse the body
+//   creates(response) -> [{ kind, id }]    objects it makes; become the caller's
+export const UPSTREAMS = {
+  gemini: {
+    baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com',
+    auth: (url, headers, key) => headers.set('x-goog-api-key', key),
+    routes: [
+      {
+        name: 'upload',
+        method: 'POST',
+        path: /^upload\/v1beta\/files$/,
+        upload: true,
+        creates: (body) => [{ kind: 'file', id: body.file?.name }]
+      },
+      {
+        name: 'file',
+        method: 'GET',
+        path: /^v1beta\/(files\/[\w-]+)$/,
+        uses: (match) => [match[1]]
+      },
+      {
+        name: 'generate',
+        method: 'POST',
+        path: /^v1beta\/models\/[\w.-]+:(generateContent|streamGenerateContent)$/,
+        billable: true,
+        json: true,
+        uses: (match, body) => geminiFiles(body)
+      }
+    ]
+  },
+  twelveLabs: {
+    baseUrl: process.env.TWELVE_LABS_BASE_URL || 'https://api.twelvelabs.io',
+    auth: (url, headers, key) => headers.set('x-api-key', key),
+    routes: [
+      {
+        name: 'index',
+        method: 'POST',
+        path: /^v1\.3\/tasks$/,
+        upload: true,
+        billable: true,
+        minutes: true,
+        creates: (body) => [{ kind: 'task', id: body._id }, { kind: 'video', id: body.video_id }]
+      },
+      {
+        name: 'task',
+        method: 'GET',
+        path: /^v1\.3\/tasks\/([\w-]+)$/,
+        uses: (match) => [match[1]]
+      },
+      {
+        name: 'analyze',
+        method: 'POST',
+        path: /^v1\.3\/analyze$/,
+        billable: true,
+        json: true,
+        uses: (match, body) => [body.video_id || 'missing']
+      }
+    ]
+  },
+  googleVideoIntelligence: {
+    baseUrl: process.env.VIDEO_INTELLIGENCE_BASE_URL || 'https://videointelligence.googleapis.com',
+    auth: (url, headers, key) => url.searchParams.set('key', key),
+    routes: [
+      {
+        name: 'annotate',
+        method: 'POST',
+        path: /^v1\/videos:annotate$/,
+        upload: true,
+        billable: true,
+        minutes: true,
+        json: true,
+        maxBytes: MAX_ANNOTATE_BODY,
+        checks: (body) => checkInputUri(body.inputUri),
+        creates: (body) => [{ kind: 'operation', id: body.name }]
+      },
+      {
+        name: 'operation',
+        method: 'GET',
+        path: /^v1\/((projects\/[\w-]+\/locations\/[\w-]+\/)?operations\/[\w-]+)$/,
+        uses: (match) => [match[1]]
+      }
+    ]
+  },
+  roboflow: {
+    baseUrl: process.env.ROBOFLOW_BASE_URL || 'https://detect.roboflow.com',
+    auth: (url, headers, key) => url.searchParams.set('api_key', key),
+    routes: [
+      {
+        name: 'detect',
+        method: 'POST',
+        path: /^[\w-]+\/\d+$/,
+        billable: true
+      }
+    ]
+  }
+};
+
+// Request headers that are safe to forward upstream
+const FORWARD_HEADERS = ['content-type', 'content-length', 'x-goog-upload-protocol', 'accept'];
+
+// Response headers dropped on the way back (fetch already decoded the body)
+const DROP_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'set-cookie'];
+
+// Count bytes as the upload streams through and stop past the limit.
+// counted.bytes is the running total.
+async function* limitBody(stream, maxBytes, counted = {}) {
+  counted.bytes = 0;
+  for await (const chunk of stream) {
+    counted.bytes += chunk.length;
+    if (counted.bytes > maxBytes) {
+      throw new ProxyError(413, `Upload exceeds ${Math.round(maxBytes / 1024 / 1024)}MB limit`);
+    }
+    yield chunk;
+  }
+}
+
+const sendError = (res, status, message, retryAfter) => {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+  res.end(JSON.stringify({ error: { message, status } }));
+};
+
+// The whole request body, for routes that read it
+const readBody = async (stream, maxBytes) => {
+  const chunks = [];
+  for await (const chunk of limitBody(stream, maxBytes)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const parseJson = (buffer) => {
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch {
+    throw new ProxyError(400, 'Request body is not valid JSON');
+  }
+};
+
+const findRoute = (upstream, method, path) => {
+  for (const route of upstream.routes) {
+    const match = route.method === method && path.match(route.path);
+    if (match) return { route, match };
+  }
+  return null;
+};
+
+export const handleProxy = async (req, res, { engine, path, query = '' }) => {
+  const upstream = UPSTREAMS[engine];
+  const cleanPath = String(path || '').replace(/^\/+/, '');
+  let release = () => {};
+
+  try {
+    if (!upstream) throw new ProxyError(404, `Unknown engine "${engine}"`);
+    const found = findRoute(upstream, req.method, cleanPath);
+    if (!found) throw new ProxyError(403, `${req.method} ${cleanPath} is not allowed for ${engine}`);
+    const { route, match } = found;
+
+    enforceAddressLimit(clientAddress(req));
+    const user = await requireUser(req);
+
+    const key = await getEngineKey(engine);
+    if (!key) throw new ProxyError(503, `${engine} is not configured on the server`);
+    if (route.billable) await assertCredits(user);
+
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    const maxBytes = route.maxBytes || (route.upload ? LIMITS.maxUploadBytes : MAX_JSON_BODY);
+    const declaredSize = Number(req.headers['content-length'] || 0);
+    if (declaredSize > maxBytes) {
+      throw new ProxyError(413, `Upload exceeds ${Math.round(maxBytes / 1024 / 1024)}MB limit`);
+    }
+
+    // A chunked body declares no size, so it counts as an upload too
+    const chunked = !req.headers['content-length'];
+    release = enforceLimits(user, { isUpload: Boolean(route.upload) && (chunked || declaredSize > 1024 * 1024) });
+
+    let body;
+    const counted = { bytes: 0 };
+    if (route.json) {
+      body = await readBody(req, maxBytes);
+      counted.bytes = body.length;
+      const parsed = parseJson(body);
+      route.checks?.(parsed);
+      if (route.uses) await assertOwner(user, engine, route.uses(match, parsed));
+    } else {
+      if (route.uses) await assertOwner(user, engine, route.uses(match));
+      if (hasBody) body = limitBody(req, maxBytes, counted);
+    }
+
+    const url = new URL(`${upstream.baseUrl.replace(/\/+$/, '')}/${cleanPath}`);
+    new URLSearchParams(query).forEach((value, name) => {
+      if (!['key', 'api_key'].includes(name)) url.searchParams.set(name, value);
+    });
+    const headers = new Headers();
+    for (const name of FORWARD_HEADERS) {
+      if (req.headers[name]) headers.set(name, req.headers[name]);
+    }
+    upstream.auth(url, headers, key);
+
+    const response = await fetch(url, {
+      method: req.method,
+      headers,
+      body,
+      duplex: hasBody && !route.json ? 'half' : undefined
+    });
+
+    const throttled = response.status === 429;
+    if ((response.ok && route.billable) || throttled) {
+      await recordCall(user, engine, route.name, {
+        minutes: response.ok && route.minutes ? videoMinutes(req, counted.bytes) : 0,
+        throttled
+      }).catch(err => console.error(`[EngineProxy] ${engine}/${route.name} for ${user.id} not recorded:`, err.message));
+    }
+
+    res.statusCode = response.status;
+    response.headers.forEach((value, name) => {
+      if (!DROP_RESPONSE_HEADERS.includes(name)) res.setHeader(name, value);
+    });
+
+    // Objects the call made are read from its (small) JSON answer
+    if (response.ok && route.creates) {
+      const text = await response.text();
+      let created = [];
+      try {
+        created = route.creates(JSON.parse(text));
+      } catch {
+        // Not JSON: nothing to record
+      }
+      await recordOwner(user, engine, created);
+      res.end(text);
+      return;
+    }
+
+    if (response.body) {
+      for await (const chunk of response.body) res.write(chunk);
+    }
+    res.end();
+  } catch (err) {
+    // fetch wraps errors thrown from the body stream
+    const cause = err instanceof ProxyError ? err : err.cause instanceof ProxyError ? err.cause : null;
+    if (cause) {
+      sendError(res, cause.status, cause.message, cause.retryAfter);
+    } else {
+      console.error(`[EngineProxy] ${engine}/${cleanPath} failed:`, err);
+      sendError(res, 502, `Could not reach ${engine}`);
+    }
+  } finally {
+    release();
+  }
+};
@@ -0,0 +1,90 @@
+// ============================================
+// REPORT MANIFEST SEALS
+// CR AudioViz AI, LLC
+//
+// A report's chain-of-custody manifest (src/audit/manifest.js) is sealed
+// here with an HMAC-SHA256 under MANIFEST_SIGNING_KEY, which only the
+// server holds, so a seal can't be recomputed after the manifest is edited.
+// Sealing needs a signed-in user, whose verified id and email replace the
+// manifest's `user`, and the seal time is the server's. Anyone may ask
+// whether a seal is intact.
+// ============================================
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { getManifestKey } from './secrets.js';
+import { enforceLimits, enforceAddressLimit, ProxyError } from './limits.js';
+import { requireUser, clientAddress } from './auth.js';
+import { readJson, sendJson, sendFailure } from './json.js';
+
+const MANIFEST_FORMAT = 'javari-manifest/2';
+
+// Manifests carry prompts, not findings
+const MAX_BODY = 256 * 1024;
+
+// JSON with sorted keys; must match canonicalJson in src/audit/manifest.js
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const signingKey = async () => {
+  const key = await getManifestKey();
+  if (!key) throw new ProxyError(503, 'Report sealing is not configured on the server');
+  return key;
+};
+
+const sealOf = (manifest, key) => {
+  const { seal, ...sealed } = manifest;
+  return createHmac('sha256', key).update(canonicalJson(sealed)).digest('hex');
+};
+
+const readManifest = async (req) => {
+  const { manifest } = await readJson(req, MAX_BODY);
+  if (!manifest || typeof manifest !== 'object' || manifest.format !== MANIFEST_FORMAT) {
+    throw new ProxyError(400, `Expected a ${MANIFEST_FORMAT} manifest`);
+  }
+  return manifest;
+};
+
+// POST /api/seal { manifest } -> { manifest } with its seal
+export const handleSeal = async (req, res) => {
+  try {
+    if (req.method !== 'POST') throw new ProxyError(405, 'Use POST');
+    enforceAddressLimit(clientAddress(req));
+    const user = await requireUser(req);
+    enforceLimits(user, { isUpload: false })();
+
+    const key = await signingKey();
+    const { seal, ...unsealed } = await readManifest(req);
+    const manifest = {
+      ...unsealed,
+      user: { id: user.id, email: user.email ?? null },
+      issuedAt: new Date().toISOString()
+    };
+    sendJson(res, 200, { manifest: { ...manifest, seal: sealOf(manifest, key) } });
+  } catch (err) {
+    sendFailure(res, err, 'Could not seal the report', 'Seal');
+  }
+};
+
+// POST /api/verify-seal { manifest } -> { sealIntact }
+export const handleVerifySeal = async (req, res) => {
+  try {
+    if (req.method !== 'POST') throw new ProxyError(405, 'Use POST');
+    enforceAddressLimit(clientAddress(req));
+
+    const key = await signingKey();
+    const manifest = await readManifest(req);
+    const expected = Buffer.from(sealOf(manifest, key), 'hex');
+    const given = Buffer.from(typeof manifest.seal === 'string' ? manifest.seal : '', 'hex');
+    sendJson(res, 200, { sealIntact: given.length === expected.length && timingSafeEqual(given, expected) });
+  } catch (err) {
+    sendFailure(res, err, 'Could not check the seal', 'Seal');
+  }
+};
@@ -0,0 +1,70 @@
+// ============================================
+// LIBRARY SEARCH ON TWELVE LABS
+// CR AudioViz AI, LLC
+//
+// The Twelve Labs index is shared by every user, so searches don't go
+// through the engine proxy: the server asks Twelve Labs to search only the
+// caller's own indexed videos (see ownership.js), and drops any clip that
+// isn't one of them.
+// ============================================
+
+import { getEngineKey } from './secrets.js';
+import { enforceLimits, enforceAddressLimit, ProxyError } from './limits.js';
+import { requireUser, clientAddress } from './auth.js';
+import { ownedObjects } from './ownership.js';
+import { recordCall } from './usage.js';
+import { UPSTREAMS } from './proxy.js';
+import { readJson, sendJson, sendFailure } from './json.js';
+
+const MAX_BODY = 16 * 1024;
+const MAX_RESULTS = 50;   // Twelve Labs' page_limit ceiling
+const SEARCH_OPTIONS = ['visual', 'audio'];
+
+// POST /api/search { indexId, query, limit } -> { data: [clip] }, clips as
+// Twelve Labs returns them ({ video_id, start, end, score, confidence })
+export const handleSearch = async (req, res) => {
+  try {
+    if (req.method !== 'POST') throw new ProxyError(405, 'Use POST');
+    enforceAddressLimit(clientAddress(req));
+    const user = await requireUser(req);
+    enforceLimits(user, { isUpload: false })();
+
+    const { indexId, query, limit = MAX_RESULTS } = await readJson(req, MAX_BODY);
+    if (typeof indexId !== 'string' || !indexId) throw new ProxyError(400, 'indexId is required');
+    if (typeof query !== 'string' || !query.trim()) throw new ProxyError(400, 'query is required');
+
+    const videos = await ownedObjects(user, 'twelveLabs', 'video');
+    if (!videos.length) {
+      sendJson(res, 200, { data: [] });
+      return;
+    }
+
+    const key = await getEngineKey('twelveLabs');
+    if (!key) throw new ProxyError(503, 'twelveLabs is not configured on the server');
+
+    const form = new FormData();
+    form.append('index_id', indexId);
+    form.append('query_text', query.trim());
+    SEARCH_OPTIONS.forEach(option => form.append('search_options', option));
+    form.append('page_limit', String(Math.min(Math.max(Number(limit) || MAX_RESULTS, 1), MAX_RESULTS)));
+    form.append('filter', JSON.stringify({ id: videos }));
+
+    const upstream = UPSTREAMS.twelveLabs;
+    const url = new URL(`${upstream.baseUrl.replace(/\/+$/, '')}/v1.3/search`);
+    const headers = new Headers();
+    upstream.auth(url, headers, key);
+
+    const response = await fetch(url, { method: 'POST', headers, body: form });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new ProxyError(response.status === 429 ? 429 : 502, result.message || `Twelve Labs answered HTTP ${response.status}`);
+    }
+    await recordCall(user, 'twelveLabs', 'search')
+      .catch(err => console.error(`[Search] twelveLabs/search for ${user.id} not recorded:`, err.message));
+
+    const owned = new Set(videos);
+    sendJson(res, 200, { data: (result.data || []).filter(clip => owned.has(clip.video_id)) });
+  } catch (err) {
+    sendFailure(res, err, 'Could not reach Twelve Labs', 'Search');
+  }
+};
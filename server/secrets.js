@@ -0,0 +1,65 @@
+// ============================================
+// ENGINE SECRETS
+// CR AudioViz AI, LLC
+//
+// Engine API keys, the key report manifests are signed with, and the
+// CentralCredits service key live server-side only. They are read from the
+// process environment first, then from the Supabase `platform_secrets` table
+// (see .env.example), and cached for a few minutes.
+// ============================================
+
+import { createClient } from '@supabase/supabase-js';
+
+const CACHE_TTL = 5 * 60 * 1000;
+
+export const SECRET_NAMES = {
+  gemini: 'GEMINI_API_KEY',
+  twelveLabs: 'TWELVE_LABS_API_KEY',
+  googleVideoIntelligence: 'GOOGLE_CLOUD_API_KEY',
+  roboflow: 'ROBOFLOW_API_KEY'
+};
+
+const MANIFEST_KEY_NAME = 'MANIFEST_SIGNING_KEY';
+const CREDITS_KEY_NAME = 'CENTRAL_SERVICE_KEY';
+
+let cache = { loadedAt: 0, values: {} };
+let supabase = null;
+
+export const getSupabaseAdmin = () => {
+  const url = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !key) return null;
+  supabase = supabase || createClient(url, key, { auth: { persistSession: false } });
+  return supabase;
+};
+
+const loadPlatformSecrets = async () => {
+  const client = getSupabaseAdmin();
+  if (!client) return {};
+  const { data, error } = await client
+    .from('platform_secrets')
+    .select('key, value')
+    .in('key', [...Object.values(SECRET_NAMES), MANIFEST_KEY_NAME, CREDITS_KEY_NAME]);
+  if (error) {
+    console.warn('[EngineProxy] Could not load platform_secrets:', error.message);
+    return {};
+  }
+  return Object.fromEntries(data.map(row => [row.key, row.value]));
+};
+
+const getSecret = async (name) => {
+  if (process.env[name]) return process.env[name];
+
+  if (Date.now() - cache.loadedAt > CACHE_TTL) {
+    cache = { loadedAt: Date.now(), values: await loadPlatformSecrets() };
+  }
+  return cache.values[name] || null;
+};
+
+export const getEngineKey = async (engine) => (SECRET_NAMES[engine] ? getSecret(SECRET_NAMES[engine]) : null);
+
+// HMAC key for report manifest seals (see seal.js)
+export const getManifestKey = () => getSecret(MANIFEST_KEY_NAME);
+
+// Server-to-server key for CentralCredits (see credits.js)
+export const getCreditsKey = () => getSecret(CREDITS_KEY_NAME);
@@ -0,0 +1,102 @@
+// ============================================
+// ENGINE CALL LEDGER
+// CR AudioViz AI, LLC
+//
+// Every billable call relayed with the server's engine keys is recorded
+// against the signed-in user in the `engine_calls` table (see README), so
+// engine spend can be reconciled with the credits charged through
+// CentralCredits. The same rows are the engines' free-tier usage: the keys
+// are shared by every user, so quotas are counted here, across all of
+// them, rather than in each browser. Rate-limited (429) answers are
+// recorded too. Without Supabase (local development) calls are counted in
+// memory.
+// ============================================
+
+import { getSupabaseAdmin } from './secrets.js';
+import { enforceLimits, enforceAddressLimit, ProxyError } from './limits.js';
+import { requireUser, clientAddress } from './auth.js';
+import { sendJson, sendFailure } from './json.js';
+
+const TABLE = 'engine_calls';
+const DAILY_VIEW = 'engine_usage_daily';
+
+const memory = [];   // { engine, day, minutes, throttled, at }
+
+// action: the proxy route's name, e.g. 'generate' or 'index'
+// minutes: video minutes the call sent, for engines that bill by length
+// throttled: the engine answered 429; not counted as a request
+export const recordCall = async (user, engine, action, { minutes = 0, throttled = false } = {}) => {
+  const client = getSupabaseAdmin();
+  if (!client) {
+    const at = new Date().toISOString();
+    memory.push({ engine, day: at.slice(0, 10), minutes, throttled, at });
+    console.log(`[EngineCalls] ${user.id} ${engine} ${action}${throttled ? ' (throttled)' : ''}`);
+    return;
+  }
+  const { error } = await client.from(TABLE).insert({ user_id: user.id, engine, action, minutes, throttled });
+  if (error) throw new Error(`Could not record ${engine} call: ${error.message}`);
+};
+
+// Per engine and day: { engine, day: 'YYYY-MM-DD', requests, minutes, throttled_at }
+const dailyUsage = async () => {
+  const client = getSupabaseAdmin();
+  if (!client) {
+    const days = new Map();
+    memory.forEach(({ engine, day, minutes, throttled, at }) => {
+      const key = `${engine}:${day}`;
+      const row = days.get(key) || { engine, day, requests: 0, minutes: 0, throttled_at: null };
+      if (throttled) {
+        row.throttled_at = at;
+      } else {
+        row.requests += 1;
+        row.minutes += minutes;
+      }
+      days.set(key, row);
+    });
+    return [...days.values()];
+  }
+  const { data, error } = await client.from(DAILY_VIEW).select('engine, day, requests, minutes, throttled_at');
+  if (error) throw new Error(`Could not read engine usage: ${error.message}`);
+  return data;
+};
+
+// Usage of every engine key, in each quota period (UTC, as the app's
+// quotas count them): { engine: { day, month, lifetime: { requests,
+// minutes }, throttledAt } }
+export const engineTotals = async (at = new Date()) => {
+  const today = at.toISOString().slice(0, 10);
+  const month = today.slice(0, 7);
+  const totals = {};
+  (await dailyUsage()).forEach(row => {
+    const engine = totals[row.engine] || {
+      day: { requests: 0, minutes: 0 },
+      month: { requests: 0, minutes: 0 },
+      lifetime: { requests: 0, minutes: 0 },
+      throttledAt: null
+    };
+    const periods = ['lifetime'];
+    if (row.day.startsWith(month)) periods.push('month');
+    if (row.day === today) periods.push('day');
+    periods.forEach(period => {
+      engine[period].requests += Number(row.requests) || 0;
+      engine[period].minutes += Number(row.minutes) || 0;
+    });
+    if (row.throttled_at && (!engine.throttledAt || row.throttled_at > engine.throttledAt)) {
+      engine.throttledAt = row.throttled_at;
+    }
+    totals[row.engine] = engine;
+  });
+  return totals;
+};
+
+// GET /api/usage -> { engines: engineTotals() }
+export const handleUsage = async (req, res) => {
+  try {
+    if (req.method !== 'GET') throw new ProxyError(405, 'Use GET');
+    enforceAddressLimit(clientAddress(req));
+    enforceLimits(await requireUser(req), { isUpload: false })();
+    sendJson(res, 200, { engines: await engineTotals() });
+  } catch (err) {
+    sendFailure(res, err, 'Could not read engine usage', 'Usage');
+  }
+};
@@ -9,15 +9,58 @@
 //       Google Cloud Video Intelligence
 // ============================================
 
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import {
   Upload, Video, Play, Loader2, AlertCircle, CheckCircle,
   Shield, Search, Eye, FileVideo, Brain, Clock, Cpu,
   Home, Info, Settings, ChevronRight, Download, Copy,
   BarChart3, Target, Sparkles, Zap, X, ExternalLink,
   Camera, Building, Car, Package, Users, MessageSquare,
-  RefreshCw, HelpCircle, Award
+  RefreshCw, HelpCircle, Award, History, FileText, GitCompare, LayoutTemplate, Plus, Square, Database,
+  ShieldCheck, Link2, CloudOff
 } from 'lucide-react';
+import { buildEngineChain, FAILURE_LABELS } from './engines/failover.js';
+import { MIN_CONSENSUS_ENGINES } from './engines/consensus.js';
+import { runAnalysis } from './analysis/runAnalysis.js';
+import { STAGE_LABELS } from './analysis/lifecycle.js';
+import { useResumedAnalyses } from './analysis/useResumedAnalyses.js';
+import ResumedAnalyses from './analysis/ResumedAnalyses.jsx';
+import { resultCacheKey, getCachedResult, putCachedResult } from './cache/resultCache.js';
+import { hashFile } from './cache/fileHash.js';
+import { buildManifest, sealManifest } from './audit/manifest.js';
+import { logUpload, logAnalysis, logExport, logShare } from './audit/activity.js';
+import VerifyPage from './audit/VerifyPage.jsx';
+import RemoteVideoInput from './remote/RemoteVideoInput.jsx';
+import CameraRecorder from './capture/CameraRecorder.jsx';
+import { useOnline, useOfflineQueue } from './offline/useOfflineQueue.js';
+import PendingQueue from './offline/PendingQueue.jsx';
+import { probeVideo } from './frames/extract.js';
+import { videoFileProblem, MAX_VIDEO_SIZE } from './utils/video.js';
+import { ENGINE_LIMITS, describeSize, describeDuration, videoLimitProblem } from './engines/limits.js';
+import { useBatchQueue } from './batch/useBatchQueue.js';
+import BatchPanel from './batch/BatchPanel.jsx';
+import ComparePanel, { COMPARE_TASKS } from './compare/ComparePanel.jsx';
+import ChatPanel from './chat/ChatPanel.jsx';
+import { checkCredits, creditCost, planForTier, TOP_UP_URL } from './billing/credits.js';
+import { CentralAuth, CentralCredits, CREDIT_COSTS } from '../lib/central-services.ts';
+import { CreditsBar } from '../components/brand/CreditsBar.tsx';
+import { useSession, sessionRequired } from './auth/session.js';
+import SignInPrompt from './auth/SignInPrompt.jsx';
+import { saveAnalysis, getAnalysisVideo } from './history/index.js';
+import HistoryPage from './history/HistoryPage.jsx';
+import SearchPage from './search/SearchPage.jsx';
+import { useTemplates } from './templates/useTemplates.js';
+import { missingTemplateTask, isTemplateId, PROMPT_ENGINES } from './templates/definition.js';
+import TemplateManager from './templates/TemplateManager.jsx';
+import { FREE_TIER_QUOTAS, describeQuota } from './usage/quotas.js';
+import { useEngineUsage } from './usage/useEngineUsage.js';
+import UsageDashboard from './usage/UsageDashboard.jsx';
+import Scrubber from './player/Scrubber.jsx';
+import DetectionOverlay from './player/DetectionOverlay.jsx';
+import { collectFindings } from './player/findings.js';
+import { parseTimestamp } from './utils/time.js';
+import { buildInspectionReport } from './reports/inspectionReport.js';
+import { EXPORTERS, renderExport, downloadExport } from './exporters/index.js';
 
 // ============================================
 // CONFIGURATION
@@ -28,9 +71,9 @@ const API_CONFIG = {
     name: 'Google Gemini 2.0',
     description: 'Native video understanding with 1M token context',
     capabilities: ['Video Q&A', 'Damage Analysis', 'Content Summary', 'Scene Description'],
-    freeLimit: '1,500 requests/day',
-    maxVideoSize: '100MB',
-    maxDuration: '1 hour',
+    freeLimit: describeQuota(FREE_TIER_QUOTAS.gemini),
+    maxVideoSize: describeSize(ENGINE_LIMITS.gemini.maxBytes),
+    maxDuration: describeDuration(ENGINE_LIMITS.gemini.maxSeconds),
     bestFor: 'General video understanding, property inspection, Q&A',
     icon: Brain,
     color: '#4285F4',
@@ -40,9 +83,9 @@ const API_CONFIG = {
     name: 'Twelve Labs',
     description: 'Semantic video search and timestamp finding',
     capabilities: ['Semantic Search', 'Timestamp Finding', 'Video Indexing', 'Highlight Detection'],
-    freeLimit: '600 minutes lifetime',
-    maxVideoSize: '2GB',
-    maxDuration: '2 hours',
+    freeLimit: describeQuota(FREE_TIER_QUOTAS.twelveLabs),
+    maxVideoSize: describeSize(ENGINE_LIMITS.twelveLabs.maxBytes),
+    maxDuration: describeDuration(ENGINE_LIMITS.twelveLabs.maxSeconds),
     bestFor: 'Finding specific moments, semantic search, video indexing',
     icon: Search,
     color: '#FF6B6B',
@@ -52,9 +95,9 @@ const API_CONFIG = {
     name: 'Google Cloud Video Intelligence',
     description: 'Object detection and label analysis',
     capabilities: ['Object Detection', 'Label Detection', 'Scene Change', 'Shot Detection'],
-    freeLimit: '1,000 minutes/month',
-    maxVideoSize: '100MB',
-    maxDuration: '2 hours',
+    freeLimit: describeQuota(FREE_TIER_QUOTAS.googleVideoIntelligence),
+    maxVideoSize: describeSize(ENGINE_LIMITS.googleVideoIntelligence.maxBytes),
+    maxDuration: describeDuration(ENGINE_LIMITS.googleVideoIntelligence.maxSeconds),
     bestFor: 'Object tracking, label detection, scene analysis',
     icon: Eye,
     color: '#34A853',
@@ -64,9 +107,9 @@ const API_CONFIG = {
     name: 'Roboflow',
     description: 'Custom AI detection models',
     capabilities: ['Custom Detection', 'Damage Detection', 'Defect Analysis', 'Object Segmentation'],
-    freeLimit: '1,000 API calls/month',
-    maxVideoSize: '100MB',
-    maxDuration: '30 minutes',
+    freeLimit: describeQuota(FREE_TIER_QUOTAS.roboflow),
+    maxVideoSize: describeSize(ENGINE_LIMITS.roboflow.maxBytes),
+    maxDuration: describeDuration(ENGINE_LIMITS.roboflow.maxSeconds),
     bestFor: 'Custom damage detection, specialized models, defect analysis',
     icon: Target,
     color: '#6366F1',
@@ -83,7 +126,7 @@ const ANALYSIS_TASKS = {
     color: '#EF4444',
     primaryAPI: 'gemini',
     fallbackAPI: 'roboflow',
-    creditCost: 5,
+    creditCost: CREDIT_COSTS.video_property_damage,
     prompts: {
       gemini: `You are an expert property inspector analyzing video footage for damage assessment. 
 
@@ -126,7 +169,7 @@ Be specific with timestamps and locations. If you cannot determine something cle
     color: '#F59E0B',
     primaryAPI: 'roboflow',
     fallbackAPI: 'gemini',
-    creditCost: 4,
+    creditCost: CREDIT_COSTS.video_vehicle_damage,
     prompts: {
       gemini: `You are an expert auto body inspector analyzing video footage for vehicle damage.
 
@@ -169,7 +212,7 @@ Be precise with locations using clock positions (e.g., "3 o'clock on rear bumper
     color: '#8B5CF6',
     primaryAPI: 'gemini',
     fallbackAPI: 'twelveLabs',
-    creditCost: 3,
+    creditCost: CREDIT_COSTS.video_content_search,
     prompts: {
       gemini: `Analyze this video and identify all key moments, objects, and actions.
 
@@ -212,7 +255,7 @@ Provide a detailed breakdown:
     color: '#10B981',
     primaryAPI: 'googleVideoIntelligence',
     fallbackAPI: 'gemini',
-    creditCost: 4,
+    creditCost: CREDIT_COSTS.video_object_tracking,
     prompts: {
       gemini: `Perform detailed object detection and tracking on this video.
 
@@ -256,7 +299,7 @@ Identify and track:
     color: '#06B6D4',
     primaryAPI: 'gemini',
     fallbackAPI: 'twelveLabs',
-    creditCost: 2,
+    creditCost: CREDIT_COSTS.video_content_summary,
     prompts: {
       gemini: `Provide a comprehensive analysis of this video:
 
@@ -298,7 +341,7 @@ Identify and track:
     color: '#EC4899',
     primaryAPI: 'gemini',
     fallbackAPI: 'twelveLabs',
-    creditCost: 3,
+    creditCost: CREDIT_COSTS.video_custom_query,
     prompts: {}
   }
 };
@@ -313,6 +356,27 @@ const API_ROUTING = {
   custom_query: { primary: 'gemini', fallback: 'twelveLabs' }
 };
 
+// Display name for an engine key, including the consensus pseudo-engine
+const CONSENSUS_ENGINE = { name: 'Consensus' };
+const ENGINE_NAMES = { ...API_CONFIG, consensus: CONSENSUS_ENGINE };
+const engineName = (key) => ENGINE_NAMES[key]?.name || key;
+const ENGINE_KEYS = Object.keys(API_CONFIG);
+
+// Engines an analysis will run, in priority order. Consensus runs the
+// picked engines (default: the task's primary and fallback) in parallel.
+// Templates carry their own routing. Given the video ({ size, duration }),
+// auto routing keeps to engines that can take it, handing a video neither
+// routed engine can take to a prompt engine that can.
+const planEngines = (task, api, consensusPick, video) => {
+  const routing = task.routing || API_ROUTING[task.id];
+  if (api === 'consensus') return consensusPick || [routing.primary, routing.fallback].filter(Boolean);
+  const chain = buildEngineChain(api, routing);
+  if (api !== 'auto' || !video) return chain;
+  const fits = (engine) => !videoLimitProblem(engine, video);
+  const fitting = chain.filter(fits);
+  return fitting.length ? fitting : PROMPT_ENGINES.filter(fits);
+};
+
 // ============================================
 // MAIN APPLICATION COMPONENT
 // ============================================
@@ -326,54 +390,325 @@ export default function JavariVideoAnalysis() {
   const [videoDuration, setVideoDuration] = useState(null);
   const [customQuery, setCustomQuery] = useState('');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [analysisStage, setAnalysisStage] = useState(null);
+  const analysisControllerRef = useRef(null);
   const [analysisResult, setAnalysisResult] = useState(null);
   const [selectedAPI, setSelectedAPI] = useState('auto');
+  const [consensusPick, setConsensusPick] = useState(null);
+  const [analyzeMode, setAnalyzeMode] = useState('single');
   const [error, setError] = useState(null);
   const [analysisProgress, setAnalysisProgress] = useState(0);
   const [showAPIInfo, setShowAPIInfo] = useState(false);
+  const [frameSampling, setFrameSampling] = useState({ mode: 'interval', interval: 2 });
+  const [user, setUser] = useState(null);
+  const [credits, setCredits] = useState(null);
+  const [creditCheck, setCreditCheck] = useState({ ok: true });
+  const [saveVideo, setSaveVideo] = useState(false);
+  const [isBuildingReport, setIsBuildingReport] = useState(false);
+  const [exportFormat, setExportFormat] = useState('json');
+  const [templateManager, setTemplateManager] = useState(null);   // null, 'list', 'new' or a template
+  const [showRecorder, setShowRecorder] = useState(false);
+  const online = useOnline();
   
   const fileInputRef = useRef(null);
   const videoRef = useRef(null);
+  const pendingSeekRef = useRef(null);   // where to start a reopened video
 
-  // Handle video file selection
-  const handleVideoUpload = useCallback((e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      // Validate file type
-      if (!file.type.startsWith('video/')) {
-        setError('Please upload a valid video file (MP4, MOV, AVI, WebM)');
-        return;
+  // Load the signed-in user and their credit balance from the central hub
+  const refreshCredits = useCallback(async () => {
+    const response = await CentralCredits.getBalance();
+    if (response.success) setCredits(response.data);
+  }, []);
+
+  // Again when the connection comes back, in case the app was opened offline
+  useEffect(() => {
+    if (!online) return;
+    CentralAuth.getSession().then((response) => {
+      if (response.success && response.data) {
+        setUser(response.data);
+        refreshCredits();
       }
-      // Validate file size (100MB limit)
-      if (file.size > 100 * 1024 * 1024) {
-        setError('File size exceeds 100MB limit. Please use a smaller video or compress it.');
+    });
+  }, [refreshCredits, online]);
+
+  // The engines are only reachable with a Supabase session for the same
+  // account (see auth/session.js); undefined while it loads
+  const session = useSession();
+  const engineSignedIn = !sessionRequired() || Boolean(session);
+
+  // Built-in tasks plus the user's templates
+  const templates = useTemplates(user);
+  const tasks = useMemo(() => ({ ...ANALYSIS_TASKS, ...templates.tasks }), [templates.tasks]);
+
+  // A saved report's task, even if its template has since been deleted
+  const taskFor = (key) => tasks[key] || (isTemplateId(key) ? missingTemplateTask(key) : ANALYSIS_TASKS.content_summary);
+
+  // A deleted template can't stay selected
+  useEffect(() => {
+    if (selectedTask && !tasks[selectedTask]) setSelectedTask(null);
+  }, [tasks, selectedTask]);
+
+  // Usage against each engine's free tier; routing skips engines that are out
+  const usage = useEngineUsage(ENGINE_KEYS);
+  const quotaExhausted = (engine) => usage[engine]?.state === 'exhausted';
+
+  // Engines too small or short-limited for the loaded video, or that can't
+  // get at a linked one, can't be picked
+  const currentVideo = videoFile
+    ? { size: videoFile.size, duration: videoDuration, link: videoFile.remote ? videoFile : null }
+    : null;
+  const cannotTake = (engine) => (currentVideo ? videoLimitProblem(engine, currentVideo) : null);
+
+  useEffect(() => {
+    if (cannotTake(selectedAPI)) setSelectedAPI('auto');
+  }, [selectedAPI, videoFile, videoDuration]);
+
+  const consensusEngines = selectedTask
+    ? planEngines(taskFor(selectedTask), 'consensus', consensusPick)
+      .filter(engine => !quotaExhausted(engine) && !cannotTake(engine))
+    : [];
+  const isConsensus = selectedAPI === 'consensus';
+  // Billed runs: once per consensus engine, and once per video when comparing
+  const enginesPerVideo = isConsensus ? consensusEngines.length : 1;
+  const runs = enginesPerVideo * (analyzeMode === 'compare' ? 2 : 1);
+
+  const toggleConsensusEngine = (key) => {
+    setConsensusPick(consensusEngines.includes(key)
+      ? consensusEngines.filter(engine => engine !== key)
+      : Object.keys(API_CONFIG).filter(engine => engine === key || consensusEngines.includes(engine)));
+  };
+
+  // Engines the selected mode may run, in priority order
+  const plannedEngines = selectedTask ? planEngines(taskFor(selectedTask), selectedAPI, consensusPick, currentVideo) : [];
+
+  // Pre-flight: can the user afford the selected task?
+  const runCreditCheck = useCallback(() => {
+    if (!selectedTask) return;
+    if (user && !engineSignedIn) {
+      setCreditCheck({ ok: false, reason: 'session' });
+      return;
+    }
+    checkCredits(taskFor(selectedTask), user, { runs }).then(setCreditCheck);
+  }, [selectedTask, tasks, user, runs, engineSignedIn]);
+
+  useEffect(() => {
+    runCreditCheck();
+  }, [runCreditCheck, credits]);
+
+  // An earlier result for this exact video and these settings, which
+  // Analyze shows instead of running again
+  const [cachedResult, setCachedResult] = useState(null);
+  const cacheRoute = plannedEngines.join(',');
+
+  useEffect(() => {
+    setCachedResult(null);
+    if (!videoFile || !selectedTask || analyzeMode !== 'single') return undefined;
+    let current = true;
+    resultCacheKey({
+      userId: user?.id,
+      file: videoFile,
+      task: taskFor(selectedTask),
+      taskId: selectedTask,
+      engines: plannedEngines,
+      consensus: isConsensus,
+      query: customQuery
+    })
+      .then(getCachedResult)
+      .then(hit => current && setCachedResult(hit))
+      .catch(err => console.warn('Could not check the result cache:', err));
+    return () => {
+      current = false;
+    };
+  }, [user, videoFile, selectedTask, tasks, cacheRoute, isConsensus, customQuery, analyzeMode]);
+
+  // Seals a finished report with its chain-of-custody manifest and logs
+  // the analysis to the audit trail. A report the server couldn't seal is
+  // still kept, with an unsealed manifest.
+  const sealReport = async (report, task) => {
+    const unsealed = buildManifest(report, { task, user });
+    const manifest = await sealManifest(unsealed).catch((err) => {
+      console.warn('Could not seal the report:', err);
+      return unsealed;
+    });
+    const sealed = { ...report, manifest };
+    logAnalysis(sealed, user);
+    return sealed;
+  };
+
+  // Every analysis (single, batch or comparison) is charged, run, sealed and
+  // saved to history the same way. The same clip analyzed the same way
+  // again comes back from the result cache, free, unless `force` is set.
+  const runAndSave = async ({ force = false, ...options }) => {
+    const cacheKey = await resultCacheKey({ ...options, userId: user?.id }).catch(err => {
+      console.warn('Could not fingerprint the video for the result cache:', err);
+      return null;
+    });
+    const cached = cacheKey && !force ? await getCachedResult(cacheKey).catch(() => null) : null;
+    if (cached) return { ...cached.report, cachedAt: cached.cachedAt };
+
+    const report = await sealReport(await runAnalysis({
+      ...options,
+      videoHash: cacheKey && !options.file.remote ? await hashFile(options.file) : null,
+      frameSampling,
+      user,
+      onBalance: (balance) => setCredits(prev => ({ ...prev, balance }))
+    }), options.task);
+
+    if (cacheKey) {
+      putCachedResult(cacheKey, report).catch(err => console.warn('Could not cache analysis result:', err));
+    }
+    // History is best-effort; a failed save never hides the result
+    saveAnalysis(report, { user, video: saveVideo && !options.file.remote ? options.file : null })
+      .catch(err => console.warn('Could not save analysis to history:', err));
+    return report;
+  };
+
+  // Runs one batch job through the same pipeline as a single analysis
+  const runBatchJob = async (job, { signal, onProgress }) => {
+    const { settings } = job;
+    const task = tasks[settings.task];
+    if (!task) throw new Error('Choose a task for this video');
+    if (settings.task === 'custom_query' && !settings.query.trim()) throw new Error('Custom Query needs a question');
+    const { duration } = await probeVideo(job.file, { signal });
+    const engines = planEngines(task, settings.api, settings.consensusEngines, { size: job.file.size, duration });
+    const consensus = settings.api === 'consensus';
+    if (consensus && engines.length < MIN_CONSENSUS_ENGINES) {
+      throw new Error(`Consensus needs at least ${MIN_CONSENSUS_ENGINES} engines`);
+    }
+
+    return runAndSave({
+      task,
+      taskId: settings.task,
+      engines,
+      consensus,
+      file: job.file,
+      duration,
+      query: settings.query,
+      signal,
+      onProgress
+    });
+  };
+
+  const batch = useBatchQueue(runBatchJob);
+
+  // Analyses still running on an engine when the page was last closed
+  const resumed = useResumedAnalyses({
+    tasks,
+    onBalance: (balance) => setCredits(prev => ({ ...prev, balance })),
+    onFinished: async (report) => {
+      const sealed = await sealReport(report, taskFor(report.task));
+      saveAnalysis(sealed, { user, video: null })
+        .catch(err => console.warn('Could not save analysis to history:', err));
+      return sealed;
+    }
+  });
+
+  // Analyses asked for offline, submitted once the connection and the
+  // user's session are back
+  const offlineQueue = useOfflineQueue(runBatchJob, { online, ready: Boolean(user) && engineSignedIn });
+
+  const openQueuedReport = (item) => {
+    setAnalyzeMode('single');
+    setSelectedTask(item.settings.task);
+    setVideoFile(item.file);
+    setVideoPreview(URL.createObjectURL(item.file));
+    setVideoDuration(item.report.videoDuration);
+    setAnalysisResult(item.report);
+    setError(null);
+  };
+
+  const openResumedReport = (report) => {
+    setAnalyzeMode('single');
+    setSelectedTask(report.task);
+    setAnalysisResult(report);
+    setVideoFile(null);
+    setVideoPreview(null);
+    setVideoDuration(report.videoDuration);
+    setError(null);
+  };
+
+  const batchJobCost = (job) => {
+    const task = taskFor(job.settings.task);
+    const runs = job.settings.api === 'consensus'
+      ? planEngines(task, 'consensus', job.settings.consensusEngines)
+        .filter(engine => !quotaExhausted(engine) && !videoLimitProblem(engine, { size: job.file.size })).length
+      : 1;
+    return creditCost(task) * runs;
+  };
+
+  // Several videos (or any video once a batch exists) go to the batch
+  // queue with the current task and engine settings
+  const addVideos = (files) => {
+    if (!files.length) return;
+    const problems = files
+      .map(file => ({ file, problem: videoFileProblem(file) }))
+      .filter(({ problem }) => problem);
+    const valid = files.filter(file => !videoFileProblem(file));
+    valid.forEach(file => logUpload(file, user));
+
+    if (files.length === 1 && !batch.jobs.length) {
+      if (problems.length) {
+        setError(`${files[0].name} is ${problems[0].problem}.`);
         return;
       }
-      setVideoFile(file);
-      setVideoPreview(URL.createObjectURL(file));
+      setVideoFile(valid[0]);
+      setVideoPreview(URL.createObjectURL(valid[0]));
       setError(null);
       setAnalysisResult(null);
+      return;
     }
-  }, []);
+
+    batch.queue.add(valid.map(file => ({
+      file,
+      settings: { task: selectedTask, api: selectedAPI, consensusEngines: consensusPick, query: customQuery }
+    })));
+    setError(problems.length
+      ? `Skipped ${problems.map(({ file, problem }) => `${file.name} (${problem})`).join(', ')}.`
+      : null);
+  };
+
+  // A video given by link (see remote/remoteVideo.js), previewed when its
+  // host lets the browser read it
+  const loadRemoteVideo = (video) => {
+    logUpload(video, user);
+    setVideoFile(video);
+    setVideoPreview(video.readable ? video.url : null);
+    setVideoDuration(video.duration);
+    setError(null);
+    setAnalysisResult(null);
+  };
+
+  // A clip recorded in the app. Its length comes from the recorder, since
+  // browser recordings often don't carry one. The task the guidance was
+  // for is picked if none is yet.
+  const takeRecording = (file, { duration, taskKey }) => {
+    logUpload(file, user, { source: 'camera' });
+    setShowRecorder(false);
+    setVideoFile(file);
+    setVideoPreview(URL.createObjectURL(file));
+    setVideoDuration(duration);
+    if (!selectedTask) setSelectedTask(taskKey);
+    setError(null);
+    setAnalysisResult(null);
+  };
+
+  // Handle video file selection
+  const handleVideoUpload = (e) => {
+    addVideos([...(e.target.files || [])]);
+    e.target.value = '';
+  };
 
   // Handle drag and drop
-  const handleDrop = useCallback((e) => {
+  const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    const file = e.dataTransfer.files?.[0];
-    if (file && file.type.startsWith('video/')) {
-      if (file.size > 100 * 1024 * 1024) {
-        setError('File size exceeds 100MB limit');
-        return;
-      }
-      setVideoFile(file);
-      setVideoPreview(URL.createObjectURL(file));
-      setError(null);
-      setAnalysisResult(null);
-    } else {
+    const files = [...(e.dataTransfer.files || [])];
+    if (!files.length) {
       setError('Please drop a valid video file');
+      return;
     }
-  }, []);
+    addVideos(files);
+  };
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -383,7 +718,12 @@ export default function JavariVideoAnalysis() {
   // Get video duration when loaded
   const handleVideoLoaded = useCallback(() => {
     if (videoRef.current) {
-      setVideoDuration(videoRef.current.duration);
+      if (Number.isFinite(videoRef.current.duration)) setVideoDuration(videoRef.current.duration);
+      if (pendingSeekRef.current != null) {
+        videoRef.current.currentTime = Math.min(pendingSeekRef.current, videoRef.current.duration);
+        videoRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        pendingSeekRef.current = null;
+      }
     }
   }, []);
 
@@ -402,167 +742,211 @@ export default function JavariVideoAnalysis() {
     return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
   };
 
-  // Convert video to base64 for Gemini API
-  const videoToBase64 = async (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const base64 = reader.result.split(',')[1];
-        resolve(base64);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
-  };
-
   // Analyze video with selected API
-  const analyzeVideo = async () => {
+  // force skips the result cache (and is charged)
+  const analyzeVideo = async ({ force = false } = {}) => {
     if (!videoFile || !selectedTask) return;
+    if (!online && (force || !cachedResult)) {
+      queueForLater();
+      return;
+    }
+    if (!creditCheck.ok && (force || !cachedResult)) return;
+    if (isConsensus && consensusEngines.length < MIN_CONSENSUS_ENGINES) return;
     
+    const controller = new AbortController();
+    analysisControllerRef.current = controller;
     setIsAnalyzing(true);
     setError(null);
     setAnalysisResult(null);
-    setAnalysisProgress(10);
 
     try {
-      const task = ANALYSIS_TASKS[selectedTask];
-      const routing = API_ROUTING[selectedTask];
-      const apiToUse = selectedAPI === 'auto' ? routing.primary : selectedAPI;
-      
-      setAnalysisProgress(20);
-
-      // For demo/prototype - simulate API call
-      // In production, this would call the actual APIs
-      const result = await simulateAPICall(task, apiToUse, videoFile, customQuery);
-      
-      setAnalysisProgress(100);
-      setAnalysisResult({
-        task: selectedTask,
-        api: apiToUse,
-        timestamp: new Date().toISOString(),
-        videoName: videoFile.name,
-        videoDuration: videoDuration,
-        videoSize: videoFile.size,
-        data: result
+      const report = await runAndSave({
+        task: taskFor(selectedTask),
+        taskId: selectedTask,
+        engines: plannedEngines,
+        consensus: isConsensus,
+        file: videoFile,
+        duration: videoDuration,
+        query: customQuery,
+        force,
+        signal: controller.signal,
+        onProgress: (percent, stage) => {
+          setAnalysisProgress(percent);
+          setAnalysisStage(stage);
+        }
       });
-
+      setAnalysisResult(report);
+      setCachedResult({ report, cachedAt: report.cachedAt || report.timestamp });
     } catch (err) {
-      console.error('Analysis error:', err);
-      setError(err.message || 'Analysis failed. Please try again.');
+      console.error('Analysis error:', err, err.attempts);
+      const refunded = err.refunded ? ` Your ${err.refunded} credits have been refunded.` : '';
+      const message = err.name === 'AbortError' ? 'Analysis cancelled.' : err.message || 'Analysis failed. Please try again.';
+      setError(message + refunded);
     } finally {
+      analysisControllerRef.current = null;
       setIsAnalyzing(false);
       setAnalysisProgress(0);
+      setAnalysisStage(null);
     }
   };
 
-  // Simulate API call (replace with actual API integration)
-  const simulateAPICall = async (task, apiName, file, query) => {
-    // Simulate processing time
-    await new Promise(resolve => {
-      let progress = 20;
-      const interval = setInterval(() => {
-        progress += Math.random() * 15;
-        if (progress >= 90) {
-          clearInterval(interval);
-          setAnalysisProgress(90);
-          resolve();
-        } else {
-          setAnalysisProgress(progress);
-        }
-      }, 500);
-    });
-
-    // Return simulated results based on task type
-    const apiConfig = API_CONFIG[apiName];
-    
-    if (task.id === 'property_damage') {
-      return {
-        summary: `Analysis complete using ${apiConfig.name}. Video "${file.name}" has been analyzed for property damage.`,
-        overallCondition: {
-          score: 7.5,
-          label: 'Good',
-          description: 'Property shows normal wear with some areas requiring attention.'
-        },
-        damageItems: [
-          {
-            id: 1,
-            location: 'Northeast corner of roof',
-            type: 'Shingle damage',
-            severity: 'Moderate',
-            timestamp: '0:12',
-            description: 'Several shingles show signs of lifting and wear',
-            recommendation: 'Professional inspection recommended within 30 days'
-          },
-          {
-            id: 2,
-            location: 'Gutter - East side',
-            type: 'Debris accumulation',
-            severity: 'Minor',
-            timestamp: '0:34',
-            description: 'Leaves and debris visible in gutter section',
-            recommendation: 'Schedule gutter cleaning'
-          }
-        ],
-        positiveObservations: [
-          'Flashing around chimney appears intact',
-          'No visible water damage or staining',
-          'Ridge cap shingles in good condition'
-        ],
-        recommendations: {
-          immediate: ['Clear gutter debris'],
-          shortTerm: ['Schedule professional roof inspection'],
-          longTerm: ['Consider preventive shingle replacement in 2-3 years']
-        },
-        confidence: 0.87
-      };
+  // Offline, the video and its settings wait in the offline queue and the
+  // upload area is cleared for the next inspection
+  const queueForLater = async () => {
+    try {
+      await offlineQueue.add(videoFile, {
+        task: selectedTask, api: selectedAPI, consensusEngines: consensusPick, query: customQuery
+      });
+      setVideoFile(null);
+      setVideoPreview(null);
+      setVideoDuration(null);
+      setAnalysisResult(null);
+      setError(null);
+    } catch (err) {
+      console.error('Could not queue analysis:', err);
+      setError(`Could not keep this video on the device for later: ${err.message}`);
     }
+  };
 
-    if (task.id === 'custom_query') {
-      return {
-        summary: `Analysis of "${file.name}" for query: "${query}"`,
-        answer: `Based on the video analysis, here is what I found regarding your question "${query}": The video shows [detailed analysis would appear here based on actual API response]. Key observations include visual elements, timing, and contextual information relevant to your query.`,
-        confidence: 0.82,
-        relatedTimestamps: ['0:05', '0:23', '0:45']
-      };
+  // Markers for the scrubber and next/previous finding
+  const findings = useMemo(() => collectFindings(analysisResult?.data), [analysisResult]);
+
+  // Seek the preview player to a result timestamp
+  const seekTo = (seconds, { play = true } = {}) => {
+    const video = videoRef.current;
+    if (!video || seconds == null) return;
+    video.currentTime = Math.min(seconds, video.duration || seconds);
+    if (play) {
+      video.play().catch(() => {});
+      video.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
+  };
 
-    // Default response for other task types
-    return {
-      summary: `Analysis complete using ${apiConfig.name}. Your video "${file.name}" has been processed.`,
-      keyFindings: [
-        'Video successfully analyzed',
-        'Content identified and categorized',
-        'Key moments detected'
-      ],
-      timestamps: [
-        { time: '0:00', event: 'Video start' },
-        { time: '0:15', event: 'Key moment detected' },
-        { time: '0:30', event: 'Scene change' }
-      ],
-      confidence: 0.85
-    };
+  // A result timestamp: a seek button when there's a video to seek, else text
+  const renderTimestamp = (value, className) => {
+    const seconds = parseTimestamp(value);
+    if (seconds == null || !videoPreview) return <span className={className}>{value}</span>;
+    return (
+      <button className={`${className} seekable`} onClick={() => seekTo(seconds)} title={`Jump to ${value}`}>
+        {value}
+      </button>
+    );
+  };
+
+  // Which engines reported a consensus finding, and whether they all agree
+  const renderAgreement = (consensus) => {
+    const total = analysisResult.data.consensus?.engines.filter(run => run.ok).length || consensus.engines.length;
+    const detail = consensus.severityDisputed
+      ? Object.entries(consensus.severityDisputed).map(([engine, severity]) => `${engineName(engine)}: ${severity}`).join(', ')
+      : consensus.engines.map(engineName).join(', ');
+    return (
+      <span className={`consensus-badge ${consensus.agreed ? 'agreed' : 'disputed'}`} title={detail}>
+        {consensus.agreed ? 'Agreed' : 'Disputed'} {consensus.engines.length}/{total}
+      </span>
+    );
   };
 
   // Copy results to clipboard
   const copyResults = () => {
     if (analysisResult) {
-      const text = JSON.stringify(analysisResult, null, 2);
-      navigator.clipboard.writeText(text);
+      navigator.clipboard.writeText(renderExport(exportFormat, analysisResult, exportContext()));
+      logExport([analysisResult], `${exportFormat} (copied)`, user);
     }
   };
 
-  // Export results as JSON
+  // Export results in the selected format
   const exportResults = () => {
     if (analysisResult) {
-      const blob = new Blob([JSON.stringify(analysisResult, null, 2)], { type: 'application/json' });
+      downloadExport(exportFormat, analysisResult, exportContext());
+      logExport([analysisResult], exportFormat, user);
+    }
+  };
+
+  const exportContext = () => ({
+    taskName: taskFor(analysisResult.task).name,
+    engineName: engineName(analysisResult.api)
+  });
+
+  // Insurance-ready PDF for property/vehicle damage results
+  const exportPdfReport = async () => {
+    if (!analysisResult) return;
+    setIsBuildingReport(true);
+    try {
+      const blob = await buildInspectionReport({
+        analysisResult,
+        task: taskFor(analysisResult.task),
+        engineName: engineName(analysisResult.api),
+        video: videoFile?.remote ? null : videoFile
+      });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `javari-analysis-${Date.now()}.json`;
+      a.download = `javari-inspection-${analysisResult.videoName.replace(/\.[^.]+$/, '')}-${Date.now()}.pdf`;
       a.click();
+      URL.revokeObjectURL(url);
+      logExport([analysisResult], 'pdf', user);
+    } catch (err) {
+      console.error('PDF report error:', err);
+      setError(`Could not build the PDF report: ${err.message}`);
+    } finally {
+      setIsBuildingReport(false);
     }
   };
 
+  // Reopen a saved report (and its video, if one was kept); `at` starts the
+  // player at that moment, e.g. a search hit
+  const openHistoryRecord = async (record, { at = null } = {}) => {
+    pendingSeekRef.current = at;
+    setSelectedTask(record.task);
+    setAnalysisResult(record.result);
+    setError(null);
+    setVideoFile(null);
+    setVideoPreview(null);
+    setVideoDuration(record.videoDuration);
+    setCurrentPage('analyze');
+    try {
+      const blob = await getAnalysisVideo(record);
+      if (blob) {
+        const file = new File([blob], record.videoName, { type: blob.type });
+        setVideoFile(file);
+        setVideoPreview(URL.createObjectURL(file));
+      } else {
+        pendingSeekRef.current = null;
+      }
+    } catch (err) {
+      pendingSeekRef.current = null;
+      setError(`The saved video could not be loaded: ${err.message}`);
+    }
+  };
+
+  // Comparison mode only offers the damage tasks
+  const switchAnalyzeMode = (mode) => {
+    setAnalyzeMode(mode);
+    if (mode === 'compare' && !COMPARE_TASKS.includes(selectedTask)) setSelectedTask(COMPARE_TASKS[0]);
+  };
+
+  const runComparisonSide = (side, video, { signal, onProgress }) => runAndSave({
+    task: taskFor(selectedTask),
+    taskId: selectedTask,
+    engines: planEngines(taskFor(selectedTask), selectedAPI, consensusPick, { size: video.file.size, duration: video.duration }),
+    consensus: isConsensus,
+    file: video.file,
+    duration: video.duration,
+    signal,
+    onProgress
+  });
+
+  // Show a finished batch job in the main results view
+  const openBatchJob = (job) => {
+    setSelectedTask(job.settings.task);
+    setVideoFile(job.file);
+    setVideoPreview(URL.createObjectURL(job.file));
+    setVideoDuration(job.result.videoDuration);
+    setAnalysisResult(job.result);
+    setError(null);
+    document.querySelector('.upload-section')?.scrollIntoView({ behavior: 'smooth' });
+  };
+
   // Reset analysis
   const resetAnalysis = () => {
     setVideoFile(null);
@@ -573,8 +957,98 @@ export default function JavariVideoAnalysis() {
     setAnalysisResult(null);
     setError(null);
     setSelectedAPI('auto');
+    setConsensusPick(null);
   };
 
+  // ============================================
+  // RENDER: SHARED CHROME
+  // ============================================
+
+  const NAV_PAGES = [
+    { page: 'home', label: 'Home', icon: Home },
+    { page: 'analyze', label: 'Analyze', icon: Video },
+    { page: 'history', label: 'History', icon: History },
+    { page: 'search', label: 'Search', icon: Search },
+    { page: 'verify', label: 'Verify', icon: ShieldCheck }
+  ];
+
+  const renderCreditsBar = () => (
+    <div className="credits-bar">
+      <CreditsBar
+        isLoggedIn={!!user}
+        credits={credits?.balance ?? user?.credits_balance ?? 0}
+        plan={planForTier(credits?.tier ?? user?.subscription_tier)}
+        userName={user?.name}
+      />
+    </div>
+  );
+
+  const renderNav = () => (
+    <nav className="nav">
+      <div className="nav-brand">
+        <Sparkles size={24} />
+        <span>Javari Video Analysis</span>
+      </div>
+      <div className="nav-links">
+        {NAV_PAGES.map(({ page, label, icon: NavIcon }) => (
+          <button
+            key={page}
+            className={`nav-link ${currentPage === page ? 'active' : ''}`}
+            onClick={() => setCurrentPage(page)}
+          >
+            <NavIcon size={18} /> {label}
+          </button>
+        ))}
+        <button className="nav-link" onClick={() => setShowAPIInfo(true)}>
+          <Info size={18} /> API Info
+        </button>
+      </div>
+    </nav>
+  );
+
+  const renderAPIInfoModal = () => showAPIInfo && (
+    <div className="modal-overlay" onClick={() => setShowAPIInfo(false)}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2><Info size={24} /> API Information</h2>
+          <button className="modal-close" onClick={() => setShowAPIInfo(false)}>
+            <X size={24} />
+          </button>
+        </div>
+        <div className="modal-body">
+          <UsageDashboard usage={usage} engines={API_CONFIG} />
+          <div className="api-info-grid">
+            {Object.entries(API_CONFIG).map(([key, api]) => {
+              const IconComponent = api.icon;
+              return (
+                <div key={key} className="api-info-card">
+                  <div className="api-info-header" style={{ background: api.gradient }}>
+                    <IconComponent size={32} color="white" />
+                    <h3>{api.name}</h3>
+                  </div>
+                  <div className="api-info-body">
+                    <p><strong>Best For:</strong> {api.bestFor}</p>
+                    <p><strong>Free Tier:</strong> {api.freeLimit}</p>
+                    <p><strong>Max Video:</strong> {api.maxVideoSize}</p>
+                    <p><strong>Max Duration:</strong> {api.maxDuration}</p>
+                    <div className="capabilities">
+                      <strong>Capabilities:</strong>
+                      <ul>
+                        {api.capabilities.map((cap, i) => (
+                          <li key={i}>{cap}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
   // ============================================
   // RENDER: HOME PAGE
   // ============================================
@@ -582,24 +1056,10 @@ export default function JavariVideoAnalysis() {
   if (currentPage === 'home') {
     return (
       <div className="app">
+        {renderCreditsBar()}
+
         {/* Navigation */}
-        <nav className="nav">
-          <div className="nav-brand">
-            <Sparkles size={24} />
-            <span>Javari Video Analysis</span>
-          </div>
-          <div className="nav-links">
-            <button className="nav-link active" onClick={() => setCurrentPage('home')}>
-              <Home size={18} /> Home
-            </button>
-            <button className="nav-link" onClick={() => setCurrentPage('analyze')}>
-              <Video size={18} /> Analyze
-            </button>
-            <button className="nav-link" onClick={() => setShowAPIInfo(true)}>
-              <Info size={18} /> API Info
-            </button>
-          </div>
-        </nav>
+        {renderNav()}
 
         {/* Hero Section */}
         <section className="hero">
@@ -707,48 +1167,332 @@ export default function JavariVideoAnalysis() {
         </footer>
 
         {/* API Info Modal */}
-        {showAPIInfo && (
-          <div className="modal-overlay" onClick={() => setShowAPIInfo(false)}>
-            <div className="modal" onClick={e => e.stopPropagation()}>
-              <div className="modal-header">
-                <h2><Info size={24} /> API Information</h2>
-                <button className="modal-close" onClick={() => setShowAPIInfo(false)}>
-                  <X size={24} />
-                </button>
-              </div>
-              <div className="modal-body">
-                <div className="api-info-grid">
-                  {Object.entries(API_CONFIG).map(([key, api]) => {
-                    const IconComponent = api.icon;
-                    return (
-                      <div key={key} className="api-info-card">
-                        <div className="api-info-header" style={{ background: api.gradient }}>
-                          <IconComponent size={32} color="white" />
-                          <h3>{api.name}</h3>
-                        </div>
-                        <div className="api-info-body">
-                          <p><strong>Best For:</strong> {api.bestFor}</p>
-                          <p><strong>Free Tier:</strong> {api.freeLimit}</p>
-                          <p><strong>Max Video:</strong> {api.maxVideoSize}</p>
-                          <p><strong>Max Duration:</strong> {api.maxDuration}</p>
-                          <div className="capabilities">
-                            <strong>Capabilities:</strong>
-                            <ul>
-                              {api.capabilities.map((cap, i) => (
-                                <li key={i}>{cap}</li>
-                              ))}
-                            </ul>
-                          </div>
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
+        {renderAPIInfoModal()}
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: HISTORY AND SEARCH PAGES
+  // ============================================
+
+  // Pages that only need the shared chrome around them
+  const SIMPLE_PAGES = { history: HistoryPage, search: SearchPage, verify: VerifyPage };
+  if (SIMPLE_PAGES[currentPage]) {
+    const SimplePage = SIMPLE_PAGES[currentPage];
+    return (
+      <div className="app">
+        {renderCreditsBar()}
+
+        {/* Navigation */}
+        {renderNav()}
+
+        <SimplePage
+          tasks={tasks}
+          engines={ENGINE_NAMES}
+          user={user}
+          onOpen={openHistoryRecord}
+        />
+
+        {/* Footer */}
+        <footer className="footer">
+          <div className="footer-content">
+            <div className="footer-brand">
+              <Sparkles size={20} />
+              <span>CR AudioViz AI</span>
             </div>
+            <p>"Your Story. Our Design" | EIN: 93-4520864</p>
+          </div>
+        </footer>
+
+        {/* API Info Modal */}
+        {renderAPIInfoModal()}
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: ANALYZE PAGE PARTS
+  // ============================================
+
+  // Free-tier usage next to an engine's name once it is running low
+  const renderQuotaBadge = (engine) => {
+    const entry = usage[engine];
+    if (entry?.state !== 'warning' && entry?.state !== 'exhausted') return null;
+    return (
+      <span className={`usage-badge usage-${entry.state}`}>
+        {entry.state === 'exhausted' ? 'Quota used up, skipped' : `${Math.round(entry.fraction * 100)}% of quota used`}
+      </span>
+    );
+  };
+
+  // Warns when an engine this analysis may use is near or past its quota
+  const renderQuotaWarning = () => {
+    const low = plannedEngines.filter(engine => ['warning', 'exhausted'].includes(usage[engine]?.state));
+    if (!low.length) return null;
+    return (
+      <div className="quota-warning">
+        <AlertCircle size={16} />
+        <span>
+          {low.map(engine => {
+            const { quota, used, state } = usage[engine];
+            return state === 'exhausted'
+              ? `${engineName(engine)} has used its ${describeQuota(quota)} and will be skipped.`
+              : `${engineName(engine)} has used ${Math.floor(used).toLocaleString()} of ${describeQuota(quota)}.`;
+          }).join(' ')}
+        </span>
+      </div>
+    );
+  };
+
+  // Engine choice, consensus engines and frame sampling
+  const renderApiSection = () => (
+    <section className="api-section">
+      <h2><Cpu size={24} /> API Selection</h2>
+      <div className="api-selector">
+        <label className={`api-option ${selectedAPI === 'auto' ? 'selected' : ''}`}>
+          <input
+            type="radio"
+            name="api"
+            value="auto"
+            checked={selectedAPI === 'auto'}
+            onChange={(e) => setSelectedAPI(e.target.value)}
+          />
+          <Zap size={20} />
+          <div>
+            <strong>Auto (Recommended)</strong>
+            <span>Smart routing based on task type and video size</span>
+          </div>
+        </label>
+        {Object.entries(API_CONFIG).map(([key, api]) => {
+          const IconComponent = api.icon;
+          const unfit = cannotTake(key);
+          return (
+            <label
+              key={key}
+              className={`api-option ${selectedAPI === key ? 'selected' : ''} ${unfit ? 'disabled' : ''}`}
+              title={unfit ? `${api.name} can't take this video: it is ${unfit}` : undefined}
+            >
+              <input
+                type="radio"
+                name="api"
+                value={key}
+                checked={selectedAPI === key}
+                onChange={(e) => setSelectedAPI(e.target.value)}
+                disabled={!!unfit}
+              />
+              <IconComponent size={20} style={{ color: api.color }} />
+              <div>
+                <strong>{api.name}</strong>
+                <span>{api.freeLimit}</span>
+                {unfit && <span className="api-limit">Video is {unfit}</span>}
+                {renderQuotaBadge(key)}
+              </div>
+            </label>
+          );
+        })}
+        <label className={`api-option ${isConsensus ? 'selected' : ''}`}>
+          <input
+            type="radio"
+            name="api"
+            value="consensus"
+            checked={isConsensus}
+            onChange={(e) => setSelectedAPI(e.target.value)}
+          />
+          <Users size={20} />
+          <div>
+            <strong>Consensus</strong>
+            <span>Run {MIN_CONSENSUS_ENGINES}+ engines and compare</span>
           </div>
+        </label>
+      </div>
+
+      {/* Consensus engine picker with the up-front total */}
+      {isConsensus && (
+        <div className="consensus-options">
+          <strong><Users size={16} /> Consensus Engines</strong>
+          <div className="consensus-engines">
+            {Object.entries(API_CONFIG).map(([key, api]) => (
+              <label key={key} className={quotaExhausted(key) || cannotTake(key) ? 'disabled' : ''}>
+                <input
+                  type="checkbox"
+                  checked={consensusEngines.includes(key)}
+                  onChange={() => toggleConsensusEngine(key)}
+                  disabled={quotaExhausted(key) || !!cannotTake(key)}
+                />
+                {api.name}
+                {quotaExhausted(key) && ' (quota used up)'}
+                {!quotaExhausted(key) && cannotTake(key) && ` (video ${cannotTake(key)})`}
+              </label>
+            ))}
+          </div>
+          {selectedTask && (
+            <span className="consensus-cost">
+              Total: {creditCost(taskFor(selectedTask)) * enginesPerVideo} credits per video
+              ({creditCost(taskFor(selectedTask))} × {enginesPerVideo} engines).
+              Engines that fail are refunded.
+            </span>
+          )}
+          {consensusEngines.length < MIN_CONSENSUS_ENGINES && (
+            <span className="consensus-warning">Pick at least {MIN_CONSENSUS_ENGINES} engines.</span>
+          )}
+        </div>
+      )}
+
+      {renderQuotaWarning()}
+
+      {/* Keyframe sampling for image-only engines */}
+      {plannedEngines.includes('roboflow') && (
+        <div className="sampling-options">
+          <strong><Camera size={16} /> Frame Sampling (Roboflow)</strong>
+          <label>
+            <input
+              type="radio"
+              name="sampling"
+              checked={frameSampling.mode === 'interval'}
+              onChange={() => setFrameSampling({ ...frameSampling, mode: 'interval' })}
+            />
+            Every
+            <input
+              type="number"
+              className="sampling-interval"
+              min={0.5}
+              max={30}
+              step={0.5}
+              value={frameSampling.interval}
+              onChange={(e) => setFrameSampling({ ...frameSampling, interval: Number(e.target.value) || 2 })}
+            />
+            seconds
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="sampling"
+              checked={frameSampling.mode === 'scene'}
+              onChange={() => setFrameSampling({ ...frameSampling, mode: 'scene' })}
+            />
+            On scene change
+          </label>
+        </div>
+      )}
+    </section>
+  );
+
+  // Why the Analyze button is disabled, with a way forward
+  const renderCreditPrompt = () => (
+    selectedTask && online && !creditCheck.ok && (
+      <div className="credit-prompt">
+        <AlertCircle size={18} />
+        {creditCheck.reason === 'signin' && (
+          <span>
+            Sign in to your CR AudioViz AI account to run an analysis.{' '}
+            <a href="https://craudiovizai.com/auth/signin" target="_blank" rel="noopener noreferrer">Sign in</a>
+          </span>
+        )}
+        {creditCheck.reason === 'session' && session === null && <SignInPrompt email={user?.email} />}
+        {creditCheck.reason === 'balance' && (
+          <span>
+            {taskFor(selectedTask).name} needs {creditCost(taskFor(selectedTask)) * runs} credits
+            and you have {credits?.balance ?? 0}.{' '}
+            <a href={TOP_UP_URL} target="_blank" rel="noopener noreferrer">Top up credits</a>
+          </span>
+        )}
+        {creditCheck.reason === 'unavailable' && (
+          <span>
+            Could not check your credit balance.{' '}
+            <button className="link-btn" onClick={runCreditCheck}>Try again</button>
+          </span>
         )}
       </div>
+    )
+  );
+
+  // Mode switch and the queued and resumed analyses, above either mode
+  const renderAnalyzeHeader = () => (
+    <>
+      {/* Analysis Mode */}
+      <div className="mode-switch" role="tablist">
+        <button
+          role="tab"
+          aria-selected={analyzeMode === 'single'}
+          className={analyzeMode === 'single' ? 'active' : ''}
+          onClick={() => switchAnalyzeMode('single')}
+        >
+          <Video size={16} /> Analyze
+        </button>
+        <button
+          role="tab"
+          aria-selected={analyzeMode === 'compare'}
+          className={analyzeMode === 'compare' ? 'active' : ''}
+          onClick={() => switchAnalyzeMode('compare')}
+        >
+          <GitCompare size={16} /> Compare Before / After
+        </button>
+      </div>
+
+      <PendingQueue
+        queue={offlineQueue}
+        online={online}
+        held={!user
+          ? 'Sign in to your CR AudioViz AI account to submit the queued videos.'
+          : !engineSignedIn ? 'Confirm your email (select a task to get a sign-in link) to submit the queued videos.' : null}
+        taskName={(key) => taskFor(key).name}
+        onOpen={openQueuedReport}
+      />
+
+      <ResumedAnalyses
+        resumed={resumed}
+        taskName={(key) => taskFor(key).name}
+        engineName={engineName}
+        onOpen={openResumedReport}
+      />
+    </>
+  );
+
+  // ============================================
+  // RENDER: COMPARE BEFORE / AFTER
+  // ============================================
+
+  if (analyzeMode === 'compare') {
+    return (
+      <div className="app">
+        {renderCreditsBar()}
+
+        {/* Navigation */}
+        {renderNav()}
+
+        <main className="main">
+          {renderAnalyzeHeader()}
+
+          <ComparePanel
+            tasks={tasks}
+            taskKey={selectedTask}
+            onTaskChange={setSelectedTask}
+            runSide={runComparisonSide}
+            cost={selectedTask ? creditCost(taskFor(selectedTask)) * runs : 0}
+            canRun={creditCheck.ok && !(isConsensus && consensusEngines.length < MIN_CONSENSUS_ENGINES)}
+            creditNotice={renderCreditPrompt()}
+            engineName={engineName}
+            onVideoAdded={(file) => logUpload(file, user, { source: 'comparison' })}
+          >
+            {renderApiSection()}
+          </ComparePanel>
+        </main>
+
+        {/* Footer */}
+        <footer className="footer">
+          <div className="footer-content">
+            <div className="footer-brand">
+              <Sparkles size={20} />
+              <span>CR AudioViz AI</span>
+            </div>
+            <p>"Your Story. Our Design" | EIN: 93-4520864</p>
+          </div>
+        </footer>
+
+        {/* API Info Modal */}
+        {renderAPIInfoModal()}
+      </div>
     );
   }
 
@@ -758,26 +1502,14 @@ export default function JavariVideoAnalysis() {
 
   return (
     <div className="app">
+      {renderCreditsBar()}
+
       {/* Navigation */}
-      <nav className="nav">
-        <div className="nav-brand">
-          <Sparkles size={24} />
-          <span>Javari Video Analysis</span>
-        </div>
-        <div className="nav-links">
-          <button className="nav-link" onClick={() => setCurrentPage('home')}>
-            <Home size={18} /> Home
-          </button>
-          <button className="nav-link active" onClick={() => setCurrentPage('analyze')}>
-            <Video size={18} /> Analyze
-          </button>
-          <button className="nav-link" onClick={() => setShowAPIInfo(true)}>
-            <Info size={18} /> API Info
-          </button>
-        </div>
-      </nav>
+      {renderNav()}
 
       <main className="main">
+        {renderAnalyzeHeader()}
+
         {/* Video Upload Section */}
         <section className="upload-section">
           <h2><Upload size={24} /> Upload Video</h2>
@@ -788,19 +1520,45 @@ export default function JavariVideoAnalysis() {
             onDragOver={handleDragOver}
             onClick={() => !videoFile && fileInputRef.current?.click()}
           >
-            {videoPreview ? (
+            {videoFile ? (
               <div className="video-preview">
-                <video 
-                  ref={videoRef}
-                  src={videoPreview} 
-                  controls 
-                  onLoadedMetadata={handleVideoLoaded}
-                />
+                {videoPreview ? (
+                  <div className="video-player">
+                    <DetectionOverlay
+                      videoRef={videoRef}
+                      detections={analysisResult?.data.detections}
+                      videoName={videoFile.name}
+                    >
+                      <video 
+                        ref={videoRef}
+                        src={videoPreview} 
+                        crossOrigin={videoFile.remote ? 'anonymous' : undefined}
+                        controls 
+                        onLoadedMetadata={handleVideoLoaded}
+                      />
+                    </DetectionOverlay>
+                    {analysisResult && (
+                      <Scrubber
+                        videoRef={videoRef}
+                        src={videoPreview}
+                        duration={videoDuration}
+                        findings={findings}
+                        onSeek={seekTo}
+                      />
+                    )}
+                  </div>
+                ) : (
+                  <div className="remote-placeholder">
+                    <Link2 size={32} />
+                    <span>No preview: the host doesn't let the browser load this video. Engines that fetch links can still analyze it.</span>
+                  </div>
+                )}
                 <div className="video-info">
                   <span className="video-name">{videoFile.name}</span>
+                  {videoFile.remote && <span className="remote-source" title={videoFile.source}>{videoFile.source}</span>}
                   <div className="video-meta">
                     <span><Clock size={14} /> {formatDuration(videoDuration)}</span>
-                    <span><Package size={14} /> {formatFileSize(videoFile.size)}</span>
+                    {videoFile.size != null && <span><Package size={14} /> {formatFileSize(videoFile.size)}</span>}
                   </div>
                   <button className="btn btn-sm btn-danger" onClick={(e) => {
                     e.stopPropagation();
@@ -814,25 +1572,57 @@ export default function JavariVideoAnalysis() {
               <div className="upload-prompt">
                 <Upload size={48} />
                 <h3>Drop your video here</h3>
-                <p>or click to browse</p>
-                <span className="upload-formats">MP4, MOV, AVI, WebM • Max 100MB</span>
+                <p>or click to browse · select several to queue a batch</p>
+                <span className="upload-formats">MP4, MOV, AVI, WebM • Max {describeSize(MAX_VIDEO_SIZE)} each (over {describeSize(ENGINE_LIMITS.gemini.maxBytes)}: Twelve Labs only)</span>
               </div>
             )}
             <input
               ref={fileInputRef}
               type="file"
               accept="video/*"
+              multiple
               onChange={handleVideoUpload}
               style={{ display: 'none' }}
             />
           </div>
+          {!videoFile && (
+            <div className="upload-alternatives">
+              <button className="btn btn-secondary" onClick={() => setShowRecorder(true)}>
+                <Video size={18} /> Record
+              </button>
+              <RemoteVideoInput onLoad={loadRemoteVideo} />
+            </div>
+          )}
         </section>
 
+        {/* Batch Queue */}
+        {batch.jobs.length > 0 && (
+          <BatchPanel
+            batch={batch}
+            tasks={tasks}
+            engineOptions={{
+              auto: 'Auto',
+              ...Object.fromEntries(Object.entries(API_CONFIG).map(([key, api]) => [key, api.name])),
+              consensus: CONSENSUS_ENGINE.name
+            }}
+            engineName={engineName}
+            jobCost={batchJobCost}
+            onAddFiles={addVideos}
+            onOpen={openBatchJob}
+            onExport={(reports, format) => logExport(reports, `batch ${format}`, user)}
+          />
+        )}
+
         {/* Task Selection */}
         <section className="task-section">
-          <h2><Target size={24} /> Select Analysis Type</h2>
+          <div className="task-section-header">
+            <h2><Target size={24} /> Select Analysis Type</h2>
+            <button className="btn btn-sm btn-secondary" onClick={() => setTemplateManager('list')}>
+              <LayoutTemplate size={16} /> Templates
+            </button>
+          </div>
           <div className="task-grid">
-            {Object.entries(ANALYSIS_TASKS).map(([key, task]) => {
+            {Object.entries(tasks).map(([key, task]) => {
               const IconComponent = task.icon;
               return (
                 <button
@@ -850,11 +1640,21 @@ export default function JavariVideoAnalysis() {
                   </div>
                   <div className="task-meta">
                     <span className="credit-badge">{task.creditCost} credits</span>
+                    {task.custom && <span className="template-badge">Template v{task.version}</span>}
                     {selectedTask === key && <CheckCircle size={20} />}
                   </div>
                 </button>
               );
             })}
+            <button className="task-card task-card-new" onClick={() => setTemplateManager('new')}>
+              <div className="task-icon">
+                <Plus size={24} />
+              </div>
+              <div className="task-content">
+                <h4>New Template</h4>
+                <p>Save your own prompt, output fields, routing and cost as a reusable task</p>
+              </div>
+            </button>
           </div>
         </section>
 
@@ -872,45 +1672,7 @@ export default function JavariVideoAnalysis() {
           </section>
         )}
 
-        {/* API Selection */}
-        <section className="api-section">
-          <h2><Cpu size={24} /> API Selection</h2>
-          <div className="api-selector">
-            <label className={`api-option ${selectedAPI === 'auto' ? 'selected' : ''}`}>
-              <input
-                type="radio"
-                name="api"
-                value="auto"
-                checked={selectedAPI === 'auto'}
-                onChange={(e) => setSelectedAPI(e.target.value)}
-              />
-              <Zap size={20} />
-              <div>
-                <strong>Auto (Recommended)</strong>
-                <span>Smart routing based on task type</span>
-              </div>
-            </label>
-            {Object.entries(API_CONFIG).map(([key, api]) => {
-              const IconComponent = api.icon;
-              return (
-                <label key={key} className={`api-option ${selectedAPI === key ? 'selected' : ''}`}>
-                  <input
-                    type="radio"
-                    name="api"
-                    value={key}
-                    checked={selectedAPI === key}
-                    onChange={(e) => setSelectedAPI(e.target.value)}
-                  />
-                  <IconComponent size={20} style={{ color: api.color }} />
-                  <div>
-                    <strong>{api.name}</strong>
-                    <span>{api.freeLimit}</span>
-                  </div>
-                </label>
-              );
-            })}
-          </div>
-        </section>
+        {renderApiSection()}
 
         {/* Error Display */}
         {error && (
@@ -925,13 +1687,23 @@ export default function JavariVideoAnalysis() {
         <section className="action-section">
           <button
             className="btn btn-primary btn-xl analyze-btn"
-            onClick={analyzeVideo}
-            disabled={!videoFile || !selectedTask || isAnalyzing || (selectedTask === 'custom_query' && !customQuery.trim())}
+            onClick={() => analyzeVideo()}
+            disabled={!videoFile || !selectedTask || isAnalyzing || !(creditCheck.ok || cachedResult || !online) || (!online && videoFile.remote && !cachedResult) || (selectedTask === 'custom_query' && !customQuery.trim()) || (isConsensus && consensusEngines.length < MIN_CONSENSUS_ENGINES)}
           >
             {isAnalyzing ? (
               <>
                 <Loader2 size={24} className="spinner" />
-                Analyzing... {Math.round(analysisProgress)}%
+                {STAGE_LABELS[analysisStage] || 'Analyzing'}... {Math.round(analysisProgress)}%
+              </>
+            ) : !online && !cachedResult ? (
+              <>
+                <CloudOff size={24} />
+                Queue for When Online
+              </>
+            ) : cachedResult ? (
+              <>
+                <Database size={24} />
+                Show Cached Result
               </>
             ) : (
               <>
@@ -940,11 +1712,43 @@ export default function JavariVideoAnalysis() {
               </>
             )}
           </button>
+
+          {!online && !cachedResult && (
+            <p className="cache-note offline-note">
+              {videoFile?.remote
+                ? 'You are offline, and a linked video needs a connection to be analyzed.'
+                : 'You are offline. The video and these settings are kept on this device and analyzed automatically when the connection is back.'}
+            </p>
+          )}
+
+          {cachedResult && !isAnalyzing && (
+            <p className="cache-note">
+              Analyzed the same way on {new Date(cachedResult.cachedAt).toLocaleString()}; showing it is free.
+            </p>
+          )}
           
+          {!videoFile?.remote && (
+            <label className="save-video-option">
+              <input
+                type="checkbox"
+                checked={saveVideo}
+                onChange={(e) => setSaveVideo(e.target.checked)}
+              />
+              Keep a copy of the video with this report in History
+            </label>
+          )}
+
+          {renderCreditPrompt()}
+
           {isAnalyzing && (
-            <div className="progress-bar">
-              <div className="progress-fill" style={{ width: `${analysisProgress}%` }} />
-            </div>
+            <>
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${analysisProgress}%` }} />
+              </div>
+              <button className="btn btn-sm cancel-analysis" onClick={() => analysisControllerRef.current?.abort()}>
+                <Square size={16} /> Cancel Analysis
+              </button>
+            </>
           )}
         </section>
 
@@ -954,12 +1758,38 @@ export default function JavariVideoAnalysis() {
             <div className="results-header">
               <h2><BarChart3 size={24} /> Analysis Results</h2>
               <div className="results-actions">
+                <select
+                  className="export-format"
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  aria-label="Export format"
+                >
+                  {Object.entries(EXPORTERS).map(([format, exporter]) => (
+                    <option key={format} value={format}>{exporter.label}</option>
+                  ))}
+                </select>
                 <button className="btn btn-sm" onClick={copyResults}>
                   <Copy size={16} /> Copy
                 </button>
                 <button className="btn btn-sm" onClick={exportResults}>
-                  <Download size={16} /> Export JSON
+                  <Download size={16} /> Export
                 </button>
+                {analysisResult.data.damageItems && (
+                  <button className="btn btn-sm btn-primary" onClick={exportPdfReport} disabled={isBuildingReport}>
+                    {isBuildingReport ? <Loader2 size={16} className="spinner" /> : <FileText size={16} />}
+                    PDF Report
+                  </button>
+                )}
+                {analysisResult.cachedAt && (
+                  <button
+                    className="btn btn-sm"
+                    onClick={() => analyzeVideo({ force: true })}
+                    disabled={!videoFile || isAnalyzing || !creditCheck.ok}
+                    title={`Run again and charge ${creditCost(taskFor(selectedTask)) * enginesPerVideo} credits`}
+                  >
+                    <RefreshCw size={16} /> Force Re-run
+                  </button>
+                )}
                 <button className="btn btn-sm btn-secondary" onClick={resetAnalysis}>
                   <RefreshCw size={16} /> New Analysis
                 </button>
@@ -967,9 +1797,15 @@ export default function JavariVideoAnalysis() {
             </div>
 
             <div className="results-meta">
+              {analysisResult.cachedAt && (
+                <span className="meta-item cached-badge">
+                  <Database size={14} />
+                  Cached from {new Date(analysisResult.cachedAt).toLocaleString()}
+                </span>
+              )}
               <span className="meta-item">
                 <Cpu size={14} />
-                {API_CONFIG[analysisResult.api]?.name || analysisResult.api}
+                {engineName(analysisResult.api)}
               </span>
               <span className="meta-item">
                 <Clock size={14} />
@@ -981,7 +1817,73 @@ export default function JavariVideoAnalysis() {
               </span>
             </div>
 
+            {analysisResult.failover && (
+              <div className="failover-note">
+                <RefreshCw size={14} />
+                <span>
+                  Answered by {engineName(analysisResult.api)} after{' '}
+                  {engineName(analysisResult.failover.from)}{' '}
+                  {FAILURE_LABELS[analysisResult.failover.reason]}
+                  {analysisResult.failover.error && ` (${analysisResult.failover.error})`}
+                </span>
+              </div>
+            )}
+
+            {analysisResult.attempts?.length > 1 && (
+              <details className="attempt-log">
+                <summary>{analysisResult.attempts.length} attempts</summary>
+                <ul>
+                  {analysisResult.attempts.map((a, i) => (
+                    <li key={i} className={a.ok ? 'attempt-ok' : 'attempt-failed'}>
+                      <span>{engineName(a.engine)} #{a.attempt}</span>
+                      <span>{a.ok ? 'succeeded' : a.error}</span>
+                      <span>{(a.latencyMs / 1000).toFixed(1)}s</span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
             <div className="results-content">
+              {/* Parsing Warnings */}
+              {analysisResult.data.warnings?.length > 0 && (
+                <div className="result-card warnings-card">
+                  <h3><AlertCircle size={20} /> Some fields could not be read cleanly</h3>
+                  <ul>
+                    {analysisResult.data.warnings.map((warning, i) => (
+                      <li key={i}>{warning}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Consensus Breakdown */}
+              {analysisResult.data.consensus && (
+                <div className="result-card consensus-card">
+                  <h3><Users size={20} /> Engine Consensus</h3>
+                  <div className="consensus-stats">
+                    <span className="consensus-badge agreed">{analysisResult.data.consensus.agreed} agreed</span>
+                    <span className="consensus-badge disputed">{analysisResult.data.consensus.disputed} disputed</span>
+                    <span>{Math.round(analysisResult.data.consensus.agreementRate * 100)}% agreement</span>
+                  </div>
+                  <ul className="consensus-engine-list">
+                    {analysisResult.data.consensus.engines.map((run) => (
+                      <li key={run.engine} className={run.ok ? 'attempt-ok' : 'attempt-failed'}>
+                        <span>{engineName(run.engine)}</span>
+                        <span>
+                          {run.ok
+                            ? `${run.findings} findings${run.confidence != null ? ` · ${Math.round(run.confidence * 100)}% confidence` : ''}`
+                            : run.error}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  {analysisResult.data.consensus.singleEngine && (
+                    <p className="empty-note">Only one engine answered, so these findings are not cross-checked.</p>
+                  )}
+                </div>
+              )}
+
               {/* Summary Card */}
               <div className="result-card summary-card">
                 <h3><Award size={20} /> Summary</h3>
@@ -1005,6 +1907,9 @@ export default function JavariVideoAnalysis() {
                 <div className="result-card damage-card">
                   <h3><Shield size={20} /> Damage Detected</h3>
                   <div className="damage-list">
+                    {analysisResult.data.damageItems.length === 0 && (
+                      <p className="empty-note">No damage identified.</p>
+                    )}
                     {analysisResult.data.damageItems.map((item) => (
                       <div key={item.id} className={`damage-item severity-${item.severity.toLowerCase()}`}>
                         <div className="damage-header">
@@ -1012,11 +1917,15 @@ export default function JavariVideoAnalysis() {
                           <span className={`severity-badge ${item.severity.toLowerCase()}`}>
                             {item.severity}
                           </span>
+                          {item.consensus && renderAgreement(item.consensus)}
                         </div>
+                        {item.thumbnail && (
+                          <img className="damage-thumbnail" src={item.thumbnail} alt={`${item.type} at ${item.timestamp}`} />
+                        )}
                         <p className="damage-type">{item.type}</p>
                         <p className="damage-desc">{item.description}</p>
                         <div className="damage-meta">
-                          <span><Clock size={12} /> {item.timestamp}</span>
+                          <span><Clock size={12} /> {renderTimestamp(item.timestamp, 'damage-timestamp')}</span>
                           <span className="recommendation">{item.recommendation}</span>
                         </div>
                       </div>
@@ -1031,7 +1940,7 @@ export default function JavariVideoAnalysis() {
                   <h3><Target size={20} /> Overall Condition</h3>
                   <div className="condition-score">
                     <div className="score-circle">
-                      <span className="score-value">{analysisResult.data.overallCondition.score}</span>
+                      <span className="score-value">{analysisResult.data.overallCondition.score ?? '–'}</span>
                       <span className="score-max">/10</span>
                     </div>
                     <div className="score-label">{analysisResult.data.overallCondition.label}</div>
@@ -1085,6 +1994,18 @@ export default function JavariVideoAnalysis() {
                 </div>
               )}
 
+              {/* Insurance Documentation Notes */}
+              {analysisResult.data.insuranceNotes && (
+                <div className="result-card insurance-card">
+                  <h3><FileVideo size={20} /> Insurance Documentation Notes</h3>
+                  <ul>
+                    {analysisResult.data.insuranceNotes.map((note, i) => (
+                      <li key={i}>{note}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Custom Query Answer */}
               {analysisResult.data.answer && (
                 <div className="result-card answer-card">
@@ -1094,7 +2015,7 @@ export default function JavariVideoAnalysis() {
                     <div className="related-timestamps">
                       <strong>Related timestamps:</strong>
                       {analysisResult.data.relatedTimestamps.map((ts, i) => (
-                        <span key={i} className="timestamp-badge">{ts}</span>
+                        <React.Fragment key={i}>{renderTimestamp(ts, 'timestamp-badge')}</React.Fragment>
                       ))}
                     </div>
                   )}
@@ -1120,14 +2041,27 @@ export default function JavariVideoAnalysis() {
                   <div className="timeline">
                     {analysisResult.data.timestamps.map((ts, i) => (
                       <div key={i} className="timeline-item">
-                        <span className="timeline-time">{ts.time}</span>
+                        {renderTimestamp(ts.time, 'timeline-time')}
                         <span className="timeline-event">{ts.event}</span>
+                        {ts.consensus && renderAgreement(ts.consensus)}
                       </div>
                     ))}
                   </div>
                 </div>
               )}
             </div>
+
+            {/* Follow-up Questions */}
+            <ChatPanel
+              key={analysisResult.timestamp}
+              report={analysisResult}
+              task={taskFor(analysisResult.task)}
+              file={videoFile}
+              user={user}
+              canSeek={!!videoPreview}
+              onSeek={seekTo}
+              onBalance={(balance) => setCredits(prev => ({ ...prev, balance }))}
+            />
           </section>
         )}
       </main>
@@ -1144,46 +2078,35 @@ export default function JavariVideoAnalysis() {
       </footer>
 
       {/* API Info Modal */}
-      {showAPIInfo && (
-        <div className="modal-overlay" onClick={() => setShowAPIInfo(false)}>
-          <div className="modal" onClick={e => e.stopPropagation()}>
-            <div className="modal-header">
-              <h2><Info size={24} /> API Information</h2>
-              <button className="modal-close" onClick={() => setShowAPIInfo(false)}>
-                <X size={24} />
-              </button>
-            </div>
-            <div className="modal-body">
-              <div className="api-info-grid">
-                {Object.entries(API_CONFIG).map(([key, api]) => {
-                  const IconComponent = api.icon;
-                  return (
-                    <div key={key} className="api-info-card">
-                      <div className="api-info-header" style={{ background: api.gradient }}>
-                        <IconComponent size={32} color="white" />
-                        <h3>{api.name}</h3>
-                      </div>
-                      <div className="api-info-body">
-                        <p><strong>Best For:</strong> {api.bestFor}</p>
-                        <p><strong>Free Tier:</strong> {api.freeLimit}</p>
-                        <p><strong>Max Video:</strong> {api.maxVideoSize}</p>
-                        <p><strong>Max Duration:</strong> {api.maxDuration}</p>
-                        <div className="capabilities">
-                          <strong>Capabilities:</strong>
-                          <ul>
-                            {api.capabilities.map((cap, i) => (
-                              <li key={i}>{cap}</li>
-                            ))}
-                          </ul>
-                        </div>
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            </div>
-          </div>
-        </div>
+      {renderAPIInfoModal()}
+
+      {/* Task Templates */}
+      {templateManager && (
+        <TemplateManager
+          templates={templates}
+          engines={API_CONFIG}
+          editing={templateManager === 'list' ? null : templateManager}
+          onUse={(id) => {
+            setSelectedTask(id);
+            setTemplateManager(null);
+          }}
+          onClose={() => setTemplateManager(null)}
+          onShare={(template) => logShare({
+            templateId: template.id,
+            name: template.definition.name,
+            version: template.version
+          }, user)}
+        />
+      )}
+
+      {/* Camera Recording */}
+      {showRecorder && (
+        <CameraRecorder
+          tasks={tasks}
+          taskKey={selectedTask}
+          onRecorded={takeRecording}
+          onClose={() => setShowRecorder(false)}
+        />
       )}
     </div>
   );
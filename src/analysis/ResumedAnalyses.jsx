@@ -0,0 +1,65 @@
+// ============================================
+// RESUMED ANALYSES
+// CR AudioViz AI, LLC
+//
+// Analyses picked back up after a reload, shown above the upload area with
+// their stage and progress until they finish, fail or are cancelled.
+// ============================================
+
+import React from 'react';
+import { RotateCcw, Loader2, FolderOpen, Square, X } from 'lucide-react';
+import { STAGE_LABELS } from './lifecycle.js';
+
+// resumed: { jobs, cancel, dismiss } from useResumedAnalyses
+export default function ResumedAnalyses({ resumed, taskName, engineName, onOpen }) {
+  const { jobs, cancel, dismiss } = resumed;
+  if (!jobs.length) return null;
+
+  return (
+    <section className="resumed-section">
+      <h2><RotateCcw size={24} /> Picked Up After Reload</h2>
+      <ul className="resumed-list">
+        {jobs.map(job => {
+          const running = !job.report && !job.error;
+          return (
+            <li key={job.id} className="resumed-job">
+              <div className="resumed-job-row">
+                <div className="resumed-job-info">
+                  <strong title={job.videoName}>{job.videoName}</strong>
+                  <span>{taskName(job.taskId)} · {engineName(job.engine)}</span>
+                </div>
+                {running && (
+                  <span className="resumed-stage">
+                    <Loader2 size={14} className="spinner" /> {STAGE_LABELS[job.stage]} {Math.round(job.progress)}%
+                  </span>
+                )}
+                <div className="batch-job-actions">
+                  {job.report && (
+                    <button className="btn btn-sm btn-primary" onClick={() => onOpen(job.report)}>
+                      <FolderOpen size={16} /> View
+                    </button>
+                  )}
+                  {running ? (
+                    <button className="btn btn-sm" onClick={() => cancel(job.id)}>
+                      <Square size={16} /> Cancel
+                    </button>
+                  ) : (
+                    <button className="btn btn-sm btn-danger" onClick={() => dismiss(job.id)} title="Dismiss">
+                      <X size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+              {running && (
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${job.progress}%` }} />
+                </div>
+              )}
+              {job.error && <p className="batch-job-error">{job.error}</p>}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,82 @@
+// ============================================
+// IN-FLIGHT ANALYSES
+// CR AudioViz AI, LLC
+//
+// Analyses whose engine job is still running on the engine's side, kept in
+// localStorage so a reload picks the job back up instead of losing it (and
+// the credits paid for it). An entry is written once the engine accepts a
+// job it will keep working on, and removed when the analysis settles.
+// The page running an entry holds a Web Lock on it, so another open tab
+// never resumes a job that is still being polled; locks go with the page.
+// ============================================
+
+const STORAGE_KEY = 'javari-inflight-analyses';
+
+const lockName = (id) => `javari-analysis-${id}`;
+
+const read = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const write = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn('[Analysis] Could not save in-flight analyses:', err.message);
+  }
+};
+
+const newInflightId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const removeInflight = (id) => {
+  const entries = read();
+  if (!entries[id]) return;
+  delete entries[id];
+  write(entries);
+};
+
+// Keeps one analysis's entry. save(entry) writes it, taking the lock the
+// first time; done() removes it and lets the lock go.
+// entry: { engine, snapshot, taskId, query, videoName, videoSize,
+//          videoSha256, videoUrl, duration, charge, startedAt }
+export const trackInflight = (id = newInflightId()) => {
+  let release = () => {};
+  let locked = false;
+  return {
+    save(entry) {
+      if (!locked && navigator.locks) {
+        locked = true;
+        const held = new Promise(resolve => { release = resolve; });
+        navigator.locks.request(lockName(id), () => held);
+      }
+      write({ ...read(), [id]: { ...entry, id } });
+    },
+    done() {
+      removeInflight(id);
+      release();
+    }
+  };
+};
+
+// Runs work() holding the entry's lock and removes the entry once it
+// settles. Resolves null without running it when another page has the
+// entry.
+export const claimInflight = async (id, work) => {
+  const run = async () => {
+    try {
+      return await work();
+    } finally {
+      removeInflight(id);
+    }
+  };
+  if (!navigator.locks) return run();
+  return navigator.locks.request(lockName(id), { ifAvailable: true }, lock => (lock ? run() : null));
+};
+
+// Oldest first
+export const listInflight = () =>
+  Object.values(read()).sort((a, b) => a.startedAt.localeCompare(b.startedAt));
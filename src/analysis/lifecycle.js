@@ -0,0 +1,43 @@
+// ============================================
+// ANALYSIS LIFECYCLE
+// CR AudioViz AI, LLC
+//
+// The stages an analysis moves through and the share of the progress bar
+// each one covers. Progress only moves inside a stage as far as something
+// reports it: an upload sits at the start of its band until the engine has
+// the file, and processing follows the engine's own operation status.
+// ============================================
+
+export const JOB_STAGES = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  PARSING: 'parsing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+export const STAGE_LABELS = {
+  [JOB_STAGES.QUEUED]: 'Preparing',
+  [JOB_STAGES.UPLOADING]: 'Uploading',
+  [JOB_STAGES.PROCESSING]: 'Processing',
+  [JOB_STAGES.PARSING]: 'Reading results',
+  [JOB_STAGES.DONE]: 'Done',
+  [JOB_STAGES.FAILED]: 'Failed'
+};
+
+// [start, end] of each stage, in percent of the whole analysis
+const STAGE_BANDS = {
+  [JOB_STAGES.QUEUED]: [0, 10],
+  [JOB_STAGES.UPLOADING]: [10, 30],
+  [JOB_STAGES.PROCESSING]: [30, 90],
+  [JOB_STAGES.PARSING]: [90, 100],
+  [JOB_STAGES.DONE]: [100, 100],
+  [JOB_STAGES.FAILED]: [0, 0]
+};
+
+// fraction: how far through the stage (0-1) is known to be
+export const stagePercent = (stage, fraction = 0) => {
+  const [start, end] = STAGE_BANDS[stage] || [0, 0];
+  return start + Math.min(1, Math.max(0, fraction)) * (end - start);
+};
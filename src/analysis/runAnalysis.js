@@ -0,0 +1,237 @@
+// ============================================
+// ANALYSIS RUNS
+// CR AudioViz AI, LLC
+//
+// One analysis end to end: charge credits, run the task on the planned
+// engines (with failover, or in parallel for consensus), and refund
+// whatever was not delivered. Shared by the single-video flow and the
+// batch queue. A single-engine run whose job is still working server-side
+// is remembered (see inflight.js) so it can be resumed after a reload.
+// ============================================
+
+import { resolvePrompt, resumeEngine } from '../engines/index.js';
+import { runWithFailover } from '../engines/failover.js';
+import { runConsensus } from '../engines/consensus.js';
+import { extractKeyframes } from '../frames/extract.js';
+import { chargeAnalysis, refundAnalysis, creditCost } from '../billing/credits.js';
+import { rememberFrames } from '../chat/context.js';
+import { isQuotaExhausted } from '../usage/ledger.js';
+import { videoLimitProblem, takesLink } from '../engines/limits.js';
+import { downloadRemoteVideo } from '../remote/remoteVideo.js';
+import { JOB_STAGES, stagePercent } from './lifecycle.js';
+import { trackInflight } from './inflight.js';
+
+// Reports progress as (percent, stage). Engine progress only counts while
+// the engine is processing; uploads and parsing report no fraction.
+const stageReporter = (onProgress) => {
+  let stage = JOB_STAGES.QUEUED;
+  const report = (fraction = 0) => onProgress(stagePercent(stage, fraction), stage);
+  return {
+    enter: (next) => {
+      stage = next;
+      report();
+    },
+    engineProgress: (fraction) => report(stage === JOB_STAGES.PROCESSING ? fraction : 0),
+    prepProgress: (fraction) => onProgress(stagePercent(JOB_STAGES.QUEUED, fraction), JOB_STAGES.QUEUED)
+  };
+};
+
+// options:
+//   task, taskId       task definition and its key
+//   engines            engine keys in priority order
+//   consensus          run every engine in parallel and reconcile
+//   file, duration     the video (a File, or a linked video, see
+//                      remote/remoteVideo.js) and its length in seconds
+//   videoHash          the file's SHA-256, if known, kept on the report
+//   query, frameSampling, user
+//   signal             cancels the run (and refunds it)
+//   onProgress(percent 0-100, stage), onBalance(balance)
+// Resolves a report (the shape saved to history). On failure the charge is
+// refunded and the error carries `refunded` (credits given back, or 0).
+// Engines whose free-tier quota is used up, or that can't take this video,
+// are skipped and never billed. A linked video goes to engines that fetch
+// links as the link, and is downloaded in the browser for the rest.
+export const runAnalysis = async ({
+  task, taskId, engines: planned, consensus = false, file, duration, videoHash = null, query = '', frameSampling, user,
+  signal, onProgress = () => {}, onBalance = () => {}
+}) => {
+  const link = file.remote ? file : null;
+  const limitProblem = (engine) => videoLimitProblem(engine, { size: file.size, duration, link });
+  const fitting = planned.filter(engine => !limitProblem(engine));
+  if (!fitting.length) {
+    throw new Error(`The chosen engines can't take this video (${planned.map(engine => `${engine}: ${limitProblem(engine)}`).join('; ')}).`);
+  }
+  const usable = fitting.filter(engine => !isQuotaExhausted(engine));
+  if (!usable.length) {
+    throw new Error('Every engine for this task has used up its free-tier quota for now. See API Info for when they reset.');
+  }
+  // Failover records the skipped engines in its attempts; consensus only
+  // runs (and bills) the usable ones
+  const engines = consensus ? usable : planned;
+  const runs = consensus ? engines.length : 1;
+  const progress = stageReporter(onProgress);
+  const inflight = trackInflight();
+  const startedAt = new Date().toISOString();
+  let charge = null;
+  progress.enter(JOB_STAGES.QUEUED);
+
+  try {
+    charge = await chargeAnalysis(task, user, file.name, { runs });
+    onBalance(charge.balance);
+
+    // The bytes of a linked video, for engines that don't fetch links
+    const getLocalFile = () => (link
+      ? downloadRemoteVideo(link, { signal, onProgress: progress.prepProgress })
+      : Promise.resolve(file));
+
+    // Image-only engines get sampled keyframes, extracted once per analysis
+    // and kept for follow-up questions
+    let frames = null;
+    const getFrames = async () => {
+      if (!frames) {
+        frames = await extractKeyframes(await getLocalFile(), frameSampling, {
+          signal,
+          onProgress: progress.prepProgress
+        });
+        rememberFrames(file, frames);
+      }
+      return frames;
+    };
+
+    const makeInput = async (engine) => {
+      const byLink = link && takesLink(engine, link);
+      return {
+        task,
+        file: byLink ? undefined : await getLocalFile(),
+        link: byLink ? link : undefined,
+        duration,
+        prompt: resolvePrompt(task, engine, query),
+        query,
+        frames: engine === 'roboflow' ? await getFrames() : undefined
+      };
+    };
+
+    let result;
+    if (consensus) {
+      const outcome = await runConsensus(task, engines, makeInput, {
+        signal,
+        onStage: progress.enter,
+        onProgress: progress.engineProgress
+      });
+      result = {
+        engine: 'consensus',
+        engines: outcome.engines,
+        attempts: outcome.runs.flatMap(run => run.attempts),
+        failover: null,
+        data: outcome.data
+      };
+
+      // Only engines that answered are billed
+      const failed = outcome.runs.filter(run => !run.data).length;
+      if (failed && charge.amount) {
+        const refund = { amount: creditCost(task) * failed };
+        const balance = await refundAnalysis(refund, task, `${failed} consensus engine(s) failed`);
+        if (balance !== null) {
+          charge = { ...charge, amount: charge.amount - refund.amount };
+          onBalance(balance);
+        }
+      }
+    } else {
+      result = await runWithFailover(engines, makeInput, {
+        signal,
+        skip: (engine) => {
+          const problem = limitProblem(engine);
+          return problem ? { reason: 'too_large', error: `Skipped: video is ${problem}` } : null;
+        },
+        onStage: progress.enter,
+        onProgress: progress.engineProgress,
+        onJob: (engine, snapshot) => inflight.save({
+          engine,
+          snapshot,
+          taskId,
+          query,
+          videoName: file.name,
+          videoSize: file.size,
+          videoSha256: videoHash,
+          videoUrl: link?.source ?? null,
+          duration,
+          charge,
+          startedAt
+        })
+      });
+    }
+
+    progress.enter(JOB_STAGES.DONE);
+    return {
+      task: taskId,
+      api: result.engine,
+      engines: result.engines,
+      attempts: result.attempts,
+      failover: result.failover,
+      startedAt,
+      timestamp: new Date().toISOString(),
+      videoName: file.name,
+      videoDuration: duration,
+      videoSize: file.size,
+      videoSha256: videoHash,
+      videoUrl: link?.source ?? null,
+      query,
+      data: result.data,
+      creditsCharged: charge.amount
+    };
+  } catch (err) {
+    // Nothing was delivered, so give the credits back
+    const balance = await refundAnalysis(charge, task, err.message || 'analysis failed');
+    if (balance !== null) onBalance(balance);
+    err.refunded = balance !== null ? charge.amount : 0;
+    throw err;
+  } finally {
+    inflight.done();
+  }
+};
+
+// Finishes an analysis saved by runAnalysis before a reload, on the engine
+// that had the job. Without the file there is nothing to fail over to, so
+// if that job fails (or is cancelled) the charge is refunded. Resolves a
+// report like runAnalysis. The caller claims the entry (see inflight.js).
+export const resumeAnalysis = async (entry, { task, signal, onProgress = () => {}, onBalance = () => {} }) => {
+  const progress = stageReporter(onProgress);
+  const started = Date.parse(entry.startedAt);
+  progress.enter(JOB_STAGES.PROCESSING);
+
+  try {
+    const data = await resumeEngine(entry.engine, entry.snapshot, {
+      task,
+      duration: entry.duration,
+      prompt: resolvePrompt(task, entry.engine, entry.query),
+      query: entry.query
+    }, {
+      signal,
+      onStage: progress.enter,
+      onProgress: progress.engineProgress
+    });
+
+    progress.enter(JOB_STAGES.DONE);
+    return {
+      task: entry.taskId,
+      api: entry.engine,
+      attempts: [{ engine: entry.engine, attempt: 1, ok: true, error: null, latencyMs: Date.now() - started }],
+      failover: null,
+      startedAt: entry.startedAt,
+      timestamp: new Date().toISOString(),
+      videoName: entry.videoName,
+      videoDuration: entry.duration,
+      videoSize: entry.videoSize,
+      videoSha256: entry.videoSha256 ?? null,
+      videoUrl: entry.videoUrl ?? null,
+      query: entry.query,
+      data,
+      creditsCharged: entry.charge?.amount ?? 0
+    };
+  } catch (err) {
+    const balance = await refundAnalysis(entry.charge, task, err.message || 'resumed analysis failed');
+    if (balance !== null) onBalance(balance);
+    err.refunded = balance !== null ? entry.charge.amount : 0;
+    throw err;
+  }
+};
@@ -0,0 +1,76 @@
+// ============================================
+// RESUMED ANALYSES HOOK
+// CR AudioViz AI, LLC
+//
+// Picks up the analyses that were still running on an engine when the page
+// was closed or reloaded (see inflight.js) and tracks them to the end. An
+// entry waits until its task is available, since templates load after the
+// page does. onFinished(report) runs for each finished analysis and may
+// return (or resolve) the report to keep in its place (e.g. sealed).
+// ============================================
+
+import { useState, useRef, useEffect } from 'react';
+import { listInflight, claimInflight } from './inflight.js';
+import { resumeAnalysis } from './runAnalysis.js';
+import { JOB_STAGES } from './lifecycle.js';
+
+export const useResumedAnalyses = ({ tasks, onBalance, onFinished }) => {
+  const [jobs, setJobs] = useState([]);
+  // Only what was left over at load; this page's own runs are not resumed
+  const pendingRef = useRef(null);
+  if (!pendingRef.current) pendingRef.current = listInflight();
+  const controllersRef = useRef(new Map());
+  const callbacksRef = useRef({ onBalance, onFinished });
+
+  useEffect(() => {
+    callbacksRef.current = { onBalance, onFinished };
+  }, [onBalance, onFinished]);
+
+  const patch = (id, changes) => setJobs(prev => prev.map(job => (job.id === id ? { ...job, ...changes } : job)));
+
+  const resume = async (entry) => {
+    const controller = new AbortController();
+    controllersRef.current.set(entry.id, controller);
+    try {
+      const report = await claimInflight(entry.id, () => {
+        setJobs(prev => [...prev, {
+          id: entry.id,
+          taskId: entry.taskId,
+          engine: entry.engine,
+          videoName: entry.videoName,
+          stage: JOB_STAGES.PROCESSING,
+          progress: 0,
+          report: null,
+          error: null
+        }]);
+        return resumeAnalysis(entry, {
+          task: tasks[entry.taskId],
+          signal: controller.signal,
+          onProgress: (progress, stage) => patch(entry.id, { progress, stage }),
+          onBalance: (balance) => callbacksRef.current.onBalance(balance)
+        });
+      });
+      // Another tab is already on it
+      if (!report) return;
+      patch(entry.id, { report: (await callbacksRef.current.onFinished(report)) || report });
+    } catch (err) {
+      const refunded = err.refunded ? ` ${err.refunded} credits refunded.` : '';
+      const message = err.name === 'AbortError' ? 'Cancelled.' : err.message || 'Analysis failed.';
+      patch(entry.id, { stage: JOB_STAGES.FAILED, error: message + refunded });
+    } finally {
+      controllersRef.current.delete(entry.id);
+    }
+  };
+
+  useEffect(() => {
+    const ready = pendingRef.current.filter(entry => tasks[entry.taskId]);
+    pendingRef.current = pendingRef.current.filter(entry => !ready.includes(entry));
+    ready.forEach(resume);
+  }, [tasks]);
+
+  return {
+    jobs,
+    cancel: (id) => controllersRef.current.get(id)?.abort(),
+    dismiss: (id) => setJobs(prev => prev.filter(job => job.id !== id))
+  };
+};
@@ -0,0 +1,244 @@
+// ============================================
+// VERIFY REPORT PAGE
+// CR AudioViz AI, LLC
+//
+// Re-checks an exported report (JSON, Markdown or PDF) against its
+// chain-of-custody manifest: the seal (checked by the API server), the
+// findings' hash, the analysis entry in the activity log and, given the
+// original video, its SHA-256.
+// ============================================
+
+import React, { useState } from 'react';
+import {
+  ShieldCheck, ShieldAlert, Upload, Loader2, AlertCircle, CheckCircle, XCircle, HelpCircle, FileVideo
+} from 'lucide-react';
+import { readPayloads, checkPayload } from './manifest.js';
+import { sealedAnalyses } from './activity.js';
+import { hashFile } from '../cache/fileHash.js';
+import { formatTimestamp } from '../utils/time.js';
+
+const CHECK_ICONS = { pass: CheckCircle, fail: XCircle, unknown: HelpCircle };
+
+const Check = ({ state, children }) => {
+  const Icon = CHECK_ICONS[state];
+  return (
+    <li className={`verify-check verify-${state}`}>
+      <Icon size={16} /> <span>{children}</span>
+    </li>
+  );
+};
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '–');
+
+// Unsealed manifests have no seal to tell them apart
+const keyOf = (manifest) => manifest.seal || manifest.resultSha256;
+
+const SEAL_CHECKS = {
+  intact: ['pass', 'Manifest seal intact.'],
+  broken: ['fail', 'The manifest was changed after it was sealed.'],
+  missing: ['fail', 'This report was never sealed.'],
+  legacy: ['unknown', 'This report was sealed before seals were signed by the server, so its seal cannot be checked.'],
+  unchecked: ['unknown', 'Could not reach the server to check the seal. Try again later.']
+};
+
+export default function VerifyPage({ engines }) {
+  const [reportName, setReportName] = useState(null);
+  const [results, setResults] = useState([]);
+  const [videoChecks, setVideoChecks] = useState({});
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const engineLabel = (key) => engines[key]?.name || key;
+
+  const readReport = async (file) => {
+    setReportName(file.name);
+    setResults([]);
+    setVideoChecks({});
+    setError(null);
+    setIsReading(true);
+    try {
+      const payloads = readPayloads(await file.text());
+      if (!payloads.length) {
+        throw new Error('No verification data was found in this file. Verify reads JSON, Markdown and PDF reports exported with a chain-of-custody manifest.');
+      }
+      const [logged, checks] = await Promise.all([sealedAnalyses(), Promise.all(payloads.map(checkPayload))]);
+      setResults(payloads.map((payload, i) => ({
+        ...payload,
+        ...checks[i],
+        logEntry: logged ? logged.get(payload.manifest.seal) || null : undefined
+      })));
+    } catch (err) {
+      setError(err.message || 'Could not read this report.');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const checkVideo = async (key, expected, file) => {
+    setVideoChecks(prev => ({ ...prev, [key]: { name: file.name, progress: 0 } }));
+    try {
+      const hash = await hashFile(file, {
+        onProgress: (progress) => setVideoChecks(prev => ({ ...prev, [key]: { ...prev[key], progress } }))
+      });
+      setVideoChecks(prev => ({ ...prev, [key]: { name: file.name, matches: hash === expected } }));
+    } catch (err) {
+      setVideoChecks(prev => ({ ...prev, [key]: { name: file.name, error: err.message } }));
+    }
+  };
+
+  const renderVideoCheck = ({ manifest }) => {
+    const check = videoChecks[keyOf(manifest)];
+    if (!manifest.video.sha256) {
+      return <Check state="unknown">No video fingerprint was recorded for this analysis.</Check>;
+    }
+    if (!check) {
+      return (
+        <li className="verify-check verify-unknown">
+          <FileVideo size={16} />
+          <label className="btn btn-sm verify-video-pick">
+            Check against the original video
+            <input
+              type="file"
+              accept="video/*"
+              onChange={(e) => {
+                if (e.target.files?.[0]) checkVideo(keyOf(manifest), manifest.video.sha256, e.target.files[0]);
+                e.target.value = '';
+              }}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </li>
+      );
+    }
+    if (check.error) return <Check state="fail">Could not read {check.name}: {check.error}</Check>;
+    if (check.matches == null) {
+      return (
+        <li className="verify-check verify-unknown">
+          <Loader2 size={16} className="spinner" /> <span>Fingerprinting {check.name}... {Math.round(check.progress * 100)}%</span>
+        </li>
+      );
+    }
+    return check.matches
+      ? <Check state="pass">{check.name} is the footage this report was made from.</Check>
+      : <Check state="fail">{check.name} is not the footage this report was made from.</Check>;
+  };
+
+  const renderResult = (result) => {
+    const { manifest, data, seal, resultIntact, logEntry } = result;
+    const intact = seal === 'intact' && resultIntact && logEntry !== null;
+    const [sealState, sealText] = SEAL_CHECKS[seal];
+    const VerdictIcon = intact ? ShieldCheck : ShieldAlert;
+    return (
+      <article key={keyOf(manifest)} className={`result-card verify-card ${intact ? 'verify-intact' : 'verify-broken'}`}>
+        <h3>
+          <VerdictIcon size={20} />
+          {manifest.video.name} · {manifest.analysis.taskName}
+        </h3>
+
+        <ul className="verify-checks">
+          <Check state={sealState}>{sealText}</Check>
+          <Check state={resultIntact ? 'pass' : 'fail'}>
+            {resultIntact ? 'Findings match the manifest.' : 'The findings were changed after the analysis.'}
+          </Check>
+          {logEntry === undefined && <Check state="unknown">Sign in to check the analysis against your activity log.</Check>}
+          {logEntry === null && <Check state="fail">No analysis with this seal is in your activity log.</Check>}
+          {logEntry && (
+            <Check state="pass">
+              Logged to your activity on {formatTime(logEntry.timestamp || logEntry.created_at || logEntry.details.at)}.
+            </Check>
+          )}
+          {renderVideoCheck(result)}
+        </ul>
+
+        <dl className="verify-details">
+          <dt>Video SHA-256</dt>
+          <dd><code>{manifest.video.sha256 || 'Not recorded'}</code></dd>
+          {manifest.video.url && (
+            <>
+              <dt>Video link</dt>
+              <dd><code>{manifest.video.url}</code></dd>
+            </>
+          )}
+          <dt>Video</dt>
+          <dd>
+            {manifest.video.size != null ? `${(manifest.video.size / (1024 * 1024)).toFixed(1)} MB` : '–'}
+            {manifest.video.duration ? ` · ${formatTimestamp(manifest.video.duration)}` : ''}
+          </dd>
+          <dt>Engines</dt>
+          <dd>{manifest.analysis.engines.map(engineLabel).join(', ')}</dd>
+          <dt>Prompt version</dt>
+          <dd><code>{manifest.analysis.promptVersion}</code></dd>
+          <dt>Analyzed by</dt>
+          <dd>{manifest.user?.email || 'Signed-out user'}</dd>
+          <dt>Started / finished</dt>
+          <dd>{formatTime(manifest.analysis.startedAt)} / {formatTime(manifest.analysis.finishedAt)}</dd>
+          <dt>Result SHA-256</dt>
+          <dd><code>{manifest.resultSha256}</code></dd>
+          <dt>Seal</dt>
+          <dd><code>{manifest.seal || 'Not sealed'}</code></dd>
+        </dl>
+
+        <details className="verify-prompts">
+          <summary>Prompts sent</summary>
+          {Object.entries(manifest.analysis.prompts).map(([engine, prompt]) => (
+            <div key={engine}>
+              <strong>{engineLabel(engine)}</strong>
+              <pre>{prompt}</pre>
+            </div>
+          ))}
+        </details>
+
+        {resultIntact && (data.summary || data.answer) && (
+          <p className="verify-summary">
+            <strong>Verified findings:</strong> {data.summary || data.answer}
+            {data.damageItems && ` (${data.damageItems.length} damage item${data.damageItems.length === 1 ? '' : 's'})`}
+          </p>
+        )}
+      </article>
+    );
+  };
+
+  return (
+    <main className="main">
+      <section className="history-section">
+        <h2><ShieldCheck size={24} /> Verify Report</h2>
+        <p className="verify-intro">
+          Open an exported report to check that its findings are unchanged since the analysis and, with the
+          original video, that it came from that footage.
+        </p>
+
+        <label
+          className="upload-zone verify-drop"
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files?.[0];
+            if (file) readReport(file);
+          }}
+        >
+          {isReading ? <Loader2 size={32} className="spinner" /> : <Upload size={32} />}
+          <span>{reportName || 'Drop a report or click to browse'}</span>
+          <span className="upload-formats">JSON, Markdown or PDF export</span>
+          <input
+            type="file"
+            accept=".json,.md,.pdf,application/json,text/markdown,application/pdf"
+            onChange={(e) => {
+              if (e.target.files?.[0]) readReport(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+
+        {error && (
+          <div className="error-banner">
+            <AlertCircle size={20} />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {results.map(renderResult)}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,114 @@
+// ============================================
+// AUDIT TRAIL
+// CR AudioViz AI, LLC
+//
+// Every upload, analysis, export and share is logged to CentralActivity
+// with what an auditor needs to follow the footage: file hash, size and
+// duration, engine, prompts and version, user and times. Logging never
+// blocks or fails the action it records.
+// ============================================
+
+import { CentralActivity } from '../../lib/central-services.ts';
+import { APP_ID } from '../billing/credits.js';
+import { hashFile } from '../cache/fileHash.js';
+import { probeVideo } from '../frames/extract.js';
+
+export const AUDIT_ACTIONS = {
+  UPLOAD: 'video_upload',
+  ANALYSIS: 'video_analysis',
+  EXPORT: 'report_export',
+  SHARE: 'template_share'
+};
+
+// How far back the Verify page looks for a report's seal
+const HISTORY_LIMIT = 500;
+
+const who = (user) => (user ? { userId: user.id ?? null, userEmail: user.email ?? null } : { userId: null, userEmail: null });
+
+const log = (action, details, user) => {
+  CentralActivity.log(action, { ...details, ...who(user), at: new Date().toISOString() }, APP_ID)
+    .catch(err => console.warn('[Audit] Could not log activity:', err));
+};
+
+// Videos added together are hashed and measured one after another
+let uploads = Promise.resolve();
+
+// Hashes and measures the video before logging; a file that can't be read
+// is still logged, without those fields. The hash is kept (see fileHash.js),
+// so analyzing the video doesn't read it again. A linked video is logged by
+// its link, since it isn't downloaded to be hashed.
+export const logUpload = (file, user, { source = 'upload' } = {}) => {
+  if (file.remote) {
+    log(AUDIT_ACTIONS.UPLOAD, {
+      source: 'link',
+      fileName: file.name,
+      url: file.source,
+      etag: file.etag,
+      size: file.size,
+      type: file.type,
+      duration: file.duration,
+      sha256: null
+    }, user);
+    return Promise.resolve();
+  }
+  uploads = uploads.then(async () => {
+    const sha256 = await hashFile(file).catch(() => null);
+    const probe = await probeVideo(file).catch(() => null);
+    log(AUDIT_ACTIONS.UPLOAD, {
+      source,
+      fileName: file.name,
+      size: file.size,
+      type: file.type,
+      duration: probe?.duration ?? null,
+      sha256
+    }, user);
+  });
+  return uploads;
+};
+
+// manifest: the report's chain-of-custody manifest (see manifest.js)
+export const logAnalysis = (report, user) => {
+  const { manifest } = report;
+  log(AUDIT_ACTIONS.ANALYSIS, {
+    fileName: report.videoName,
+    size: report.videoSize,
+    duration: report.videoDuration ?? null,
+    sha256: report.videoSha256 ?? null,
+    url: report.videoUrl ?? null,
+    task: report.task,
+    engine: report.api,
+    engines: manifest?.analysis.engines,
+    prompts: manifest?.analysis.prompts,
+    promptVersion: manifest?.analysis.promptVersion,
+    startedAt: report.startedAt ?? null,
+    finishedAt: report.timestamp,
+    creditsCharged: report.creditsCharged,
+    resultSha256: manifest?.resultSha256,
+    seal: manifest?.seal
+  }, user);
+};
+
+// reports: the exported reports (one, or a batch)
+export const logExport = (reports, format, user) => {
+  log(AUDIT_ACTIONS.EXPORT, {
+    format,
+    reports: reports.map(report => ({
+      fileName: report.videoName,
+      sha256: report.videoSha256 ?? null,
+      engine: report.api,
+      seal: report.manifest?.seal ?? null
+    }))
+  }, user);
+};
+
+export const logShare = (details, user) => log(AUDIT_ACTIONS.SHARE, details, user);
+
+// Logged analyses by seal: Map(seal -> activity entry), or null when the
+// activity log can't be read (e.g. signed out)
+export const sealedAnalyses = async () => {
+  const response = await CentralActivity.getHistory(HISTORY_LIMIT).catch(() => null);
+  if (!response?.success) return null;
+  return new Map((response.data || [])
+    .filter(entry => entry.action === AUDIT_ACTIONS.ANALYSIS && entry.details?.seal)
+    .map(entry => [entry.details.seal, entry]));
+};
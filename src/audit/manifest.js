@@ -0,0 +1,147 @@
+// ============================================
+// CHAIN-OF-CUSTODY MANIFEST
+// CR AudioViz AI, LLC
+//
+// Ties a report to the footage that produced it. The manifest records the
+// video's SHA-256, size and duration, the engines, prompts and prompt
+// version, the user and the times, plus the SHA-256 of the result data. The
+// API server seals it with a key only the server holds (server/seal.js) and
+// checks the seal again on request, and the seal is logged to
+// CentralActivity when the analysis finishes, so a report edited after the
+// fact no longer matches its seal, its own hashes or the activity log.
+// ============================================
+
+import { createSha256 } from '../cache/sha256.js';
+import { promptVersion } from '../cache/resultCache.js';
+import { resolvePrompt } from '../engines/index.js';
+import { apiUrl } from '../engines/config.js';
+import { authHeaders } from '../auth/session.js';
+
+export const MANIFEST_FORMAT = 'javari-manifest/2';
+
+// Sealed in the browser with a plain SHA-256, which anyone could recompute
+const LEGACY_FORMAT = 'javari-manifest/1';
+
+// Marks the embedded payload in Markdown and PDF exports
+export const PAYLOAD_TAG = 'javari-verification';
+
+// JSON with sorted keys, so the same data always hashes the same
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export const sha256Text = (text) => {
+  const sha = createSha256();
+  sha.update(new TextEncoder().encode(text));
+  return sha.digest();
+};
+
+const postJson = async (path, body, headers = {}) => {
+  const response = await fetch(apiUrl(path), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(result.error?.message || `HTTP ${response.status}`);
+  return result;
+};
+
+// report: an analysis report carrying videoSha256 and startedAt (see
+// runAnalysis). Returns the manifest, not yet sealed (seal: null).
+export const buildManifest = (report, { task, user }) => {
+  const engines = report.engines?.length ? report.engines : [report.api];
+  const manifest = {
+    format: MANIFEST_FORMAT,
+    video: {
+      name: report.videoName,
+      size: report.videoSize ?? null,
+      duration: report.videoDuration ?? null,
+      sha256: report.videoSha256 ?? null,
+      url: report.videoUrl ?? null
+    },
+    analysis: {
+      task: report.task,
+      taskName: task.name,
+      engines,
+      prompts: Object.fromEntries(engines.map(engine => [engine, resolvePrompt(task, engine, report.query || '')])),
+      promptVersion: promptVersion(task),
+      startedAt: report.startedAt ?? null,
+      finishedAt: report.timestamp
+    },
+    user: user ? { id: user.id ?? null, email: user.email ?? null } : null,
+    resultSha256: sha256Text(canonicalJson(report.data)),
+    issuedAt: new Date().toISOString(),
+    seal: null
+  };
+  return manifest;
+};
+
+// The manifest as sealed by the server, which also sets the user (from the
+// session) and the time. Throws when it can't be sealed.
+export const sealManifest = async (manifest) =>
+  (await postJson('seal', { manifest }, await authHeaders())).manifest;
+
+// What exports embed: the manifest and the data it vouches for
+export const verificationPayload = (report) => (report.manifest ? { manifest: report.manifest, data: report.data } : null);
+
+// Base64 of the payload's JSON, for formats that can only carry a string
+export const encodePayload = (payload) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const decodePayload = (encoded) => {
+  const binary = atob(encoded);
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+};
+
+const isPayload = (value) => [MANIFEST_FORMAT, LEGACY_FORMAT].includes(value?.manifest?.format) && value.data !== undefined;
+
+// Every payload in an exported report: a JSON export (single or batch), or
+// the tagged payloads in a Markdown or PDF export
+export const readPayloads = (text) => {
+  try {
+    const json = JSON.parse(text);
+    const reports = Array.isArray(json.clips) ? json.clips.map(clip => clip.result) : [json];
+    return reports.map(report => ({ manifest: report?.manifest, data: report?.data })).filter(isPayload);
+  } catch {
+    // Not JSON; look for tagged payloads
+  }
+  const tagged = new RegExp(`${PAYLOAD_TAG}:([A-Za-z0-9+/=]+)`, 'g');
+  return [...text.matchAll(tagged)]
+    .map(match => {
+      try {
+        return decodePayload(match[1]);
+      } catch {
+        return null;
+      }
+    })
+    .filter(isPayload);
+};
+
+// { seal, resultIntact } for a payload read back from an export. seal is
+// 'intact', 'broken', 'missing' (never sealed), 'legacy' (sealed before the
+// server signed seals, so it can't be checked) or 'unchecked' (the server
+// couldn't be asked).
+export const checkPayload = async ({ manifest, data }) => {
+  const resultIntact = sha256Text(canonicalJson(data)) === manifest.resultSha256;
+  if (manifest.format === LEGACY_FORMAT) return { seal: 'legacy', resultIntact };
+  if (!manifest.seal) return { seal: 'missing', resultIntact };
+  try {
+    const { sealIntact } = await postJson('verify-seal', { manifest });
+    return { seal: sealIntact ? 'intact' : 'broken', resultIntact };
+  } catch (err) {
+    console.warn('[Verify] Could not check the seal:', err.message);
+    return { seal: 'unchecked', resultIntact };
+  }
+};
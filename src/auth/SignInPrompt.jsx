@@ -0,0 +1,55 @@
+// ============================================
+// ENGINE SIGN-IN PROMPT
+// CR AudioViz AI, LLC
+//
+// Shown in the credit prompt when there is no engine session (see
+// session.js): emails a sign-in link to the account's address.
+// ============================================
+
+import React, { useState } from 'react';
+import { Loader2, Mail } from 'lucide-react';
+import { sendSignInLink } from './session.js';
+
+// email: the CR AudioViz AI account's address, when known
+export default function SignInPrompt({ email: accountEmail }) {
+  const [email, setEmail] = useState(accountEmail || '');
+  const [isSending, setIsSending] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+  const [error, setError] = useState(null);
+
+  const send = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || isSending) return;
+    setIsSending(true);
+    setError(null);
+    try {
+      await sendSignInLink(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  if (sentTo) {
+    return <span>Check {sentTo} for a sign-in link, then come back to this page.</span>;
+  }
+
+  return (
+    <form className="signin-prompt" onSubmit={send}>
+      <span>Confirm your email to use the analysis engines.</span>
+      <input
+        type="email"
+        placeholder="you@example.com"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        disabled={isSending}
+      />
+      <button type="submit" className="btn btn-sm btn-primary" disabled={!email.trim() || isSending}>
+        {isSending ? <Loader2 size={16} className="spinner" /> : <Mail size={16} />} Email me a link
+      </button>
+      {error && <span className="signin-error">{error}</span>}
+    </form>
+  );
+}
@@ -0,0 +1,68 @@
+// ============================================
+// ENGINE SESSION
+// CR AudioViz AI, LLC
+//
+// The API server only relays engine calls for a signed-in user (see
+// server/auth.js). The browser signs in to Supabase with an emailed link,
+// for the same address as the CR AudioViz AI account, and sends the
+// session's access token with every call to /api. The same session is what
+// row-level security sees when history and templates are read or written
+// in Supabase. Without Supabase configured (local development) no session
+// is needed or sent.
+// ============================================
+
+import { useState, useEffect } from 'react';
+import { getSupabase } from '../utils/supabase.js';
+
+export const sessionRequired = () => Boolean(getSupabase());
+
+// supabase-js refreshes an expired token here
+const getSession = async () => {
+  const client = getSupabase();
+  if (!client) return null;
+  const { data } = await client.auth.getSession();
+  return data.session;
+};
+
+// Authorization header for calls to the API server
+export const authHeaders = async () => {
+  const token = (await getSession())?.access_token;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// The Supabase user, whose id row-level security checks (auth.uid()), or null
+export const sessionUser = async () => (await getSession())?.user ?? null;
+
+// The current session: undefined while loading, then the session or null
+export const useSession = () => {
+  const [session, setSession] = useState(() => (getSupabase() ? undefined : null));
+
+  useEffect(() => {
+    const client = getSupabase();
+    if (!client) return undefined;
+    let current = true;
+    client.auth.getSession().then(({ data }) => current && setSession(data.session));
+    const { data } = client.auth.onAuthStateChange((event, next) => setSession(next));
+    return () => {
+      current = false;
+      data.subscription.unsubscribe();
+    };
+  }, []);
+
+  return session;
+};
+
+// Emails a sign-in link that brings the user back to this page. Only
+// existing accounts can sign in.
+export const sendSignInLink = async (email) => {
+  const { error } = await getSupabase().auth.signInWithOtp({
+    email,
+    options: {
+      emailRedirectTo: `${window.location.origin}${window.location.pathname}`,
+      shouldCreateUser: false
+    }
+  });
+  if (error) throw new Error(error.message || 'Could not send the sign-in link');
+};
+
+export const signOut = () => getSupabase()?.auth.signOut();
@@ -0,0 +1,221 @@
+// ============================================
+// BATCH PANEL
+// CR AudioViz AI, LLC
+//
+// The batch queue on the Analyze page: one row per video with its own task,
+// engine, status, progress and retry, plus the rolled-up summary and a
+// single export for the whole batch.
+// ============================================
+
+import React, { useRef, useState, useMemo } from 'react';
+import {
+  Layers, Play, Pause, RefreshCw, X, FolderOpen, Download, Upload,
+  Loader2, CheckCircle, AlertCircle, Clock
+} from 'lucide-react';
+import { JOB_STATUS, MAX_CONCURRENCY } from './queue.js';
+import { summarizeBatch } from './summary.js';
+import { BATCH_EXPORTERS } from './export.js';
+import { STAGE_LABELS } from '../analysis/lifecycle.js';
+import { downloadText } from '../exporters/index.js';
+import { SEVERITIES } from '../results/fields.js';
+
+const STATUS_LABELS = {
+  [JOB_STATUS.QUEUED]: 'Queued',
+  [JOB_STATUS.RUNNING]: 'Running',
+  [JOB_STATUS.DONE]: 'Done',
+  [JOB_STATUS.FAILED]: 'Failed'
+};
+
+const STATUS_ICONS = {
+  [JOB_STATUS.QUEUED]: Clock,
+  [JOB_STATUS.RUNNING]: Loader2,
+  [JOB_STATUS.DONE]: CheckCircle,
+  [JOB_STATUS.FAILED]: AlertCircle
+};
+
+// batch: { jobs, running, concurrency, queue } from useBatchQueue
+// engineOptions: { key: name } for the per-video engine picker
+// jobCost(job): credits the job will be charged
+// onExport(reports, format): after the batch report is downloaded
+export default function BatchPanel({
+  batch, tasks, engineOptions, engineName, jobCost, onAddFiles, onOpen, onExport = () => {}
+}) {
+  const { jobs, running, concurrency, queue } = batch;
+  const fileInputRef = useRef(null);
+  const [exportFormat, setExportFormat] = useState('markdown');
+
+  const summary = useMemo(() => summarizeBatch(jobs), [jobs]);
+  const waiting = jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+  const missingTask = waiting.some(job => !job.settings.task);
+  const queuedCost = waiting.reduce((total, job) => total + (job.settings.task ? jobCost(job) : 0), 0);
+
+  const exportBatch = () => {
+    const exporter = BATCH_EXPORTERS[exportFormat];
+    const text = exporter.render(jobs, {
+      taskName: (key) => tasks[key]?.name || key,
+      engineName
+    });
+    downloadText(text, exporter, 'javari-batch');
+    onExport(jobs.filter(job => job.result).map(job => job.result), exportFormat);
+  };
+
+  return (
+    <section className="batch-section">
+      <div className="results-header">
+        <h2><Layers size={24} /> Batch Queue <span className="batch-count">{jobs.length} videos</span></h2>
+        <div className="results-actions">
+          <label className="batch-concurrency">
+            Run
+            <select value={concurrency} onChange={(e) => queue.setConcurrency(Number(e.target.value))}>
+              {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+            at a time
+          </label>
+          <button className="btn btn-sm" onClick={() => fileInputRef.current?.click()}>
+            <Upload size={16} /> Add videos
+          </button>
+          {running ? (
+            <button className="btn btn-sm" onClick={() => queue.pause()}>
+              <Pause size={16} /> Pause
+            </button>
+          ) : (
+            <button className="btn btn-sm btn-primary" onClick={() => queue.start()} disabled={!waiting.length || missingTask}>
+              <Play size={16} /> Run batch
+            </button>
+          )}
+          {summary.completed > 0 && (
+            <button className="btn btn-sm btn-secondary" onClick={() => queue.clearFinished()}>
+              Clear finished
+            </button>
+          )}
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="video/*"
+          multiple
+          onChange={(e) => {
+            onAddFiles([...e.target.files]);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {waiting.length > 0 && (
+        <p className="batch-note">
+          {waiting.length} queued · {queuedCost} credits, charged as each video starts.
+          {missingTask && ' Choose a task for every video to run the batch.'}
+        </p>
+      )}
+
+      <ul className="batch-list">
+        {jobs.map(job => {
+          const StatusIcon = STATUS_ICONS[job.status];
+          const editable = job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.FAILED;
+          return (
+            <li key={job.id} className={`batch-job status-${job.status}`}>
+              <div className="batch-job-main">
+                <span className="batch-job-name" title={job.name}>{job.name}</span>
+                <select
+                  value={job.settings.task || ''}
+                  disabled={!editable}
+                  onChange={(e) => queue.update(job.id, { task: e.target.value })}
+                  aria-label={`Task for ${job.name}`}
+                >
+                  <option value="" disabled>Choose a task</option>
+                  {Object.entries(tasks).map(([key, task]) => (
+                    <option key={key} value={key}>{task.name}</option>
+                  ))}
+                </select>
+                <select
+                  value={job.settings.api}
+                  disabled={!editable}
+                  onChange={(e) => queue.update(job.id, { api: e.target.value })}
+                  aria-label={`Engine for ${job.name}`}
+                >
+                  {Object.entries(engineOptions).map(([key, name]) => (
+                    <option key={key} value={key}>{name}</option>
+                  ))}
+                </select>
+                <span className="batch-job-status">
+                  <StatusIcon size={14} className={job.status === JOB_STATUS.RUNNING ? 'spinner' : ''} />
+                  {(job.status === JOB_STATUS.RUNNING && STAGE_LABELS[job.stage]) || STATUS_LABELS[job.status]}
+                  {job.tries > 0 && ` (retry ${job.tries})`}
+                </span>
+                <div className="batch-job-actions">
+                  {job.status === JOB_STATUS.DONE && (
+                    <button className="btn btn-sm btn-primary" onClick={() => onOpen(job)}>
+                      <FolderOpen size={16} /> View
+                    </button>
+                  )}
+                  {job.status === JOB_STATUS.FAILED && (
+                    <button className="btn btn-sm" onClick={() => queue.retry(job.id)}>
+                      <RefreshCw size={16} /> Retry
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-sm btn-danger"
+                    onClick={() => queue.remove(job.id)}
+                    title={job.status === JOB_STATUS.RUNNING ? 'Cancel and remove' : 'Remove'}
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              </div>
+              {job.status === JOB_STATUS.RUNNING && (
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${job.progress}%` }} />
+                </div>
+              )}
+              {job.error && <p className="batch-job-error">{job.error}</p>}
+            </li>
+          );
+        })}
+      </ul>
+
+      {summary.completed > 0 && (
+        <div className="result-card batch-summary">
+          <h3>Batch Summary</h3>
+          <div className="batch-stats">
+            <div>
+              <strong>{summary.completed}/{summary.clips}</strong>
+              <span>clips done{summary.failed ? ` · ${summary.failed} failed` : ''}</span>
+            </div>
+            <div>
+              <strong>{summary.totalDamage}</strong>
+              <span>{SEVERITIES.map(s => `${summary.severityCounts[s]} ${s.toLowerCase()}`).join(' · ')}</span>
+            </div>
+            {summary.worstCondition && (
+              <div>
+                <strong>{summary.worstCondition.score}/10</strong>
+                <span>worst condition ({summary.worstCondition.label}) · {summary.worstCondition.videoName}</span>
+              </div>
+            )}
+            <div>
+              <strong>{summary.creditsCharged}</strong>
+              <span>credits charged</span>
+            </div>
+          </div>
+          <div className="results-actions">
+            <select
+              className="export-format"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              aria-label="Batch export format"
+            >
+              {Object.entries(BATCH_EXPORTERS).map(([format, exporter]) => (
+                <option key={format} value={format}>{exporter.label}</option>
+              ))}
+            </select>
+            <button className="btn btn-sm" onClick={exportBatch}>
+              <Download size={16} /> Export batch report
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,103 @@
+// ============================================
+// BATCH EXPORT
+// CR AudioViz AI, LLC
+//
+// One report for a whole batch: the rolled-up summary, a row per clip and,
+// in Markdown, each clip's full report. Same exporter shape as
+// exporters/index.js, but render takes the batch jobs:
+//   render(jobs, { taskName(key), engineName(key) })
+// ============================================
+
+import { csvLines } from '../exporters/csv.js';
+import { markdownExporter as clipMarkdown, tableCell } from '../exporters/markdown.js';
+import { formatTimestamp } from '../utils/time.js';
+import { SEVERITIES } from '../results/fields.js';
+import { summarizeBatch, clipFigures } from './summary.js';
+import { JOB_STATUS } from './queue.js';
+
+const percent = (value) => (value != null ? `${Math.round(value * 100)}%` : '');
+
+const clipContext = (job, { taskName, engineName }) => ({
+  taskName: taskName(job.settings.task),
+  engineName: engineName(job.result?.api || job.settings.api)
+});
+
+const jsonExporter = {
+  label: 'JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  render: (jobs) => JSON.stringify({
+    summary: summarizeBatch(jobs),
+    clips: jobs.map(job => ({ videoName: job.name, task: job.settings.task, status: job.status, error: job.error, result: job.result }))
+  }, null, 2)
+};
+
+const CSV_COLUMNS = ['Video', 'Task', 'Engine', 'Status', 'Condition', 'Damage Items', ...SEVERITIES, 'Confidence', 'Credits', 'Error'];
+
+const csvExporter = {
+  label: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+
+  render(jobs, names) {
+    const rows = jobs.map(job => {
+      const clip = clipFigures(job);
+      const { taskName, engineName } = clipContext(job, names);
+      return [
+        clip.videoName, taskName, engineName, clip.status, clip.conditionScore ?? '', clip.damageCount,
+        ...SEVERITIES.map(s => clip.severityCounts[s]), percent(clip.confidence), clip.creditsCharged, clip.error || ''
+      ];
+    });
+    const summary = summarizeBatch(jobs);
+    const total = [
+      'Total', '', '', `${summary.completed}/${summary.clips} done`, summary.worstCondition?.score ?? '', summary.totalDamage,
+      ...SEVERITIES.map(s => summary.severityCounts[s]), '', summary.creditsCharged, ''
+    ];
+    return csvLines([CSV_COLUMNS, ...rows, total]);
+  }
+};
+
+const markdownExporter = {
+  label: 'Markdown',
+  extension: 'md',
+  mimeType: 'text/markdown',
+
+  render(jobs, names) {
+    const summary = summarizeBatch(jobs);
+    const sections = [
+      `# Batch Analysis: ${summary.clips} clips`,
+      [
+        `- **Completed:** ${summary.completed} of ${summary.clips}${summary.failed ? ` (${summary.failed} failed)` : ''}`,
+        `- **Damage items:** ${summary.totalDamage} (${SEVERITIES.map(s => `${summary.severityCounts[s]} ${s}`).join(', ')})`,
+        summary.worstCondition
+          ? `- **Worst condition:** ${summary.worstCondition.score}/10 (${summary.worstCondition.label}) in ${summary.worstCondition.videoName}`
+          : null,
+        summary.averageCondition ? `- **Average condition:** ${summary.averageCondition.score}/10 (${summary.averageCondition.label})` : null,
+        summary.totalDuration ? `- **Footage analyzed:** ${formatTimestamp(summary.totalDuration)}` : null,
+        `- **Credits charged:** ${summary.creditsCharged}`
+      ].filter(Boolean).join('\n')
+    ];
+
+    const rows = jobs.map(job => {
+      const clip = clipFigures(job);
+      const { taskName, engineName } = clipContext(job, names);
+      return `| ${[clip.videoName, taskName, engineName, clip.error ? `${clip.status}: ${clip.error}` : clip.status,
+        clip.conditionScore ?? '–', clip.damageCount, clip.severityCounts.Critical, percent(clip.confidence)].map(tableCell).join(' | ')} |`;
+    });
+    sections.push(['## Clips', '', '| Video | Task | Engine | Status | Condition | Damage | Critical | Confidence |',
+      '|---|---|---|---|---|---|---|---|', ...rows].join('\n'));
+
+    // Each clip's own report, one heading level down
+    for (const job of jobs.filter(j => j.status === JOB_STATUS.DONE)) {
+      sections.push(clipMarkdown.render(job.result, clipContext(job, names)).trim().replace(/^#/gm, '##'));
+    }
+
+    return sections.join('\n\n') + '\n';
+  }
+};
+
+export const BATCH_EXPORTERS = {
+  markdown: markdownExporter,
+  csv: csvExporter,
+  json: jsonExporter
+};
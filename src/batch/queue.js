@@ -0,0 +1,141 @@
+// ============================================
+// BATCH QUEUE
+// CR AudioViz AI, LLC
+//
+// Runs many analysis jobs with bounded concurrency. Each job carries its own
+// settings and has its own status, progress, error and result. The queue
+// knows nothing about engines: it calls run(job, { signal, onProgress }) and
+// records whatever that resolves or rejects with. onProgress(progress, stage)
+// may name the stage the job is in; the queue only passes it on.
+// ============================================
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 4;
+
+const clampConcurrency = (n) => Math.min(MAX_CONCURRENCY, Math.max(1, Math.round(n) || 1));
+
+// onChange receives { jobs, running, concurrency } after every change; jobs
+// is replaced (never mutated) so it can go straight into React state.
+export const createBatchQueue = ({ run, concurrency = DEFAULT_CONCURRENCY, onChange = () => {} }) => {
+  let jobs = [];
+  let limit = clampConcurrency(concurrency);
+  let running = false;
+  let nextId = 1;
+  const controllers = new Map();
+
+  const emit = () => onChange({ jobs, running, concurrency: limit });
+
+  const patch = (id, changes) => {
+    jobs = jobs.map(job => (job.id === id ? { ...job, ...changes } : job));
+  };
+
+  const launch = async (job) => {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    patch(job.id, { status: JOB_STATUS.RUNNING, progress: 0, stage: null, error: null });
+    emit();
+
+    try {
+      const result = await run(job, {
+        signal: controller.signal,
+        onProgress: (progress, stage = null) => {
+          patch(job.id, { progress, stage });
+          emit();
+        }
+      });
+      patch(job.id, { status: JOB_STATUS.DONE, progress: 100, result });
+    } catch (err) {
+      // A removed job has nothing left to update
+      if (jobs.some(j => j.id === job.id)) {
+        patch(job.id, { status: JOB_STATUS.FAILED, progress: 0, error: err.message || 'Analysis failed' });
+      }
+    } finally {
+      controllers.delete(job.id);
+      pump();
+    }
+  };
+
+  // Starts queued jobs up to the limit; stops once nothing is left to do
+  const pump = () => {
+    if (running) {
+      const active = jobs.filter(job => job.status === JOB_STATUS.RUNNING).length;
+      const waiting = jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+      waiting.slice(0, Math.max(0, limit - active)).forEach(launch);
+      if (!jobs.some(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)) running = false;
+    }
+    emit();
+  };
+
+  return {
+    // entries: [{ file, settings }]
+    add(entries) {
+      jobs = [
+        ...jobs,
+        ...entries.map(({ file, settings }) => ({
+          id: nextId++,
+          file,
+          name: file.name,
+          size: file.size,
+          settings,
+          status: JOB_STATUS.QUEUED,
+          progress: 0,
+          error: null,
+          result: null,
+          tries: 0
+        }))
+      ];
+      pump();
+    },
+
+    // Settings can change until the job starts (or after it fails)
+    update(id, settings) {
+      const job = jobs.find(j => j.id === id);
+      if (!job || job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.DONE) return;
+      patch(id, { settings: { ...job.settings, ...settings } });
+      emit();
+    },
+
+    retry(id) {
+      const job = jobs.find(j => j.id === id);
+      if (!job || job.status !== JOB_STATUS.FAILED) return;
+      patch(id, { status: JOB_STATUS.QUEUED, error: null, tries: job.tries + 1 });
+      running = true;
+      pump();
+    },
+
+    // Removing a running job cancels it
+    remove(id) {
+      controllers.get(id)?.abort();
+      jobs = jobs.filter(job => job.id !== id);
+      pump();
+    },
+
+    clearFinished() {
+      jobs = jobs.filter(job => job.status !== JOB_STATUS.DONE);
+      emit();
+    },
+
+    start() {
+      running = true;
+      pump();
+    },
+
+    // Running jobs finish; queued ones wait for start()
+    pause() {
+      running = false;
+      emit();
+    },
+
+    setConcurrency(n) {
+      limit = clampConcurrency(n);
+      pump();
+    }
+  };
+};
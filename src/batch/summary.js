@@ -0,0 +1,51 @@
+// ============================================
+// BATCH SUMMARY
+// CR AudioViz AI, LLC
+//
+// Rolls finished batch jobs up into one picture: how many clips ran, total
+// damage by severity, the worst condition score and what it all cost.
+// ============================================
+
+import { SEVERITIES, conditionLabel } from '../results/fields.js';
+import { JOB_STATUS } from './queue.js';
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+// Per-clip figures, used by the summary and the batch exports
+export const clipFigures = (job) => {
+  const data = job.result?.data;
+  const damage = data?.damageItems || [];
+  return {
+    videoName: job.name,
+    status: job.status,
+    error: job.error,
+    conditionScore: data?.overallCondition?.score ?? null,
+    conditionLabel: data?.overallCondition?.label ?? null,
+    damageCount: damage.length,
+    severityCounts: Object.fromEntries(SEVERITIES.map(s => [s, damage.filter(item => item.severity === s).length])),
+    confidence: data?.confidence ?? null,
+    duration: job.result?.videoDuration ?? null,
+    creditsCharged: job.result?.creditsCharged ?? 0
+  };
+};
+
+export const summarizeBatch = (jobs) => {
+  const clips = jobs.map(clipFigures);
+  const done = clips.filter(clip => clip.status === JOB_STATUS.DONE);
+  const scored = done.filter(clip => clip.conditionScore != null);
+  const worst = scored.reduce((a, b) => (!a || b.conditionScore < a.conditionScore ? b : a), null);
+  const average = scored.length ? Math.round((sum(scored.map(clip => clip.conditionScore)) / scored.length) * 10) / 10 : null;
+
+  return {
+    clips: clips.length,
+    completed: done.length,
+    failed: clips.filter(clip => clip.status === JOB_STATUS.FAILED).length,
+    pending: clips.filter(clip => clip.status === JOB_STATUS.QUEUED || clip.status === JOB_STATUS.RUNNING).length,
+    totalDamage: sum(done.map(clip => clip.damageCount)),
+    severityCounts: Object.fromEntries(SEVERITIES.map(s => [s, sum(done.map(clip => clip.severityCounts[s]))])),
+    worstCondition: worst ? { videoName: worst.videoName, score: worst.conditionScore, label: worst.conditionLabel } : null,
+    averageCondition: average != null ? { score: average, label: conditionLabel(average) } : null,
+    totalDuration: sum(done.map(clip => clip.duration || 0)),
+    creditsCharged: sum(done.map(clip => clip.creditsCharged))
+  };
+};
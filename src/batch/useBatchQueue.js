@@ -0,0 +1,30 @@
+// ============================================
+// BATCH QUEUE HOOK
+// CR AudioViz AI, LLC
+//
+// Keeps one batch queue for the component's lifetime and mirrors its state
+// into React. run may change between renders (it closes over the current
+// user and settings); the queue always calls the latest one.
+// ============================================
+
+import { useState, useRef, useEffect } from 'react';
+import { createBatchQueue, DEFAULT_CONCURRENCY } from './queue.js';
+
+export const useBatchQueue = (run) => {
+  const runRef = useRef(run);
+  const [state, setState] = useState({ jobs: [], running: false, concurrency: DEFAULT_CONCURRENCY });
+  const queueRef = useRef(null);
+
+  useEffect(() => {
+    runRef.current = run;
+  }, [run]);
+
+  if (!queueRef.current) {
+    queueRef.current = createBatchQueue({
+      run: (job, context) => runRef.current(job, context),
+      onChange: setState
+    });
+  }
+
+  return { ...state, queue: queueRef.current };
+};
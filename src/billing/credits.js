@@ -0,0 +1,91 @@
+// ============================================
+// ANALYSIS CREDITS
+// CR AudioViz AI, LLC
+//
+// Every analysis is billed through CentralCredits: a pre-flight affordability
+// check, a charge when the job is submitted, and a refund when no engine
+// could produce a result. Follow-up questions on an analyzed video are billed
+// the same way at the cheaper video_follow_up rate. Admins are never charged
+// (see isAdmin).
+// ============================================
+
+import { CentralCredits, getCreditCost, isAdmin } from '../../lib/central-services.ts';
+
+export const APP_ID = 'javari-video-analysis';
+
+export const TOP_UP_URL = 'https://craudiovizai.com/pricing#top-up';
+
+// CREDIT_COSTS key for a task, e.g. 'video_property_damage'
+export const creditAction = (task) => `video_${task.id}`;
+
+// User-defined templates carry their own cost (see templates/definition.js)
+export const creditCost = (task) => (task.custom ? task.creditCost : getCreditCost(creditAction(task)));
+
+export const FOLLOW_UP_ACTION = 'video_follow_up';
+
+export const followUpCost = () => getCreditCost(FOLLOW_UP_ACTION);
+
+// CentralCredits tiers include 'enterprise'; CreditsBar only knows three plans
+export const planForTier = (tier) => (tier === 'enterprise' ? 'business' : tier || 'free');
+
+const checkAction = async (action, user) => {
+  if (isAdmin(user?.email)) return { ok: true };
+  if (!user) return { ok: false, reason: 'signin' };
+
+  const response = await CentralCredits.canAfford(action, user.email);
+  if (!response.success) return { ok: false, reason: 'unavailable' };
+  return response.data ? { ok: true } : { ok: false, reason: 'balance' };
+};
+
+// runs: how many engines the task will run on (consensus mode bills each)
+// Returns { ok, reason }; reason is 'signin', 'balance' or 'unavailable'
+export const checkCredits = async (task, user, { runs = 1 } = {}) => {
+  if (runs === 1 && !task.custom) return checkAction(creditAction(task), user);
+  if (isAdmin(user?.email)) return { ok: true };
+  if (!user) return { ok: false, reason: 'signin' };
+
+  // canAfford only knows built-in actions, so compare anything else directly
+  const balance = await CentralCredits.getBalance();
+  if (!balance.success || !balance.data) return { ok: false, reason: 'unavailable' };
+  return balance.data.balance >= creditCost(task) * runs ? { ok: true } : { ok: false, reason: 'balance' };
+};
+
+// Charges the task's cost (per run). Returns { amount, balance }; amount is
+// 0 for admins.
+export const chargeAnalysis = async (task, user, videoName, { runs = 1 } = {}) => {
+  const amount = creditCost(task) * runs;
+  const response = await CentralCredits.spend(
+    amount,
+    APP_ID,
+    runs > 1 ? `${task.name} (${runs}-engine consensus): ${videoName}` : `${task.name}: ${videoName}`,
+    user?.email
+  );
+  if (!response.success) {
+    throw new Error(response.error || 'Could not charge credits for this analysis');
+  }
+  return { amount: response.data.charged, balance: response.data.balance };
+};
+
+// Same shape as checkCredits, for one follow-up question
+export const checkFollowUp = (user) => checkAction(FOLLOW_UP_ACTION, user);
+
+// Charges one follow-up question. Returns { amount, balance }.
+export const chargeFollowUp = async (task, user, videoName) => {
+  const response = await CentralCredits.spend(followUpCost(), APP_ID, `${task.name} follow-up: ${videoName}`, user?.email);
+  if (!response.success) {
+    throw new Error(response.error || 'Could not charge credits for this question');
+  }
+  return { amount: response.data.charged, balance: response.data.balance };
+};
+
+// Gives back a charge when the analysis produced nothing. Returns the new
+// balance, or null if nothing was refunded.
+export const refundAnalysis = async (charge, task, reason) => {
+  if (!charge?.amount) return null;
+  const response = await CentralCredits.refund(charge.amount, APP_ID, `${task.name}: ${reason}`);
+  if (!response.success) {
+    console.error('[Credits] Refund failed:', response.error);
+    return null;
+  }
+  return response.data.balance;
+};
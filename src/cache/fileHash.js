@@ -0,0 +1,60 @@
+// ============================================
+// VIDEO FINGERPRINTS
+// CR AudioViz AI, LLC
+//
+// SHA-256 of a video's bytes, computed in a Web Worker so a large file
+// doesn't freeze the page. Each File is hashed once; asking again returns
+// the same promise. Files are hashed one at a time, since several large
+// videos read at once can run a phone out of memory.
+// ============================================
+
+import { createSha256 } from './sha256.js';
+
+const hashes = new WeakMap();
+
+// Settles when the last hash asked for is done
+let queue = Promise.resolve();
+
+// Without worker support the file is hashed here, a slice at a time
+const hashInPage = async (file, onProgress) => {
+  const sha = createSha256();
+  const sliceSize = 8 * 1024 * 1024;
+  for (let offset = 0; offset < file.size; offset += sliceSize) {
+    sha.update(new Uint8Array(await file.slice(offset, offset + sliceSize).arrayBuffer()));
+    onProgress(Math.min(1, (offset + sliceSize) / file.size));
+  }
+  return sha.digest();
+};
+
+const hashInWorker = (file, onProgress) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./hash.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    if (data.progress != null) {
+      onProgress(data.progress);
+      return;
+    }
+    worker.terminate();
+    if (data.error) reject(new Error(data.error));
+    else resolve(data.hash);
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    reject(new Error(e.message || 'The hashing worker failed'));
+  };
+  worker.postMessage({ file });
+});
+
+// Resolves the file's SHA-256 as hex. onProgress (0-1) only fires for the
+// call that starts the hashing.
+export const hashFile = (file, { onProgress = () => {} } = {}) => {
+  if (!hashes.has(file)) {
+    const hashing = queue.then(() => (
+      typeof Worker !== 'undefined' ? hashInWorker(file, onProgress) : hashInPage(file, onProgress)
+    ));
+    queue = hashing.catch(() => {});
+    // A failed hash can be tried again
+    hashing.catch(() => hashes.delete(file));
+    hashes.set(file, hashing);
+  }
+  return hashes.get(file);
+};
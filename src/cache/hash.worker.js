@@ -0,0 +1,36 @@
+// ============================================
+// FILE HASH WORKER
+// CR AudioViz AI, LLC
+//
+// Hashes a video off the main thread. Message in: { file }. Messages out:
+// { progress (0-1) } while reading, then { hash } or { error }.
+// ============================================
+
+import { createSha256 } from './sha256.js';
+
+// Small files (a few seconds of video) are hashed natively in one go;
+// anything larger is read in slices so it never sits in memory whole
+const NATIVE_LIMIT = 32 * 1024 * 1024;
+const SLICE_SIZE = 8 * 1024 * 1024;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const hashFile = async (file) => {
+  if (file.size <= NATIVE_LIMIT && self.crypto?.subtle) {
+    return toHex(await self.crypto.subtle.digest('SHA-256', await file.arrayBuffer()));
+  }
+  const sha = createSha256();
+  for (let offset = 0; offset < file.size; offset += SLICE_SIZE) {
+    sha.update(new Uint8Array(await file.slice(offset, offset + SLICE_SIZE).arrayBuffer()));
+    self.postMessage({ progress: Math.min(1, (offset + SLICE_SIZE) / file.size) });
+  }
+  return sha.digest();
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    self.postMessage({ hash: await hashFile(data.file) });
+  } catch (err) {
+    self.postMessage({ error: err.message || 'Could not read the video' });
+  }
+};
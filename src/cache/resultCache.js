@@ -0,0 +1,61 @@
+// ============================================
+// RESULT CACHE
+// CR AudioViz AI, LLC
+//
+// Finished reports kept in IndexedDB under the user, the video's content
+// hash, the task, the engines it was routed to, the prompt version and the
+// query, so analyzing the same clip the same way again shows the earlier
+// result at once and charges nothing. The store is the browser profile's,
+// so another account on the same device never gets these results. A linked
+// video is keyed on its link and ETag instead (see remote/remoteVideo.js).
+// ============================================
+
+import { openDatabase, withStore } from '../utils/idb.js';
+import { hashFile } from './fileHash.js';
+import { remoteFingerprint } from '../remote/remoteVideo.js';
+
+// Oldest results beyond this are dropped
+const MAX_ENTRIES = 200;
+
+const db = () => openDatabase('javari-result-cache', {
+  results: { keyPath: 'key', indexes: ['cachedAt'] }
+});
+
+// FNV-1a, enough to tell prompt texts apart
+const fingerprint = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Built-in tasks have no version, so the prompts themselves are part of it;
+// editing one invalidates its cached results. Templates add their version.
+export const promptVersion = (task) => `${task.version ?? 0}.${fingerprint(JSON.stringify(task.prompts || {}))}`;
+
+// request: { userId, file, task, taskId, engines, consensus, query }. Only
+// tasks without prompts (Custom Query) run the query, so only they key on it.
+export const resultCacheKey = async ({ userId, file, task, taskId, engines, consensus = false, query = '' }) => {
+  const hash = file.remote ? remoteFingerprint(file) : await hashFile(file);
+  const route = consensus ? `consensus:${[...engines].sort().join('+')}` : engines.join('>');
+  const asked = Object.keys(task.prompts || {}).length ? '' : query.trim();
+  return [userId || 'signed-out', hash, taskId, route, promptVersion(task), asked].join('|');
+};
+
+// Resolves { report, cachedAt } or null
+export const getCachedResult = async (key) => {
+  const entry = await withStore(await db(), 'results', 'readonly', store => store.get(key));
+  return entry ? { report: entry.report, cachedAt: entry.cachedAt } : null;
+};
+
+export const putCachedResult = async (key, report) => {
+  const database = await db();
+  await withStore(database, 'results', 'readwrite', store => store.put({ key, report, cachedAt: new Date().toISOString() }));
+
+  // Index keys come back oldest first
+  const keys = await withStore(database, 'results', 'readonly', store => store.index('cachedAt').getAllKeys());
+  const excess = keys.slice(0, Math.max(0, keys.length - MAX_ENTRIES));
+  await Promise.all(excess.map(key => withStore(database, 'results', 'readwrite', store => store.delete(key))));
+};
@@ -0,0 +1,230 @@
+// ============================================
+// CAMERA RECORDER
+// CR AudioViz AI, LLC
+//
+// Records an inspection with the device camera (the rear one by default)
+// at a preset that fits the engine limits, with guidance prompts for the
+// chosen task on screen. The reviewed clip is handed to the analyze page
+// like an uploaded file.
+// ============================================
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Video, X, Circle, Square, RotateCcw, Check, Loader2, AlertCircle, Lightbulb } from 'lucide-react';
+import {
+  RECORDING_PRESETS, DEFAULT_PRESET, RECORDING_LIMITS, presetMaxSeconds,
+  canRecord, openCamera, closeCamera, listCameras, cameraErrorMessage, startRecording
+} from './recorder.js';
+import { guidanceFor, GUIDANCE_INTERVAL } from './guidance.js';
+import { describeDuration, describeSize } from '../engines/limits.js';
+import { formatTimestamp } from '../utils/time.js';
+
+// tasks: task key -> task. taskKey: the selected task, if any.
+// onRecorded(file, { duration, taskKey }) takes the kept clip and the task
+// the guidance was for.
+export default function CameraRecorder({ tasks, taskKey, onRecorded, onClose }) {
+  const [presetKey, setPresetKey] = useState(DEFAULT_PRESET);
+  const [cameras, setCameras] = useState([]);
+  const [deviceId, setDeviceId] = useState(null);
+  const [guideTask, setGuideTask] = useState(taskKey || 'property_damage');
+  const [stream, setStream] = useState(null);
+  const [phase, setPhase] = useState('starting');   // starting, ready, recording, review
+  const [progress, setProgress] = useState({ bytes: 0, seconds: 0 });
+  const [recorded, setRecorded] = useState(null);   // { file, duration, url }
+  const [error, setError] = useState(null);
+  const previewRef = useRef(null);
+  const recordingRef = useRef(null);
+
+  const supported = canRecord();
+  const preset = RECORDING_PRESETS[presetKey];
+  const cameraOn = supported && phase !== 'review';
+
+  // The camera is open except while reviewing a clip
+  useEffect(() => {
+    if (!cameraOn) return undefined;
+    let cancelled = false;
+    let opened = null;
+    setPhase('starting');
+    setError(null);
+    openCamera({ deviceId, preset: RECORDING_PRESETS[presetKey] })
+      .then(async (media) => {
+        if (cancelled) {
+          closeCamera(media);
+          return;
+        }
+        opened = media;
+        setStream(media);
+        setPhase('ready');
+        setCameras(await listCameras().catch(() => []));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(cameraErrorMessage(err));
+      });
+    return () => {
+      cancelled = true;
+      recordingRef.current?.stop();
+      closeCamera(opened);
+      setStream(null);
+    };
+  }, [cameraOn, deviceId, presetKey]);
+
+  useEffect(() => {
+    if (previewRef.current) previewRef.current.srcObject = stream;
+  }, [stream]);
+
+  useEffect(() => () => {
+    if (recorded) URL.revokeObjectURL(recorded.url);
+  }, [recorded]);
+
+  const start = () => {
+    const recording = startRecording(stream, preset, {
+      onProgress: (bytes, seconds) => setProgress({ bytes, seconds })
+    });
+    recordingRef.current = recording;
+    setProgress({ bytes: 0, seconds: 0 });
+    setPhase('recording');
+    recording.finished
+      .then(({ file, duration }) => {
+        setRecorded({ file, duration, url: URL.createObjectURL(file) });
+        setPhase('review');
+      })
+      .catch((err) => {
+        setError(err.message || 'Recording failed');
+        setPhase('ready');
+      })
+      .finally(() => {
+        recordingRef.current = null;
+      });
+  };
+
+  const retake = () => {
+    setRecorded(null);
+    setPhase('starting');
+  };
+
+  const keep = () => onRecorded(recorded.file, { duration: recorded.duration, taskKey: guideTask });
+
+  const prompts = guidanceFor(guideTask);
+  const maxSeconds = presetMaxSeconds(preset);
+  const recording = phase === 'recording';
+
+  const renderCamera = () => (
+    <>
+      <div className="recorder-stage">
+        <video ref={previewRef} className="recorder-preview" autoPlay muted playsInline />
+        {phase === 'starting' && !error && (
+          <div className="recorder-status"><Loader2 size={24} className="spinner" /> Starting camera...</div>
+        )}
+        {recording && (
+          <>
+            <div className="recorder-timer">
+              <Circle size={12} className="recorder-dot" /> {formatTimestamp(progress.seconds)} / {formatTimestamp(maxSeconds)}
+            </div>
+            <div className="recorder-prompt">
+              <Lightbulb size={18} /> {prompts[Math.floor(progress.seconds / GUIDANCE_INTERVAL) % prompts.length]}
+            </div>
+          </>
+        )}
+      </div>
+
+      {recording && (
+        <div className="progress-bar recorder-size">
+          <div className="progress-fill" style={{ width: `${Math.min(100, (progress.bytes / RECORDING_LIMITS.maxBytes) * 100)}%` }} />
+        </div>
+      )}
+
+      <div className="recorder-settings">
+        {cameras.length > 1 && (
+          <label>
+            Camera
+            <select value={deviceId || ''} onChange={(e) => setDeviceId(e.target.value || null)} disabled={recording}>
+              <option value="">Rear camera</option>
+              {cameras.map(camera => <option key={camera.id} value={camera.id}>{camera.label}</option>)}
+            </select>
+          </label>
+        )}
+        <label>
+          Quality
+          <select value={presetKey} onChange={(e) => setPresetKey(e.target.value)} disabled={recording}>
+            {Object.entries(RECORDING_PRESETS).map(([key, option]) => (
+              <option key={key} value={key}>{option.label} · up to {describeDuration(presetMaxSeconds(option))}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Guidance for
+          <select value={guideTask} onChange={(e) => setGuideTask(e.target.value)} disabled={recording}>
+            {Object.entries(tasks).map(([key, task]) => <option key={key} value={key}>{task.name}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {!recording && (
+        <ul className="recorder-tips">
+          {prompts.map(prompt => <li key={prompt}>{prompt}</li>)}
+        </ul>
+      )}
+
+      <p className="recorder-note">
+        Clips stay under {describeSize(RECORDING_LIMITS.maxBytes)} so every engine can take them; recording stops
+        by itself at the limit.
+      </p>
+
+      <div className="recorder-actions">
+        {recording ? (
+          <button className="btn btn-danger" onClick={() => recordingRef.current?.stop()}>
+            <Square size={18} /> Stop
+          </button>
+        ) : (
+          <button className="btn btn-primary" onClick={start} disabled={phase !== 'ready'}>
+            <Circle size={18} /> Record
+          </button>
+        )}
+      </div>
+    </>
+  );
+
+  const renderReview = () => (
+    <>
+      <video className="recorder-preview" src={recorded.url} controls playsInline />
+      <p className="recorder-note">
+        {recorded.file.name} · {formatTimestamp(recorded.duration)} · {(recorded.file.size / (1024 * 1024)).toFixed(1)} MB
+      </p>
+      <div className="recorder-actions">
+        <button className="btn btn-secondary" onClick={retake}>
+          <RotateCcw size={18} /> Retake
+        </button>
+        <button className="btn btn-primary" onClick={keep}>
+          <Check size={18} /> Use this video
+        </button>
+      </div>
+    </>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={recording ? undefined : onClose}>
+      <div className="modal recorder-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2><Video size={24} /> Record Inspection</h2>
+          <button className="modal-close" onClick={onClose} disabled={recording}>
+            <X size={24} />
+          </button>
+        </div>
+        <div className="modal-body">
+          {error && (
+            <div className="error-banner">
+              <AlertCircle size={20} />
+              <span>{error}</span>
+            </div>
+          )}
+          {!supported && (
+            <div className="error-banner">
+              <AlertCircle size={20} />
+              <span>This browser can't record video here. Recording needs a secure (https) page and camera support.</span>
+            </div>
+          )}
+          {supported && (phase === 'review' ? renderReview() : renderCamera())}
+        </div>
+      </div>
+    </div>
+  );
+}
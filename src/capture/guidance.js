@@ -0,0 +1,49 @@
+// ============================================
+// RECORDING GUIDANCE
+// CR AudioViz AI, LLC
+//
+// On-screen prompts shown while recording, per task, so the footage gives
+// the engines what the task needs. Templates and unknown tasks get the
+// general prompts.
+// ============================================
+
+const GENERAL = [
+  'Hold the phone steady and move slowly',
+  'Start with a wide shot to show where you are',
+  'Pause for 2-3 seconds on anything important',
+  'Keep the subject well lit; avoid pointing into the sun'
+];
+
+export const CAPTURE_GUIDANCE = {
+  property_damage: [
+    'Start with a wide shot of the whole building',
+    'Walk the perimeter slowly, keeping the walls in frame',
+    'Tilt up along the roof line and gutters',
+    'Pause 2-3 seconds on each area of damage',
+    'Move in close on cracks, missing shingles and water stains',
+    'Show windows, doors and siding on every side'
+  ],
+  vehicle_damage: [
+    'Start at the front and walk slowly around the vehicle',
+    'Keep the whole panel in frame, about 1-2 m away',
+    'Pause on each dent or scratch, then move in close',
+    'Show the wheels, bumpers and lights',
+    'Capture the licence plate and VIN plate'
+  ],
+  content_search: GENERAL,
+  object_tracking: [
+    'Keep the camera still and let subjects move through the frame',
+    'Frame the whole area you want tracked',
+    'Avoid fast pans; they break the tracks'
+  ],
+  content_summary: GENERAL,
+  custom_query: [
+    'Film what your question is about first',
+    ...GENERAL
+  ]
+};
+
+export const guidanceFor = (taskKey) => CAPTURE_GUIDANCE[taskKey] || GENERAL;
+
+// Seconds each prompt stays up while recording
+export const GUIDANCE_INTERVAL = 8;
@@ -0,0 +1,136 @@
+// ============================================
+// CAMERA RECORDING
+// CR AudioViz AI, LLC
+//
+// Camera access and MediaRecorder settings for recording an inspection in
+// the app. Each preset's resolution and bitrate keep a clip under the
+// smallest engine limits for as long as it can, and a recording stops by
+// itself before it would outgrow them, so any engine can take the clip.
+// ============================================
+
+import { ENGINE_LIMITS } from '../engines/limits.js';
+
+// Every engine takes a clip this large and long
+export const RECORDING_LIMITS = {
+  maxBytes: Math.min(...Object.values(ENGINE_LIMITS).map(limit => limit.maxBytes)),
+  maxSeconds: Math.min(...Object.values(ENGINE_LIMITS).map(limit => limit.maxSeconds))
+};
+
+// Room for container overhead and encoders that overshoot their bitrate
+const SIZE_MARGIN = 0.9;
+
+const AUDIO_BITS = 64000;
+
+export const RECORDING_PRESETS = {
+  detail: { label: 'Detail (1080p)', width: 1920, height: 1080, videoBits: 5000000 },
+  standard: { label: 'Standard (720p)', width: 1280, height: 720, videoBits: 2500000 },
+  long: { label: 'Long walk-through (480p)', width: 854, height: 480, videoBits: 1000000 }
+};
+
+export const DEFAULT_PRESET = 'standard';
+
+// Longest recording a preset fits in the limits, in seconds
+export const presetMaxSeconds = (preset) => Math.floor(Math.min(
+  RECORDING_LIMITS.maxSeconds,
+  (RECORDING_LIMITS.maxBytes * SIZE_MARGIN * 8) / (preset.videoBits + AUDIO_BITS)
+));
+
+// MP4 where the browser records it (Safari, recent Chrome), WebM otherwise
+const MIME_TYPES = [
+  'video/mp4;codecs=avc1,mp4a.40.2',
+  'video/mp4',
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+const recordingMimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+// Camera recording needs a secure (https) page and MediaRecorder
+export const canRecord = () => Boolean(
+  window.isSecureContext && navigator.mediaDevices?.getUserMedia && typeof MediaRecorder !== 'undefined'
+);
+
+// Readable reasons for getUserMedia failures
+const CAMERA_ERRORS = {
+  NotAllowedError: 'Camera access was blocked. Allow it in your browser settings and try again.',
+  NotFoundError: 'No camera was found on this device.',
+  NotReadableError: 'The camera is in use by another app.',
+  OverconstrainedError: 'This camera cannot record at the chosen quality.'
+};
+
+export const cameraErrorMessage = (err) => CAMERA_ERRORS[err?.name] || err?.message || 'Could not start the camera.';
+
+// Opens the camera picked by deviceId, or the rear camera when there is
+// one, at the preset's resolution. Falls back to video only when the
+// microphone is unavailable.
+export const openCamera = async ({ deviceId, preset }) => {
+  const video = {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: { ideal: 'environment' } }),
+    width: { ideal: preset.width },
+    height: { ideal: preset.height },
+    frameRate: { ideal: 30 }
+  };
+  try {
+    return await navigator.mediaDevices.getUserMedia({ video, audio: true });
+  } catch (err) {
+    if (err.name !== 'NotAllowedError' && err.name !== 'NotFoundError') throw err;
+    return navigator.mediaDevices.getUserMedia({ video, audio: false });
+  }
+};
+
+export const closeCamera = (stream) => stream?.getTracks().forEach(track => track.stop());
+
+// [{ id, label }]. Labels are only filled in once camera access is granted.
+export const listCameras = async () => (await navigator.mediaDevices.enumerateDevices())
+  .filter(device => device.kind === 'videoinput')
+  .map((device, i) => ({ id: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+
+const recordingName = (type) => {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  return `inspection-${stamp}.${type === 'video/mp4' ? 'mp4' : 'webm'}`;
+};
+
+// Records the stream with the preset. onProgress(bytes, seconds) fires
+// about once a second. Returns { stop(), finished, maxSeconds }; finished
+// resolves { file, duration } once the recording stops, by stop() or on
+// reaching the limits.
+export const startRecording = (stream, preset, { onProgress = () => {} } = {}) => {
+  const mimeType = recordingMimeType();
+  const recorder = new MediaRecorder(stream, {
+    ...(mimeType ? { mimeType } : {}),
+    videoBitsPerSecond: preset.videoBits,
+    audioBitsPerSecond: AUDIO_BITS
+  });
+  const maxSeconds = presetMaxSeconds(preset);
+  const maxBytes = RECORDING_LIMITS.maxBytes * SIZE_MARGIN;
+  const chunks = [];
+  let bytes = 0;
+  const startedAt = Date.now();
+  const elapsed = () => (Date.now() - startedAt) / 1000;
+
+  const finished = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (e) => {
+      if (!e.data.size) return;
+      chunks.push(e.data);
+      bytes += e.data.size;
+      onProgress(bytes, elapsed());
+      if ((bytes >= maxBytes || elapsed() >= maxSeconds) && recorder.state === 'recording') recorder.stop();
+    };
+    recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+    recorder.onstop = () => {
+      // Engines want the bare type, without codecs
+      const type = (recorder.mimeType || mimeType || 'video/webm').split(';')[0];
+      resolve({ file: new File(chunks, recordingName(type), { type }), duration: elapsed() });
+    };
+  });
+
+  recorder.start(1000);
+  return {
+    stop: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+    },
+    finished,
+    maxSeconds
+  };
+};
@@ -0,0 +1,165 @@
+// ============================================
+// FOLLOW-UP CHAT
+// CR AudioViz AI, LLC
+//
+// Chat under the results: questions about the analyzed video, answered with
+// the video context and earlier turns, streamed as they arrive. Timestamps
+// cited in answers seek the preview player.
+// ============================================
+
+import React, { useState, useRef, useEffect } from 'react';
+import { MessageSquare, Send, Loader2, Square, AlertCircle } from 'lucide-react';
+import { askFollowUp, splitCitations } from './followUp.js';
+import { chatContextFor } from './context.js';
+import { checkFollowUp, followUpCost, creditCost, TOP_UP_URL } from '../billing/credits.js';
+
+const CREDIT_MESSAGES = {
+  signin: 'Sign in to ask follow-up questions.',
+  balance: 'You are out of credits for follow-up questions.',
+  unavailable: 'Could not check your credit balance.'
+};
+
+export default function ChatPanel({ report, task, file, user, canSeek, onSeek, onBalance }) {
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [isAsking, setIsAsking] = useState(false);
+  const [error, setError] = useState(null);
+  const [creditCheck, setCreditCheck] = useState({ ok: true });
+  const [context, setContext] = useState(() => chatContextFor(report, file));
+  const controllerRef = useRef(null);
+  const listRef = useRef(null);
+
+  // The file can arrive after the report (e.g. a saved video from History)
+  useEffect(() => {
+    setContext(prev => prev || chatContextFor(report, file));
+  }, [report, file]);
+
+  useEffect(() => {
+    checkFollowUp(user).then(setCreditCheck);
+  }, [user, messages.length]);
+
+  useEffect(() => {
+    listRef.current?.scrollTo({ top: listRef.current.scrollHeight });
+  }, [messages]);
+
+  // Stop a streaming answer if the panel goes away
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const cost = followUpCost();
+  const savings = creditCost(task) - cost;
+
+  const ask = async (e) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || isAsking || !context) return;
+
+    const history = messages.map(({ role, text: turn }) => ({ role, text: turn }));
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setQuestion('');
+    setError(null);
+    setIsAsking(true);
+    setMessages(prev => [...prev, { role: 'user', text }, { role: 'assistant', text: '', streaming: true }]);
+
+    const updateAnswer = (changes) => setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...changes }]);
+
+    try {
+      const answer = await askFollowUp({
+        report,
+        task,
+        context,
+        history,
+        question: text,
+        user,
+        signal: controller.signal,
+        onText: (partial) => updateAnswer({ text: partial }),
+        onContext: setContext,
+        onBalance
+      });
+      updateAnswer({ text: answer, streaming: false });
+    } catch (err) {
+      const refunded = err.refunded ? ` Your ${err.refunded} credit${err.refunded === 1 ? ' was' : 's were'} refunded.` : '';
+      const message = err.name === 'AbortError' ? 'Stopped.' : err.message || 'No answer came back.';
+      // Drop the unanswered turn so it isn't sent as history next time
+      setMessages(prev => prev.slice(0, -2));
+      setQuestion(text);
+      setError(message + refunded);
+    } finally {
+      controllerRef.current = null;
+      setIsAsking(false);
+    }
+  };
+
+  const renderAnswer = (text) => splitCitations(text).map((part, i) => (
+    part.timestamp && canSeek ? (
+      <button key={i} className="seekable chat-citation" onClick={() => onSeek(part.seconds)} title="Play from here">
+        {part.timestamp}
+      </button>
+    ) : (
+      <React.Fragment key={i}>{part.text ?? part.timestamp}</React.Fragment>
+    )
+  ));
+
+  return (
+    <div className="result-card chat-card">
+      <h3><MessageSquare size={20} /> Ask a Follow-up</h3>
+
+      {!context ? (
+        <p className="empty-note">
+          The video for this analysis is no longer available, so follow-up questions can't be answered.
+        </p>
+      ) : (
+        <>
+          {messages.length > 0 && (
+            <div className="chat-messages" ref={listRef}>
+              {messages.map((message, i) => (
+                <div key={i} className={`chat-message chat-${message.role}`}>
+                  {message.role === 'assistant' ? renderAnswer(message.text) : message.text}
+                  {message.streaming && !message.text && <Loader2 size={16} className="spinner" />}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {error && (
+            <div className="chat-error">
+              <AlertCircle size={16} /> {error}
+            </div>
+          )}
+
+          <form className="chat-form" onSubmit={ask}>
+            <input
+              className="chat-input"
+              value={question}
+              onChange={(e) => setQuestion(e.target.value)}
+              placeholder='e.g. "What about the north side at 0:34?"'
+              disabled={isAsking}
+            />
+            {isAsking ? (
+              <button type="button" className="btn btn-sm" onClick={() => controllerRef.current?.abort()}>
+                <Square size={16} /> Stop
+              </button>
+            ) : (
+              <button type="submit" className="btn btn-sm btn-primary" disabled={!question.trim() || !creditCheck.ok}>
+                <Send size={16} /> Ask
+              </button>
+            )}
+          </form>
+
+          <p className="chat-note">
+            {cost} credit{cost === 1 ? '' : 's'} per question
+            {savings > 0 && ` (${savings} less than a new analysis)`}.
+            {!creditCheck.ok && (
+              <>
+                {' '}{CREDIT_MESSAGES[creditCheck.reason]}
+                {creditCheck.reason === 'balance' && (
+                  <> <a href={TOP_UP_URL} target="_blank" rel="noopener noreferrer">Top up credits</a></>
+                )}
+              </>
+            )}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
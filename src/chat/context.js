@@ -0,0 +1,52 @@
+// ============================================
+// FOLLOW-UP CONTEXT
+// CR AudioViz AI, LLC
+//
+// Works out what a follow-up question can refer back to, cheapest first:
+// the engine's own handle on the video (a Twelve Labs indexed video or a
+// Gemini uploaded file), keyframes already sampled for the analysis, or the
+// local video file, which is uploaded once and reused for later turns.
+// ============================================
+
+// Gemini deletes uploaded files after 48 hours
+const GEMINI_FILE_TTL = 47 * 60 * 60 * 1000;
+
+// Most frames sent with a question
+const MAX_CONTEXT_FRAMES = 16;
+
+// Keyframes sampled during analysis, per File, so follow-ups can reuse them
+const sampledFrames = new WeakMap();
+
+export const rememberFrames = (file, frames) => {
+  if (file && frames?.length) sampledFrames.set(file, frames);
+};
+
+// Evenly spaced subset so long clips don't blow up the request
+const pickFrames = (frames) => {
+  if (frames.length <= MAX_CONTEXT_FRAMES) return frames;
+  const step = frames.length / MAX_CONTEXT_FRAMES;
+  return Array.from({ length: MAX_CONTEXT_FRAMES }, (_, i) => frames[Math.floor(i * step)]);
+};
+
+const isLive = (handle) => handle.engine !== 'gemini'
+  || Date.now() - new Date(handle.createdAt).getTime() < GEMINI_FILE_TTL;
+
+// Returns one of
+//   { engine: 'twelveLabs', videoId }
+//   { engine: 'gemini', fileUri, mimeType }
+//   { engine: 'gemini', frames }
+//   { engine: 'gemini', file }          (uploaded on the first question;
+//                                        not for linked videos)
+// or null when nothing about the video is available any more.
+export const chatContextFor = (report, file) => {
+  const handle = report.data.videoHandle;
+  if (handle && isLive(handle)) {
+    return handle.engine === 'twelveLabs'
+      ? { engine: 'twelveLabs', videoId: handle.videoId }
+      : { engine: 'gemini', fileUri: handle.fileUri, mimeType: handle.mimeType };
+  }
+  const frames = file && sampledFrames.get(file);
+  if (frames) return { engine: 'gemini', frames: pickFrames(frames) };
+  if (file && !file.remote) return { engine: 'gemini', file };
+  return null;
+};
@@ -0,0 +1,171 @@
+// ============================================
+// FOLLOW-UP QUESTIONS
+// CR AudioViz AI, LLC
+//
+// Answers questions about an already analyzed video without re-running the
+// analysis. Each question goes out with the video context (see context.js),
+// the analysis so far and the earlier turns, and the answer streams back as
+// it is generated. Twelve Labs answers when it indexed the video; Gemini
+// answers everything else. Each question is billed as a follow-up.
+// ============================================
+
+import { getEngineConfig } from '../engines/config.js';
+import { EngineError, engineFetch, joinUrl } from '../engines/http.js';
+import { uploadFile, getFile } from '../engines/gemini.js';
+import { sleep } from '../engines/index.js';
+import { chargeFollowUp, refundAnalysis } from '../billing/credits.js';
+import { markdownExporter } from '../exporters/markdown.js';
+import { formatTimestamp, parseTimestamp } from '../utils/time.js';
+import { refreshUsage } from '../usage/ledger.js';
+import { readSse, readNdjson } from './stream.js';
+
+const INSTRUCTIONS = 'You are answering follow-up questions about a video that has already been analyzed. '
+  + 'Answer from what the video shows. Whenever you refer to a moment, cite it as an m:ss timestamp, e.g. 0:34. '
+  + 'If the video does not show what is asked about, say so.';
+
+// Twelve Labs caps analyze prompts at 2,000 characters
+const TWELVE_LABS_PROMPT_LIMIT = 2000;
+
+const FILE_POLL_INTERVAL = 2000;
+
+const analysisBrief = (report, task) => markdownExporter.render(report, { taskName: task.name });
+
+// history: [{ role: 'user' | 'assistant', text }]
+const streamGemini = async ({ context, brief, history, question, signal, onText }) => {
+  const config = getEngineConfig('gemini');
+  const videoParts = context.fileUri
+    ? [{ file_data: { mime_type: context.mimeType, file_uri: context.fileUri } }]
+    : context.frames.flatMap(frame => [
+      { text: `Frame at ${formatTimestamp(frame.time)}:` },
+      { inline_data: { mime_type: 'image/jpeg', data: frame.data } }
+    ]);
+
+  const contents = [
+    { role: 'user', parts: [...videoParts, { text: `Analysis so far:\n\n${brief}` }] },
+    { role: 'model', parts: [{ text: 'I have the video and its analysis. What would you like to know?' }] },
+    ...history.map(turn => ({ role: turn.role === 'user' ? 'user' : 'model', parts: [{ text: turn.text }] })),
+    { role: 'user', parts: [{ text: question }] }
+  ];
+
+  const url = joinUrl(config.baseUrl, `v1beta/models/${config.model}:streamGenerateContent?alt=sse`);
+  const response = await engineFetch('gemini', url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ systemInstruction: { parts: [{ text: INSTRUCTIONS }] }, contents }),
+    signal
+  });
+
+  let answer = '';
+  for await (const chunk of readSse(response)) {
+    const text = (chunk.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+    if (text) {
+      answer += text;
+      onText(answer);
+    }
+  }
+  return answer;
+};
+
+// Twelve Labs takes a single prompt, so the conversation is written into it,
+// dropping the oldest material first when it runs long
+const twelveLabsPrompt = (brief, history, question) => {
+  const tail = [
+    ...history.map(turn => `${turn.role === 'user' ? 'Question' : 'Answer'}: ${turn.text}`),
+    `Question: ${question}`
+  ];
+  const build = (briefText, turns) => [INSTRUCTIONS, briefText && `Analysis so far:\n${briefText}`, ...turns]
+    .filter(Boolean).join('\n\n');
+
+  let turns = tail;
+  while (turns.length > 1 && build('', turns).length > TWELVE_LABS_PROMPT_LIMIT) turns = turns.slice(1);
+  const room = TWELVE_LABS_PROMPT_LIMIT - build('', turns).length - 30;
+  return build(room > 0 ? brief.slice(0, room) : '', turns).slice(0, TWELVE_LABS_PROMPT_LIMIT);
+};
+
+const streamTwelveLabs = async ({ context, brief, history, question, signal, onText }) => {
+  const config = getEngineConfig('twelveLabs');
+  const response = await engineFetch('twelveLabs', joinUrl(config.baseUrl, 'v1.3/analyze'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ video_id: context.videoId, prompt: twelveLabsPrompt(brief, history, question), stream: true }),
+    signal
+  });
+
+  let answer = '';
+  for await (const event of readNdjson(response)) {
+    if (event.event_type === 'text_generation' && event.text) {
+      answer += event.text;
+      onText(answer);
+    }
+  }
+  return answer;
+};
+
+// A local file is uploaded once; the returned context replaces it for
+// every later question
+const uploadForChat = async (file, signal) => {
+  const config = getEngineConfig('gemini');
+  const uploaded = await uploadFile(config, file, signal);
+  let { state } = uploaded;
+  while (state !== 'ACTIVE') {
+    if (state === 'FAILED') {
+      throw new EngineError('Gemini could not process this video', { engine: 'gemini', code: 'UNSUPPORTED_FORMAT' });
+    }
+    await sleep(FILE_POLL_INTERVAL, signal);
+    ({ state } = await getFile(config, uploaded.name, signal));
+  }
+  return { engine: 'gemini', fileUri: uploaded.uri, mimeType: uploaded.mimeType || file.type };
+};
+
+// Charges a follow-up, answers it (streaming partial text to onText) and
+// resolves the full answer. onContext receives the context to use from now
+// on when it changes. On failure the charge is refunded and the error
+// carries `refunded`, as with runAnalysis.
+export const askFollowUp = async ({
+  report, task, context, history, question, user, signal,
+  onText = () => {}, onContext = () => {}, onBalance = () => {}
+}) => {
+  const charge = await chargeFollowUp(task, user, report.videoName);
+  onBalance(charge.balance);
+
+  try {
+    let ready = context;
+    if (context.file) {
+      ready = await uploadForChat(context.file, signal);
+      onContext(ready);
+    }
+
+    const stream = ready.engine === 'twelveLabs' ? streamTwelveLabs : streamGemini;
+    const answer = await stream({ context: ready, brief: analysisBrief(report, task), history, question, signal, onText });
+    if (!answer.trim()) {
+      throw new EngineError('No answer came back for this question', { engine: ready.engine, code: 'EMPTY_RESPONSE' });
+    }
+    return answer;
+  } catch (err) {
+    const balance = await refundAnalysis(charge, task, `follow-up failed: ${err.message}`);
+    if (balance !== null) onBalance(balance);
+    err.refunded = balance !== null ? charge.amount : 0;
+    throw err;
+  } finally {
+    // The server counted the question against the engine's quota
+    refreshUsage();
+  }
+};
+
+const CITATION = /\b(?:\d{1,2}:)?\d{1,2}:\d{2}\b/g;
+
+// Splits an answer into text and cited timestamps:
+//   [{ text }, { timestamp: '0:34', seconds: 34 }, ...]
+export const splitCitations = (text) => {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(CITATION)) {
+    const seconds = parseTimestamp(match[0]);
+    if (seconds == null) continue;
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ timestamp: match[0], seconds });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
@@ -0,0 +1,44 @@
+// ============================================
+// STREAMED RESPONSES
+// CR AudioViz AI, LLC
+//
+// Readers for the two streaming formats the engines use: server-sent events
+// (Gemini streamGenerateContent?alt=sse) and newline-delimited JSON
+// (Twelve Labs analyze with stream: true). Both yield parsed JSON objects.
+// ============================================
+
+async function* lines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const parts = buffer.split(/\r?\n/);
+      buffer = parts.pop();
+      yield* parts;
+    }
+    buffer += decoder.decode();
+    if (buffer) yield buffer;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// `data: {...}` events; comments, event names and [DONE] are skipped
+export async function* readSse(response) {
+  for await (const line of lines(response)) {
+    if (!line.startsWith('data:')) continue;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') continue;
+    yield JSON.parse(payload);
+  }
+}
+
+export async function* readNdjson(response) {
+  for await (const line of lines(response)) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
@@ -0,0 +1,331 @@
+// ============================================
+// BEFORE / AFTER COMPARISON
+// CR AudioViz AI, LLC
+//
+// Comparison mode on the Analyze page: a pre-loss (or pre-repair) video and
+// a post-loss (or post-repair) video run through the same damage task, then
+// the damage is diffed, the condition change shown and both videos played
+// side by side in sync. Engine settings come in as children.
+// ============================================
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  GitCompare, Upload, X, Play, Loader2, AlertCircle, Target, Clock, Square
+} from 'lucide-react';
+import SyncedPlayers from '../player/SyncedPlayers.jsx';
+import { compareResults, CHANGE_STATUS, CHANGE_LABELS } from '../results/compare.js';
+import { probeVideo } from '../frames/extract.js';
+import { videoFileProblem } from '../utils/video.js';
+import { parseTimestamp } from '../utils/time.js';
+
+export const COMPARE_TASKS = ['property_damage', 'vehicle_damage'];
+
+const SIDES = [
+  ['before', 'Before', 'Pre-loss or pre-repair'],
+  ['after', 'After', 'Post-loss or post-repair']
+];
+
+const EMPTY = { before: null, after: null };
+
+const deltaClass = (delta) => {
+  if (delta == null || delta === 0) return '';
+  return delta > 0 ? 'delta-better' : 'delta-worse';
+};
+
+// runSide(side, { file, duration }, { signal, onProgress }) resolves a
+// report; both sides share the signal, so Cancel stops them together.
+// cost is the credits for both videos; canRun and creditNotice reflect the
+// caller's credit check. onVideoAdded(file) runs for each accepted video.
+export default function ComparePanel({
+  tasks, taskKey, onTaskChange, runSide, cost, canRun, creditNotice, engineName, onVideoAdded = () => {}, children
+}) {
+  const [videos, setVideos] = useState(EMPTY);
+  const [reports, setReports] = useState(EMPTY);
+  const [progress, setProgress] = useState({ before: 0, after: 0 });
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const playersRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // A different task makes both results stale
+  useEffect(() => {
+    setReports(EMPTY);
+  }, [taskKey]);
+
+  const setVideo = async (side, file) => {
+    const problem = videoFileProblem(file);
+    if (problem) {
+      setError(`${file.name} is ${problem}.`);
+      return;
+    }
+    setError(null);
+    onVideoAdded(file);
+    setReports(prev => ({ ...prev, [side]: null }));
+    const url = URL.createObjectURL(file);
+    setVideos(prev => ({ ...prev, [side]: { file, url, name: file.name, duration: null } }));
+    try {
+      const { duration } = await probeVideo(file);
+      setVideos(prev => (prev[side]?.file === file ? { ...prev, [side]: { ...prev[side], duration } } : prev));
+    } catch (err) {
+      console.warn('Could not read video duration:', err);
+    }
+  };
+
+  const clearVideo = (side) => {
+    setVideos(prev => ({ ...prev, [side]: null }));
+    setReports(prev => ({ ...prev, [side]: null }));
+  };
+
+  // Runs whichever side has no result yet, so a failed side can be retried
+  // without paying for the other again
+  const runComparison = async () => {
+    const pending = SIDES.map(([side]) => side).filter(side => !reports[side]);
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+    setError(null);
+    setProgress({ before: 0, after: 0 });
+
+    const outcomes = await Promise.allSettled(pending.map(side =>
+      runSide(side, videos[side], {
+        signal: controller.signal,
+        onProgress: (percent) => setProgress(prev => ({ ...prev, [side]: percent }))
+      })));
+    controllerRef.current = null;
+
+    const failures = [];
+    outcomes.forEach((outcome, i) => {
+      const side = pending[i];
+      if (outcome.status === 'fulfilled') {
+        setReports(prev => ({ ...prev, [side]: outcome.value }));
+      } else {
+        const reason = outcome.reason.name === 'AbortError' ? 'cancelled' : outcome.reason.message || 'analysis failed';
+        const refunded = outcome.reason.refunded ? ` (${outcome.reason.refunded} credits refunded)` : '';
+        failures.push(`${side === 'before' ? 'Before' : 'After'} video: ${reason}${refunded}`);
+      }
+    });
+    if (failures.length) setError(failures.join(' '));
+    setIsRunning(false);
+  };
+
+  const comparison = useMemo(
+    () => (reports.before && reports.after ? compareResults(reports.before.data, reports.after.data) : null),
+    [reports]
+  );
+
+  const pendingCount = SIDES.filter(([side]) => !reports[side]).length;
+  const ready = videos.before && videos.after && taskKey && pendingCount > 0;
+  const sideCost = pendingCount === 1 ? Math.round(cost / 2) : cost;
+
+  const renderSlot = (side, label, hint) => {
+    const video = videos[side];
+    return (
+      <div
+        key={side}
+        className={`compare-slot ${video ? 'has-video' : ''}`}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          const file = e.dataTransfer.files?.[0];
+          if (file) setVideo(side, file);
+        }}
+      >
+        <strong>{label}</strong>
+        {video ? (
+          <>
+            <span className="compare-file" title={video.name}>{video.name}</span>
+            {reports[side] && <span className="compare-done">Analyzed with {engineName(reports[side].api)}</span>}
+            <button className="btn btn-sm btn-danger" onClick={() => clearVideo(side)} disabled={isRunning}>
+              <X size={16} /> Remove
+            </button>
+          </>
+        ) : (
+          <label className="compare-pick">
+            <Upload size={28} />
+            <span>{hint}</span>
+            <span className="upload-formats">Drop a video or click to browse</span>
+            <input
+              type="file"
+              accept="video/*"
+              onChange={(e) => {
+                if (e.target.files?.[0]) setVideo(side, e.target.files[0]);
+                e.target.value = '';
+              }}
+              style={{ display: 'none' }}
+            />
+          </label>
+        )}
+        {isRunning && !reports[side] && (
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${progress[side]}%` }} />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderTime = (item, side) => {
+    const seconds = parseTimestamp(item?.timestamp);
+    if (seconds == null) return null;
+    return (
+      <button
+        className="seekable"
+        onClick={() => playersRef.current?.seekPair(side === 'before' ? seconds : null, side === 'after' ? seconds : null)}
+      >
+        {side === 'before' ? 'Before' : 'After'} {item.timestamp}
+      </button>
+    );
+  };
+
+  return (
+    <>
+      <section className="compare-section">
+        <h2><GitCompare size={24} /> Before / After Videos</h2>
+        <div className="compare-slots">
+          {SIDES.map(([side, label, hint]) => renderSlot(side, label, hint))}
+        </div>
+
+        <div className="compare-tasks">
+          {COMPARE_TASKS.map(key => {
+            const TaskIcon = tasks[key].icon;
+            return (
+              <button
+                key={key}
+                className={`task-card ${taskKey === key ? 'selected' : ''}`}
+                onClick={() => onTaskChange(key)}
+                style={{ '--task-color': tasks[key].color }}
+                disabled={isRunning}
+              >
+                <div className="task-icon">
+                  <TaskIcon size={24} />
+                </div>
+                <div className="task-content">
+                  <h4>{tasks[key].name}</h4>
+                  <p>Runs on both videos</p>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      </section>
+
+      {children}
+
+      {error && (
+        <div className="error-banner">
+          <AlertCircle size={20} />
+          <span>{error}</span>
+          <button onClick={() => setError(null)}><X size={18} /></button>
+        </div>
+      )}
+
+      <section className="action-section">
+        <button
+          className="btn btn-primary btn-xl analyze-btn"
+          onClick={runComparison}
+          disabled={!ready || isRunning || !canRun}
+        >
+          {isRunning ? (
+            <>
+              <Loader2 size={24} className="spinner" />
+              Comparing... {Math.round((progress.before + progress.after) / 2)}%
+            </>
+          ) : (
+            <>
+              <Play size={24} />
+              {pendingCount === 1 && videos.before && videos.after ? 'Finish Comparison' : 'Compare Videos'}
+            </>
+          )}
+        </button>
+        {ready && !isRunning && <p className="batch-note">{sideCost} credits for {pendingCount === 1 ? 'one video' : 'both videos'}.</p>}
+        {isRunning && (
+          <button className="btn btn-sm cancel-analysis" onClick={() => controllerRef.current?.abort()}>
+            <Square size={16} /> Cancel Comparison
+          </button>
+        )}
+        {creditNotice}
+      </section>
+
+      {comparison && (
+        <section className="results-section">
+          <div className="results-header">
+            <h2><GitCompare size={24} /> Comparison</h2>
+          </div>
+
+          <div className="compare-summary">
+            <div className="result-card condition-card">
+              <h3><Target size={20} /> Condition Change</h3>
+              <div className="compare-scores">
+                <div>
+                  <span className="score-value">{comparison.condition.before ?? '–'}</span>
+                  <span>Before</span>
+                </div>
+                <div className={`compare-delta ${deltaClass(comparison.condition.delta)}`}>
+                  {comparison.condition.delta == null
+                    ? '–'
+                    : `${comparison.condition.delta > 0 ? '+' : ''}${comparison.condition.delta}`}
+                </div>
+                <div>
+                  <span className="score-value">{comparison.condition.after ?? '–'}</span>
+                  <span>After</span>
+                </div>
+              </div>
+            </div>
+            <div className="compare-counts">
+              {Object.values(CHANGE_STATUS).map(status => (
+                <div key={status} className={`change-count change-${status}`}>
+                  <strong>{comparison.counts[status]}</strong>
+                  <span>{CHANGE_LABELS[status]}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <SyncedPlayers ref={playersRef} before={videos.before} after={videos.after} />
+
+          <div className="result-card damage-card">
+            <h3><Clock size={20} /> Damage Changes</h3>
+            {comparison.changes.length === 0 && <p className="empty-note">No damage found in either video.</p>}
+            <ul className="change-list">
+              {comparison.changes.map((change, i) => {
+                const item = change.after || change.before;
+                return (
+                  <li key={i} className={`change-item change-${change.status}`}>
+                    <span className={`change-badge change-${change.status}`}>{CHANGE_LABELS[change.status]}</span>
+                    <div className="change-details">
+                      <strong>{item.location} · {item.type}</strong>
+                      <span className="change-severity">
+                        {change.before && change.after && change.before.severity !== change.after.severity
+                          ? `${change.before.severity} → ${change.after.severity}`
+                          : item.severity}
+                      </span>
+                      <p>{item.description}</p>
+                    </div>
+                    <div className="change-times">
+                      {change.before && change.after && parseTimestamp(change.before.timestamp) != null
+                        && parseTimestamp(change.after.timestamp) != null ? (
+                          <button
+                            className="seekable"
+                            onClick={() => playersRef.current?.seekPair(
+                              parseTimestamp(change.before.timestamp),
+                              parseTimestamp(change.after.timestamp)
+                            )}
+                          >
+                            Show both
+                          </button>
+                        ) : null}
+                      {renderTime(change.before, 'before')}
+                      {renderTime(change.after, 'after')}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
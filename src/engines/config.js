@@ -0,0 +1,39 @@
+// ============================================
+// ENGINE ENDPOINT CONFIGURATION
+// CR AudioViz AI, LLC
+//
+// The browser never holds engine API keys. Every adapter talks to the
+// server-side proxy (server/proxy.js) at /api/engines/<engine>, which adds
+// the key and relays to the engine. VITE_API_PROXY_URL points the app at a
+// proxy on another origin. Only non-secret settings live here.
+// ============================================
+
+const env = import.meta.env || {};
+
+const PROXY_BASE = (env.VITE_API_PROXY_URL || '/api/engines').replace(/\/+$/, '');
+
+export const ENGINE_ENDPOINTS = {
+  gemini: {
+    baseUrl: `${PROXY_BASE}/gemini`,
+    model: env.VITE_GEMINI_MODEL || 'gemini-2.0-flash'
+  },
+  twelveLabs: {
+    baseUrl: `${PROXY_BASE}/twelveLabs`,
+    indexId: env.VITE_TWELVE_LABS_INDEX_ID
+  },
+  googleVideoIntelligence: {
+    baseUrl: `${PROXY_BASE}/googleVideoIntelligence`
+  },
+  roboflow: {
+    baseUrl: `${PROXY_BASE}/roboflow`,
+    model: env.VITE_ROBOFLOW_MODEL,
+    batchSize: Number(env.VITE_ROBOFLOW_BATCH_SIZE) || 4,
+    batchDelay: Number(env.VITE_ROBOFLOW_BATCH_DELAY_MS) || 1000
+  }
+};
+
+export const getEngineConfig = (engine) => ENGINE_ENDPOINTS[engine];
+
+// The API server's other endpoints sit beside the engine proxy,
+// e.g. apiUrl('probe-video') -> /api/probe-video
+export const apiUrl = (path) => `${PROXY_BASE.replace(/\/engines$/, '')}/${path}`;
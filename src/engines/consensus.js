@@ -0,0 +1,66 @@
+// ============================================
+// CONSENSUS RUNS
+// CR AudioViz AI, LLC
+//
+// Runs one task on several engines in parallel. Each engine keeps its own
+// retries but does not fail over, since every engine is already running.
+// The successful results are reconciled by results/consensus.js.
+// ============================================
+
+import { runWithFailover } from './failover.js';
+import { ENGINE_STAGES } from './index.js';
+import { EngineError } from './http.js';
+import { reconcileResults } from '../results/consensus.js';
+
+export const MIN_CONSENSUS_ENGINES = 2;
+
+// Resolves { engines, runs: [{ engine, data, attempts, error }], data }
+// where data is the reconciled result. Rejects like runWithFailover when
+// no engine succeeds. onStage reports the stage of the furthest-behind
+// engine.
+export const runConsensus = async (task, engines, makeInput, {
+  signal, onProgress = () => {}, onStage = () => {}, retry
+} = {}) => {
+  const progress = Object.fromEntries(engines.map(engine => [engine, 0]));
+  const stages = Object.fromEntries(engines.map(engine => [engine, 0]));
+  const report = () => onProgress(engines.reduce((sum, engine) => sum + progress[engine], 0) / engines.length);
+  let reported = null;
+  const reportStage = () => {
+    const stage = ENGINE_STAGES[Math.min(...Object.values(stages))];
+    if (stage !== reported) onStage(stage);
+    reported = stage;
+  };
+
+  const settled = await Promise.allSettled(engines.map(engine =>
+    runWithFailover([engine], makeInput, {
+      signal,
+      retry,
+      onProgress: (fraction) => {
+        progress[engine] = fraction;
+        report();
+      },
+      onStage: (stage) => {
+        stages[engine] = ENGINE_STAGES.indexOf(stage);
+        reportStage();
+      }
+    })));
+
+  const runs = settled.map((outcome, i) => (outcome.status === 'fulfilled'
+    ? { engine: engines[i], data: outcome.value.data, attempts: outcome.value.attempts, error: null }
+    : { engine: engines[i], data: null, attempts: outcome.reason.attempts || [], error: outcome.reason }));
+
+  const aborted = runs.find(run => run.error?.name === 'AbortError');
+  if (aborted) throw aborted.error;
+
+  const succeeded = runs.filter(run => run.data);
+  if (!succeeded.length) {
+    const error = new EngineError(
+      `All consensus engines failed. ${runs.map(run => `${run.engine}: ${run.error.message}`).join('; ')}`,
+      { code: 'ALL_ENGINES_FAILED' }
+    );
+    error.attempts = runs.flatMap(run => run.attempts);
+    throw error;
+  }
+
+  return { engines, runs, data: reconcileResults(task, runs) };
+};
@@ -0,0 +1,137 @@
+// ============================================
+// ENGINE FAILOVER
+// CR AudioViz AI, LLC
+//
+// Runs a task down its engine chain (primary, then the API_ROUTING fallback).
+// Transient errors are retried on the same engine with exponential backoff;
+// once an engine is exhausted, or fails in a way a retry cannot fix, the
+// next engine in the chain is tried. Engines whose free-tier quota is used
+// up (see usage/ledger.js), or that the caller rules out (e.g. the video is
+// too large for them), are skipped. Every attempt is recorded.
+// ============================================
+
+import { runEngine, sleep } from './index.js';
+import { EngineError } from './http.js';
+import { engineUsage } from '../usage/ledger.js';
+
+const RETRY_DEFAULTS = {
+  retries: 2,          // extra attempts per engine for transient errors
+  baseDelay: 1000,     // first backoff, doubled each retry
+  maxDelay: 8000,
+  timeout: 5 * 60 * 1000
+};
+
+// Why an attempt failed, in terms the results header can show
+export const classifyError = (err) => {
+  if (err?.code === 'TIMEOUT') return 'timeout';
+  if (err?.status === 429 || /RESOURCE_EXHAUSTED|rate limit/i.test(err?.message || '')) return 'rate_limited';
+  if (err?.code === 'NETWORK_ERROR' || (err?.status >= 500 && err?.status < 600)) return 'unavailable';
+  if (err?.code === 'UNSUPPORTED_FORMAT' || err?.status === 415) return 'unsupported_format';
+  if (err?.status === 401) return 'signed_out';
+  if (err?.status === 402) return 'no_credits';
+  if (err?.code === 'NOT_CONFIGURED' || err?.status === 403) return 'not_configured';
+  return 'failed';
+};
+
+const TRANSIENT = new Set(['timeout', 'rate_limited', 'unavailable']);
+
+export const FAILURE_LABELS = {
+  timeout: 'timed out',
+  rate_limited: 'was rate-limited',
+  unavailable: 'was unavailable',
+  unsupported_format: 'could not read this video format',
+  not_configured: 'is not configured',
+  signed_out: 'needs you to sign in again',
+  no_credits: 'was refused: not enough credits',
+  quota_exhausted: 'had used up its free-tier quota',
+  too_large: 'cannot take this video (too large or long, or a link it cannot fetch)',
+  failed: 'failed'
+};
+
+// Engines to try, in order: the chosen engine, then the task's fallback
+// (or its primary, when the user picked the fallback by hand)
+export const buildEngineChain = (selectedAPI, routing) => {
+  const first = selectedAPI && selectedAPI !== 'auto' ? selectedAPI : routing.primary;
+  const second = first === routing.fallback ? routing.primary : routing.fallback;
+  return [...new Set([first, second].filter(Boolean))];
+};
+
+const backoff = (attempt, { baseDelay, maxDelay }, signal) =>
+  sleep(Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.8 + Math.random() * 0.4), signal);
+
+// makeInput(engine) builds the adapter input for each engine, since the
+// prompt (and Roboflow's frames) differ per engine. skip(engine) returns
+// { reason, error } for an engine that should not be tried, or null.
+// onStage(stage) and onJob(engine, snapshot) pass through from runEngine.
+// Resolves { engine, data, attempts, failover }; rejects with an
+// EngineError carrying `attempts` when every engine fails.
+export const runWithFailover = async (chain, makeInput, {
+  signal,
+  onProgress = () => {},
+  onStage = () => {},
+  onJob = () => {},
+  onAttempt = () => {},
+  retry = {},
+  skip = () => null
+} = {}) => {
+  const options = { ...RETRY_DEFAULTS, ...retry };
+  const attempts = [];
+
+  for (const engine of chain) {
+    // An engine whose quota is used up would only answer 429
+    const skipped = engineUsage(engine)?.state === 'exhausted'
+      ? { reason: 'quota_exhausted', error: 'Skipped: free-tier quota used up for this period' }
+      : skip(engine);
+    if (skipped) {
+      attempts.push({ engine, attempt: 1, ok: false, ...skipped, status: null, latencyMs: 0 });
+      continue;
+    }
+
+    for (let attempt = 0; attempt <= options.retries; attempt++) {
+      const started = Date.now();
+      onAttempt({ engine, attempt: attempt + 1 });
+      try {
+        const data = await runEngine(engine, await makeInput(engine), {
+          signal,
+          onProgress,
+          onStage,
+          onJob: (snapshot) => onJob(engine, snapshot),
+          timeout: options.timeout
+        });
+        attempts.push({ engine, attempt: attempt + 1, ok: true, error: null, latencyMs: Date.now() - started });
+
+        const firstFailure = attempts.find(a => !a.ok);
+        return {
+          engine,
+          data,
+          attempts,
+          failover: engine !== chain[0] && firstFailure
+            ? { from: firstFailure.engine, reason: firstFailure.reason, error: firstFailure.error }
+            : null
+        };
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        const reason = classifyError(err);
+        attempts.push({
+          engine,
+          attempt: attempt + 1,
+          ok: false,
+          reason,
+          error: err.message,
+          status: err.status ?? null,
+          latencyMs: Date.now() - started
+        });
+        if (!TRANSIENT.has(reason) || attempt === options.retries) break;
+        await backoff(attempt, options, signal);
+      }
+    }
+  }
+
+  const last = attempts[attempts.length - 1];
+  const error = new EngineError(
+    `All engines failed. Last error (${last?.engine}): ${last?.error || 'unknown error'}`,
+    { engine: last?.engine, code: 'ALL_ENGINES_FAILED' }
+  );
+  error.attempts = attempts;
+  throw error;
+};
@@ -0,0 +1,138 @@
+// ============================================
+// GOOGLE GEMINI ADAPTER
+// CR AudioViz AI, LLC
+//
+// Small clips are sent inline with generateContent. Larger clips go through
+// the Files API first and are polled until the file is ACTIVE; the uploaded
+// file is kept as the video handle for follow-up questions.
+// ============================================
+
+import { EngineError, engineJson, joinUrl, blobToBase64 } from './http.js';
+import { buildResponseSchema, parseTextResult } from '../results/index.js';
+
+const ENGINE = 'gemini';
+
+// generateContent rejects inline payloads above ~20MB
+export const INLINE_LIMIT = 20 * 1024 * 1024;
+
+// Ask for JSON matching the task's result schema
+const generate = async (config, parts, task, signal) => {
+  const url = joinUrl(config.baseUrl, `v1beta/models/${config.model}:generateContent`);
+  return engineJson(ENGINE, url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{ role: 'user', parts }],
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: buildResponseSchema(task)
+      }
+    }),
+    signal
+  });
+};
+
+// Single-request multipart upload to the Files API
+export const uploadFile = async (config, file, signal) => {
+  const boundary = `javari-${Date.now().toString(36)}`;
+  const metadata = JSON.stringify({ file: { display_name: file.name } });
+  const body = new Blob([
+    `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${metadata}\r\n`,
+    `--${boundary}\r\nContent-Type: ${file.type}\r\n\r\n`,
+    file,
+    `\r\n--${boundary}--`
+  ]);
+
+  const url = joinUrl(config.baseUrl, 'upload/v1beta/files');
+  const data = await engineJson(ENGINE, url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': `multipart/related; boundary=${boundary}`,
+      'X-Goog-Upload-Protocol': 'multipart'
+    },
+    body,
+    signal
+  });
+  return data.file;
+};
+
+// Uploaded file metadata; state is PROCESSING, ACTIVE or FAILED
+export const getFile = (config, fileName, signal) =>
+  engineJson(ENGINE, joinUrl(config.baseUrl, `v1beta/${fileName}`), { signal });
+
+export const geminiAdapter = {
+  id: ENGINE,
+  name: 'Google Gemini',
+
+  async submit(input, { config, signal }) {
+    const { file, prompt } = input;
+
+    if (file.size <= INLINE_LIMIT) {
+      const data = await blobToBase64(file);
+      const raw = await generate(config, [
+        { inline_data: { mime_type: file.type, data } },
+        { text: prompt }
+      ], input.task, signal);
+      return { done: true, raw };
+    }
+
+    const uploaded = await uploadFile(config, file, signal);
+    return {
+      done: false,
+      progress: 0.3,
+      fileName: uploaded.name,
+      fileUri: uploaded.uri,
+      mimeType: uploaded.mimeType || file.type,
+      prompt,
+      task: input.task
+    };
+  },
+
+  // Wait for the uploaded file to finish processing, then run the prompt
+  async poll(job, { config, signal }) {
+    const file = await getFile(config, job.fileName, signal);
+
+    if (file.state === 'FAILED') {
+      throw new EngineError(file.error?.message || 'Gemini could not process this video', {
+        engine: ENGINE,
+        code: 'UNSUPPORTED_FORMAT'
+      });
+    }
+    if (file.state !== 'ACTIVE') {
+      return { ...job, progress: 0.5 };
+    }
+
+    const raw = await generate(config, [
+      { file_data: { mime_type: job.mimeType, file_uri: job.fileUri } },
+      { text: job.prompt }
+    ], job.task, signal);
+    return { ...job, done: true, raw };
+  },
+
+  // Only an uploaded file outlives the page; inline clips finish in submit.
+  // The task (for the response schema) comes back from the input.
+  snapshot(job) {
+    return { fileName: job.fileName, fileUri: job.fileUri, mimeType: job.mimeType, prompt: job.prompt, progress: job.progress };
+  },
+
+  restore(state, input) {
+    return { ...state, done: false, task: input.task };
+  },
+
+  // Inline clips leave nothing on the server to refer back to
+  handle(job) {
+    return job.fileUri ? { fileName: job.fileName, fileUri: job.fileUri, mimeType: job.mimeType } : null;
+  },
+
+  normalize(raw, input) {
+    const candidate = raw.candidates?.[0];
+    const text = (candidate?.content?.parts || []).map(p => p.text || '').join('').trim();
+
+    if (!text) {
+      const reason = candidate?.finishReason || raw.promptFeedback?.blockReason || 'empty response';
+      throw new EngineError(`Gemini returned no analysis (${reason})`, { engine: ENGINE, code: 'EMPTY_RESPONSE' });
+    }
+
+    return parseTextResult(input.task, text, { expectJson: true, query: input.query });
+  }
+};
@@ -0,0 +1,78 @@
+// ============================================
+// ENGINE HTTP HELPERS
+// CR AudioViz AI, LLC
+//
+// Shared fetch wrapper and error type for the engine adapters.
+// ============================================
+
+import { authHeaders } from '../auth/session.js';
+
+// Error raised by any adapter. `status` is the HTTP status when there was one,
+// `code` is a short machine-readable reason.
+export class EngineError extends Error {
+  constructor(message, { engine, status = null, code = 'ENGINE_ERROR' } = {}) {
+    super(message);
+    this.name = 'EngineError';
+    this.engine = engine;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Pull a readable message out of the error bodies the engines return
+const extractErrorMessage = (body, status) => {
+  if (!body) return `HTTP ${status}`;
+  if (typeof body === 'string') return body.slice(0, 300);
+  return body.error?.message || body.message || body.error || `HTTP ${status}`;
+};
+
+// fetch() to the engine proxy, as the signed-in user, that throws
+// EngineError on network failures and non-2xx responses
+export const engineFetch = async (engine, url, options = {}) => {
+  const headers = new Headers(options.headers);
+  Object.entries(await authHeaders()).forEach(([name, value]) => headers.set(name, value));
+  let response;
+  try {
+    response = await fetch(url, { ...options, headers });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new EngineError(`Could not reach ${engine}: ${err.message}`, { engine, code: 'NETWORK_ERROR' });
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Plain-text error body
+    }
+    throw new EngineError(extractErrorMessage(body, response.status), {
+      engine,
+      status: response.status,
+      code: `HTTP_${response.status}`
+    });
+  }
+
+  return response;
+};
+
+// engineFetch() + JSON body
+export const engineJson = async (engine, url, options = {}) => {
+  const response = await engineFetch(engine, url, options);
+  return response.json();
+};
+
+// Join a base URL and a path without doubling slashes
+export const joinUrl = (baseUrl, path) =>
+  `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+
+// Read a Blob/File as a bare base64 string (no data: prefix)
+export const blobToBase64 = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+};
@@ -0,0 +1,158 @@
+// ============================================
+// ENGINE ADAPTER LAYER
+// CR AudioViz AI, LLC
+//
+// One adapter per API_CONFIG key, all implementing the same interface:
+//   submit(input, ctx)   -> job   start the work (upload, annotate, detect)
+//   poll(job, ctx)       -> job   check an in-flight job; job.done when finished
+//   normalize(raw, input) -> data  shape the engine response for the result cards
+//   handle(job)          -> object  optional: server-side reference to the video
+//                                   (uploaded file, indexed video) for follow-ups
+//   snapshot(job)        -> object  optional: plain JSON for a job still running
+//                                   on the engine's side, so it can be resumed
+//                                   after a reload without the file
+//   restore(state, input) -> job   optional: rebuild a job from its snapshot
+//                                   (default: the snapshot, not yet done)
+// runEngine() validates normalized data against the task's result fields,
+// attaches the handle as data.videoHandle and re-reads the usage ledger
+// once the run is over. resumeEngine() picks a snapshot back up and polls it
+// to the same result.
+//
+// input: { task, file, link, duration, prompt, query, frames }
+//   link: a linked video the engine fetches itself (see limits.js takesLink),
+//         given in place of file
+// ctx:   { config: { baseUrl, ... }, signal }
+// job:   { done, progress (0-1), raw, pollAfter (ms), ...adapter state }
+// ============================================
+
+import { geminiAdapter } from './gemini.js';
+import { twelveLabsAdapter } from './twelveLabs.js';
+import { googleVideoIntelligenceAdapter } from './googleVideoIntelligence.js';
+import { roboflowAdapter } from './roboflow.js';
+import { getEngineConfig } from './config.js';
+import { EngineError } from './http.js';
+import { validateResult } from '../results/index.js';
+import { refreshUsage } from '../usage/ledger.js';
+
+export { EngineError } from './http.js';
+
+export const ENGINE_ADAPTERS = {
+  gemini: geminiAdapter,
+  twelveLabs: twelveLabsAdapter,
+  googleVideoIntelligence: googleVideoIntelligenceAdapter,
+  roboflow: roboflowAdapter
+};
+
+const POLL_INTERVAL = 2000;
+
+// Stages reported through onStage, in order: sending the video (and, for
+// one-shot engines, waiting for the answer), the engine working on an
+// accepted job, and shaping its response
+export const ENGINE_STAGES = ['uploading', 'processing', 'parsing'];
+
+// Waits ms, or rejects with an AbortError as soon as signal is (or
+// already was) aborted
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const getAdapter = (engine) => {
+  const adapter = ENGINE_ADAPTERS[engine];
+  if (!adapter) throw new EngineError(`Unknown engine "${engine}"`, { engine, code: 'UNKNOWN_ENGINE' });
+  return adapter;
+};
+
+// Engine-specific prompt if the task has one, else the Gemini prompt.
+// custom_query has no prompts; the user's question is the prompt.
+export const resolvePrompt = (task, engine, query) =>
+  task.prompts[engine] || task.prompts.gemini || query;
+
+// Link an optional caller signal to a per-attempt timeout
+const linkedController = (signal, timeout) => {
+  const controller = new AbortController();
+  const state = { timedOut: false };
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = timeout ? setTimeout(() => {
+    state.timedOut = true;
+    controller.abort();
+  }, timeout) : null;
+  const dispose = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  return { controller, state, dispose };
+};
+
+// Polls a started job to a normalized result. start(adapter, ctx) resolves
+// the first job: a fresh submit or a restored snapshot.
+const driveJob = async (engine, input, start, {
+  signal, onProgress = () => {}, onStage = () => {}, onJob = () => {}, config, timeout
+} = {}) => {
+  const adapter = getAdapter(engine);
+  const { controller, state, dispose } = linkedController(signal, timeout);
+  const ctx = { config: config || getEngineConfig(engine), signal: controller.signal };
+
+  try {
+    let job = await start(adapter, ctx);
+    if (!job.done) {
+      onStage('processing');
+      const snapshot = adapter.snapshot?.(job);
+      if (snapshot) onJob(snapshot);
+    }
+    onProgress(job.progress ?? 0.5);
+
+    while (!job.done) {
+      await sleep(job.pollAfter ?? POLL_INTERVAL, ctx.signal);
+      job = await adapter.poll(job, ctx);
+      if (job.progress != null) onProgress(job.progress);
+    }
+
+    onStage('parsing');
+    onProgress(1);
+    const data = validateResult(input.task, adapter.normalize(job.raw, input), adapter.name);
+    const handle = adapter.handle?.(job);
+    if (handle) data.videoHandle = { engine, ...handle, createdAt: new Date().toISOString() };
+    return data;
+  } catch (err) {
+    if (state.timedOut && err.name === 'AbortError') {
+      throw new EngineError(`${engine} did not finish within ${Math.round(timeout / 1000)}s`, {
+        engine,
+        code: 'TIMEOUT'
+      });
+    }
+    throw err;
+  } finally {
+    dispose();
+  }
+};
+
+// Drive an adapter from submit through polling to a normalized result.
+// onProgress receives 0-1 as the engine reports it and onStage each of
+// ENGINE_STAGES as it starts. onJob receives the adapter's snapshot once
+// the engine has accepted a job it will keep working on. `timeout` (ms)
+// bounds the whole attempt and surfaces as an EngineError with code TIMEOUT.
+export const runEngine = (engine, input, options = {}) =>
+  driveJob(engine, input, (adapter, ctx) => {
+    options.onStage?.('uploading');
+    return adapter.submit(input, ctx);
+  }, options).finally(refreshUsage);
+
+// Continues a job from its snapshot (see runEngine's onJob). input is as for
+// runEngine, minus the file.
+export const resumeEngine = (engine, snapshot, input, options = {}) =>
+  driveJob(engine, input, async (adapter) => (
+    adapter.restore ? adapter.restore(snapshot, input) : { ...snapshot, done: false }
+  ), options).finally(refreshUsage);
@@ -0,0 +1,64 @@
+// ============================================
+// ENGINE VIDEO LIMITS
+// CR AudioViz AI, LLC
+//
+// The largest and longest video each engine accepts, and which linked
+// videos an engine fetches itself. API_CONFIG's "Max Video" and "Max
+// Duration" text is written from these, uploads are accepted up to the most
+// generous engine, and routing only sends a video to engines that can take
+// it.
+// ============================================
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+export const ENGINE_LIMITS = {
+  gemini: { maxBytes: 100 * MB, maxSeconds: 60 * 60 },
+  twelveLabs: { maxBytes: 2 * GB, maxSeconds: 2 * 60 * 60 },
+  googleVideoIntelligence: { maxBytes: 100 * MB, maxSeconds: 2 * 60 * 60 },
+  roboflow: { maxBytes: 100 * MB, maxSeconds: 30 * 60 }
+};
+
+// Engines that fetch a linked video themselves, given a link the browser
+// may not be able to download: Twelve Labs takes http(s) URLs, Video
+// Intelligence takes gs:// URIs
+const LINK_ENGINES = {
+  twelveLabs: (link) => /^https?:\/\//.test(link.url),
+  googleVideoIntelligence: (link) => Boolean(link.gcsUri)
+};
+
+// link: a linked video (see remote/remoteVideo.js)
+export const takesLink = (engine, link) => Boolean(LINK_ENGINES[engine]?.(link));
+
+// Largest file any engine accepts
+export const LARGEST_VIDEO = Math.max(...Object.values(ENGINE_LIMITS).map(limit => limit.maxBytes));
+
+// 104857600 -> "100MB", 2147483648 -> "2GB"
+export const describeSize = (bytes) => (bytes >= GB ? `${+(bytes / GB).toFixed(1)}GB` : `${Math.round(bytes / MB)}MB`);
+
+// 3600 -> "1 hour", 1800 -> "30 minutes"
+export const describeDuration = (seconds) => {
+  if (seconds >= 3600) {
+    const hours = +(seconds / 3600).toFixed(1);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.round(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// video: { size (bytes), duration (seconds), link (a linked video); any may
+// be unknown }. Returns why the engine can't take the video ("over 100MB"),
+// or null. Engines that don't fetch a link themselves need the browser to
+// download it.
+export const videoLimitProblem = (engine, { size, duration, link } = {}) => {
+  const limit = ENGINE_LIMITS[engine];
+  if (!limit) return null;
+  if (size > limit.maxBytes) return `over ${describeSize(limit.maxBytes)}`;
+  if (duration > limit.maxSeconds) return `longer than ${describeDuration(limit.maxSeconds)}`;
+  if (link && !link.readable && !takesLink(engine, link)) return 'not downloadable in the browser';
+  return null;
+};
+
+// Engines that can take the video, in ENGINE_LIMITS order
+export const enginesForVideo = (video) =>
+  Object.keys(ENGINE_LIMITS).filter(engine => !videoLimitProblem(engine, video));
@@ -0,0 +1,153 @@
+// ============================================
+// ROBOFLOW ADAPTER
+// CR AudioViz AI, LLC
+//
+// Roboflow's hosted models work on still images, so this adapter expects
+// `input.frames` ({ time, data, thumbnail }) sampled by frames/extract.js.
+// Per-frame detections are merged into de-duplicated damage items.
+// ============================================
+
+import { EngineError, engineJson, joinUrl } from './http.js';
+import { formatTimestamp } from '../utils/time.js';
+import { mergeDetections } from '../frames/merge.js';
+
+const ENGINE = 'roboflow';
+
+const BATCH_DEFAULTS = { batchSize: 4, batchDelay: 1000 };
+
+// Class-name keywords used to grade Roboflow detections
+const SEVERITY_KEYWORDS = [
+  { severity: 'Critical', pattern: /severe|critical|major|broken|shatter|crack/i },
+  { severity: 'Minor', pattern: /minor|scratch|scuff|chip|debris/i }
+];
+
+export const severityForClass = (className) =>
+  SEVERITY_KEYWORDS.find(k => k.pattern.test(className))?.severity || 'Moderate';
+
+// Normalized box -> "upper left of frame" style description
+export const describeRegion = ({ left, top, right, bottom }) => {
+  const cx = (left + right) / 2;
+  const cy = (top + bottom) / 2;
+  const vertical = cy < 0.33 ? 'upper' : cy > 0.66 ? 'lower' : 'middle';
+  const horizontal = cx < 0.33 ? 'left' : cx > 0.66 ? 'right' : 'center';
+  return vertical === 'middle' && horizontal === 'center'
+    ? 'Center of frame'
+    : `${vertical.charAt(0).toUpperCase() + vertical.slice(1)} ${horizontal} of frame`;
+};
+
+// Roboflow boxes are pixel centre + size; convert to normalized edges
+export const toNormalizedBox = (prediction, image) => {
+  const width = image?.width || 1;
+  const height = image?.height || 1;
+  return {
+    left: (prediction.x - prediction.width / 2) / width,
+    top: (prediction.y - prediction.height / 2) / height,
+    right: (prediction.x + prediction.width / 2) / width,
+    bottom: (prediction.y + prediction.height / 2) / height
+  };
+};
+
+export const detectFrame = async (config, frame, signal) => {
+  const response = await engineJson(ENGINE, joinUrl(config.baseUrl, config.model), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: frame.data,
+    signal
+  });
+  return {
+    time: frame.time,
+    thumbnail: frame.thumbnail,
+    image: response.image,
+    predictions: response.predictions || []
+  };
+};
+
+// Frames go out in batches of `batchSize` parallel requests, one batch per
+// poll, with `batchDelay` ms between batches to stay under Roboflow's rate limit.
+const runBatch = async (job, config, signal) => {
+  const size = config.batchSize || BATCH_DEFAULTS.batchSize;
+  const batch = job.frames.slice(job.next, job.next + size);
+  const results = await Promise.all(batch.map(frame => detectFrame(config, frame, signal)));
+  const next = job.next + batch.length;
+  return {
+    ...job,
+    next,
+    raw: [...job.raw, ...results],
+    done: next >= job.frames.length,
+    progress: next / job.frames.length,
+    pollAfter: config.batchDelay ?? BATCH_DEFAULTS.batchDelay
+  };
+};
+
+export const roboflowAdapter = {
+  id: ENGINE,
+  name: 'Roboflow',
+
+  async submit(input, { config, signal }) {
+    if (!config.model) {
+      throw new EngineError('Roboflow model ID is not configured', { engine: ENGINE, code: 'NOT_CONFIGURED' });
+    }
+    if (!input.frames?.length) {
+      throw new EngineError('Roboflow needs still frames from the video', { engine: ENGINE, code: 'UNSUPPORTED_FORMAT' });
+    }
+
+    return runBatch({ frames: input.frames, next: 0, raw: [] }, config, signal);
+  },
+
+  async poll(job, { config, signal }) {
+    return runBatch(job, config, signal);
+  },
+
+  normalize(raw, input) {
+    const detections = raw.flatMap(frame =>
+      frame.predictions.map(p => ({
+        label: p.class,
+        confidence: p.confidence,
+        time: frame.time,
+        thumbnail: frame.thumbnail,
+        box: toNormalizedBox(p, frame.image)
+      }))
+    );
+
+    // Chain the same object across neighbouring frames into one item
+    const interval = raw.length > 1 ? raw[1].time - raw[0].time : 2;
+    const sightings = mergeDetections(detections, { maxGap: Math.max(2, interval * 2) });
+
+    const damageItems = sightings.map((s, i) => ({
+      id: i + 1,
+      location: describeRegion(s.best.box),
+      type: s.label,
+      severity: severityForClass(s.label),
+      timestamp: formatTimestamp(s.best.time),
+      description: s.count > 1
+        ? `Seen in ${s.count} frames from ${formatTimestamp(s.first.time)} to ${formatTimestamp(s.last.time)}; best match ${Math.round(s.best.confidence * 100)}% confidence`
+        : `Detected with ${Math.round(s.best.confidence * 100)}% confidence`,
+      recommendation: 'Verify on site and document for repair estimate',
+      confidence: s.best.confidence,
+      thumbnail: s.best.thumbnail,
+      timeRange: [s.first.time, s.last.time]
+    }));
+
+    const confidence = sightings.length
+      ? sightings.reduce((sum, s) => sum + s.best.confidence, 0) / sightings.length
+      : null;
+
+    const frameCount = input.frames?.length || raw.length;
+    return {
+      summary: damageItems.length
+        ? `Roboflow found ${damageItems.length} distinct damage item(s) across ${frameCount} sampled frame(s).`
+        : `No damage detected in ${frameCount} sampled frame(s).`,
+      damageItems,
+      detections: sightings.map((s, i) => ({
+        id: i + 1,
+        label: s.label,
+        confidence: s.best.confidence,
+        trackId: i + 1,
+        start: s.first.time,
+        end: s.last.time,
+        frames: s.frames.map(d => ({ time: d.time, box: d.box }))
+      })),
+      confidence
+    };
+  }
+};
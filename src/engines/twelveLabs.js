@@ -0,0 +1,82 @@
+// ============================================
+// TWELVE LABS ADAPTER
+// CR AudioViz AI, LLC
+//
+// Uploads the clip (or hands over its link) into an index as an indexing
+// task, polls the task until the video is ready, then runs the prompt
+// through the analyze endpoint.
+// ============================================
+
+import { EngineError, engineJson, joinUrl } from './http.js';
+import { parseTextResult } from '../results/index.js';
+
+const ENGINE = 'twelveLabs';
+
+// Task statuses reported while a video is being indexed, in order
+const TASK_STAGES = ['pending', 'queued', 'uploading', 'validating', 'indexing', 'ready'];
+
+export const twelveLabsAdapter = {
+  id: ENGINE,
+  name: 'Twelve Labs',
+
+  async submit(input, { config, signal }) {
+    if (!config.indexId) {
+      throw new EngineError('Twelve Labs index ID is not configured', { engine: ENGINE, code: 'NOT_CONFIGURED' });
+    }
+
+    const form = new FormData();
+    form.append('index_id', config.indexId);
+    if (input.link) form.append('video_url', input.link.url);
+    else form.append('video_file', input.file, input.file.name);
+
+    // Indexing is counted against the free tier in video minutes
+    const task = await engineJson(ENGINE, joinUrl(config.baseUrl, 'v1.3/tasks'), {
+      method: 'POST',
+      headers: { 'X-Video-Duration': String(input.duration || 0) },
+      body: form,
+      signal
+    });
+
+    return { done: false, progress: 0.1, taskId: task._id, videoId: task.video_id, prompt: input.prompt };
+  },
+
+  async poll(job, { config, signal }) {
+    const task = await engineJson(ENGINE, joinUrl(config.baseUrl, `v1.3/tasks/${job.taskId}`), { signal });
+
+    if (task.status === 'failed') {
+      throw new EngineError('Twelve Labs could not index this video', { engine: ENGINE, code: 'UNSUPPORTED_FORMAT' });
+    }
+    if (task.status !== 'ready') {
+      const stage = Math.max(0, TASK_STAGES.indexOf(task.status));
+      return { ...job, progress: 0.1 + (stage / TASK_STAGES.length) * 0.7 };
+    }
+
+    const videoId = task.video_id || job.videoId;
+    const raw = await engineJson(ENGINE, joinUrl(config.baseUrl, 'v1.3/analyze'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ video_id: videoId, prompt: job.prompt, stream: false }),
+      signal
+    });
+    return { ...job, videoId, done: true, raw };
+  },
+
+  // Indexing carries on server-side; the task can be polled after a reload
+  snapshot(job) {
+    return { taskId: job.taskId, videoId: job.videoId, prompt: job.prompt, progress: job.progress };
+  },
+
+  // The indexed video can be asked about again without re-uploading
+  handle(job) {
+    return job.videoId ? { videoId: job.videoId } : null;
+  },
+
+  normalize(raw, input) {
+    const text = (raw.data || '').trim();
+    if (!text) {
+      throw new EngineError('Twelve Labs returned no analysis', { engine: ENGINE, code: 'EMPTY_RESPONSE' });
+    }
+
+    return parseTextResult(input.task, text, { query: input.query });
+  }
+};
@@ -0,0 +1,64 @@
+// ============================================
+// WEBVTT / SRT EXPORT
+// CR AudioViz AI, LLC
+//
+// Turns timestamps[] and relatedTimestamps into caption cues. Each cue runs
+// until the next one starts, capped at a few seconds and at the video's end.
+// ============================================
+
+import { parseTimestamp } from '../utils/time.js';
+
+const MAX_CUE_SECONDS = 5;
+
+// "hh:mm:ss.mmm" (WebVTT) or "hh:mm:ss,mmm" (SRT)
+const cueTime = (seconds, separator) => {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+// Returns [{ start, end, text }] sorted by start
+export const buildCues = (result) => {
+  const data = result.data;
+  const moments = [
+    ...(data.timestamps || []).map(ts => ({ start: parseTimestamp(ts.time), text: ts.event })),
+    ...(data.relatedTimestamps || []).map(ts => ({ start: parseTimestamp(ts), text: data.summary || 'Related moment' }))
+  ]
+    .filter(m => m.start != null && m.text)
+    .sort((a, b) => a.start - b.start);
+
+  return moments.map((moment, i) => {
+    const next = moments[i + 1]?.start ?? Infinity;
+    let end = Math.min(moment.start + MAX_CUE_SECONDS, next > moment.start ? next : Infinity);
+    if (result.videoDuration) end = Math.min(end, result.videoDuration);
+    if (end <= moment.start) end = moment.start + 1;
+    return { ...moment, end };
+  });
+};
+
+export const vttExporter = {
+  label: 'WebVTT captions',
+  extension: 'vtt',
+  mimeType: 'text/vtt',
+
+  render(result) {
+    const cues = buildCues(result).map(cue =>
+      `${cueTime(cue.start, '.')} --> ${cueTime(cue.end, '.')}\n${cue.text}`);
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+};
+
+export const srtExporter = {
+  label: 'SRT captions',
+  extension: 'srt',
+  mimeType: 'application/x-subrip',
+
+  render(result) {
+    return buildCues(result)
+      .map((cue, i) => `${i + 1}\n${cueTime(cue.start, ',')} --> ${cueTime(cue.end, ',')}\n${cue.text}`)
+      .join('\n\n') + '\n';
+  }
+};
@@ -0,0 +1,37 @@
+// ============================================
+// CSV EXPORT
+// CR AudioViz AI, LLC
+//
+// One row per damage item, timeline event and related timestamp, with the
+// same columns throughout so the sheet sorts and filters cleanly.
+// ============================================
+
+const COLUMNS = ['Kind', '#', 'Time', 'Location', 'Type', 'Severity', 'Description', 'Recommendation'];
+
+// RFC 4180 quoting; leading =,+,-,@ are prefixed so spreadsheets don't run them
+const cell = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of cells -> CSV text with a trailing line break
+export const csvLines = (rows) => rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+
+export const csvExporter = {
+  label: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+
+  render(result) {
+    const data = result.data;
+    const rows = [
+      ...(data.damageItems || []).map((item, i) => [
+        'Damage', i + 1, item.timestamp, item.location, item.type, item.severity, item.description, item.recommendation
+      ]),
+      ...(data.timestamps || []).map((ts, i) => ['Timeline', i + 1, ts.time, '', '', '', ts.event, '']),
+      ...(data.relatedTimestamps || []).map((ts, i) => ['Related', i + 1, ts, '', '', '', '', ''])
+    ];
+    return csvLines([COLUMNS, ...rows]);
+  }
+};
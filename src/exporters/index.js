@@ -0,0 +1,52 @@
+// ============================================
+// RESULT EXPORTERS
+// CR AudioViz AI, LLC
+//
+// Each exporter turns an analysisResult into text in one format:
+//   { label, extension, mimeType, render(result, { taskName, engineName }) }
+// Copy and Export both use whichever format is selected.
+// ============================================
+
+import { csvExporter } from './csv.js';
+import { markdownExporter } from './markdown.js';
+import { vttExporter, srtExporter } from './captions.js';
+
+const jsonExporter = {
+  label: 'JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  render: (result) => JSON.stringify(result, null, 2)
+};
+
+export const EXPORTERS = {
+  json: jsonExporter,
+  csv: csvExporter,
+  markdown: markdownExporter,
+  vtt: vttExporter,
+  srt: srtExporter
+};
+
+export const getExporter = (format) => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unknown export format "${format}"`);
+  return exporter;
+};
+
+export const renderExport = (format, result, context) => getExporter(format).render(result, context);
+
+// Saves text as a file through a temporary link
+export const downloadText = (text, { extension, mimeType }, baseName) => {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${baseName}-${Date.now()}.${extension}`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Downloads the result in the given format
+export const downloadExport = (format, result, context) => {
+  const exporter = getExporter(format);
+  downloadText(exporter.render(result, context), exporter, 'javari-analysis');
+};
@@ -0,0 +1,86 @@
+// ============================================
+// MARKDOWN EXPORT
+// CR AudioViz AI, LLC
+//
+// A human-readable report for pasting into tickets, docs and emails.
+// Reports with a chain-of-custody manifest end with its hashes and, in a
+// comment, the payload the Verify page checks.
+// ============================================
+
+import { formatTimestamp } from '../utils/time.js';
+import { verificationPayload, encodePayload, PAYLOAD_TAG } from '../audit/manifest.js';
+
+// Pipes and newlines would break a table row
+export const tableCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const list = (items) => items.map(item => `- ${item}`).join('\n');
+
+export const markdownExporter = {
+  label: 'Markdown',
+  extension: 'md',
+  mimeType: 'text/markdown',
+
+  render(result, { taskName, engineName } = {}) {
+    const data = result.data;
+    const sections = [
+      `# ${taskName || result.task}: ${result.videoName}`,
+      [
+        `- **Engine:** ${engineName || result.api}`,
+        `- **Analyzed:** ${new Date(result.timestamp).toLocaleString()}`,
+        result.videoDuration ? `- **Duration:** ${formatTimestamp(result.videoDuration)}` : null,
+        data.confidence != null ? `- **Confidence:** ${Math.round(data.confidence * 100)}%` : null
+      ].filter(Boolean).join('\n')
+    ];
+
+    if (data.summary) sections.push(`## Summary\n\n${data.summary}`);
+    if (data.answer) sections.push(`## Answer\n\n${data.answer}`);
+
+    if (data.overallCondition) {
+      const { score, label, description } = data.overallCondition;
+      sections.push(`## Overall Condition\n\n**${score ?? '–'}/10 (${label})**${description ? `\n\n${description}` : ''}`);
+    }
+
+    if (data.damageItems) {
+      const rows = data.damageItems.map((item, i) =>
+        `| ${i + 1} | ${[item.location, item.type, item.severity, item.timestamp, item.description, item.recommendation].map(tableCell).join(' | ')} |`);
+      sections.push(data.damageItems.length
+        ? ['## Damage Identified', '', '| # | Location | Type | Severity | Time | Description | Recommendation |',
+          '|---|---|---|---|---|---|---|', ...rows].join('\n')
+        : '## Damage Identified\n\nNo damage identified.');
+    }
+
+    if (data.recommendations) {
+      const groups = [['Immediate', 'immediate'], ['Short-Term (1-3 months)', 'shortTerm'], ['Long-Term', 'longTerm']]
+        .filter(([, key]) => data.recommendations[key]?.length)
+        .map(([label, key]) => `### ${label}\n\n${list(data.recommendations[key])}`);
+      if (groups.length) sections.push(['## Recommendations', ...groups].join('\n\n'));
+    }
+
+    if (data.positiveObservations?.length) sections.push(`## Positive Observations\n\n${list(data.positiveObservations)}`);
+    if (data.insuranceNotes?.length) sections.push(`## Insurance Documentation Notes\n\n${list(data.insuranceNotes)}`);
+    if (data.keyFindings?.length) sections.push(`## Key Findings\n\n${list(data.keyFindings)}`);
+    if (data.timestamps?.length) sections.push(`## Timeline\n\n${list(data.timestamps.map(ts => `**${ts.time}** ${ts.event}`))}`);
+    if (data.relatedTimestamps?.length) sections.push(`## Related Timestamps\n\n${data.relatedTimestamps.join(', ')}`);
+    if (data.warnings?.length) sections.push(`## Parsing Warnings\n\n${list(data.warnings)}`);
+
+    const payload = verificationPayload(result);
+    if (payload) {
+      const { manifest } = payload;
+      sections.push([
+        '## Chain of Custody',
+        '',
+        list([
+          `**Video SHA-256:** \`${manifest.video.sha256 || 'not recorded'}\``,
+          manifest.video.url && `**Video link:** ${manifest.video.url}`,
+          `**Result SHA-256:** \`${manifest.resultSha256}\``,
+          `**Manifest seal:** \`${manifest.seal}\``,
+          `**Prompt version:** ${manifest.analysis.promptVersion}`
+        ].filter(Boolean)),
+        '',
+        `<!-- ${PAYLOAD_TAG}:${encodePayload(payload)} -->`
+      ].join('\n'));
+    }
+
+    return sections.join('\n\n') + '\n';
+  }
+};
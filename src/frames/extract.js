@@ -0,0 +1,201 @@
+// ============================================
+// KEYFRAME EXTRACTION
+// CR AudioViz AI, LLC
+//
+// Samples still frames from a video with an off-screen <video> element and a
+// canvas, for image-only engines like Roboflow. Frames are taken either at a
+// fixed interval or whenever the picture changes enough (scene change).
+// ============================================
+
+export const SAMPLING_DEFAULTS = {
+  mode: 'interval',        // 'interval' | 'scene'
+  interval: 2,             // seconds between samples (interval mode)
+  sceneStep: 0.5,          // seconds between probes (scene mode)
+  sceneThreshold: 0.12,    // mean luma difference (0-1) that counts as a new scene
+  maxFrames: 60,
+  width: 640,              // frame width sent to the engine
+  thumbnailWidth: 160,
+  quality: 0.8
+};
+
+// Tiny grayscale fingerprint used to compare frames in scene mode
+const FINGERPRINT_SIZE = { width: 32, height: 18 };
+
+const once = (target, event, signal) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    target.removeEventListener(event, onEvent);
+    target.removeEventListener('error', onError);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  const onEvent = () => {
+    cleanup();
+    resolve();
+  };
+  const onError = () => {
+    cleanup();
+    reject(new Error('Could not decode this video for frame sampling'));
+  };
+  const onAbort = () => {
+    cleanup();
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  target.addEventListener(event, onEvent);
+  target.addEventListener('error', onError);
+  signal?.addEventListener('abort', onAbort);
+});
+
+const seek = async (video, time, signal) => {
+  const seeked = once(video, 'seeked', signal);
+  video.currentTime = time;
+  await seeked;
+};
+
+// Clips recorded in the browser (MediaRecorder WebM) often carry no
+// duration until the player has read to the end; a seek far past the end
+// makes it work the duration out
+const knownDuration = async (video, signal) => {
+  if (!Number.isFinite(video.duration)) {
+    await seek(video, Number.MAX_SAFE_INTEGER, signal);
+    await seek(video, 0, signal);
+  }
+  return video.duration;
+};
+
+const drawScaled = (video, width) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round(width * (video.videoHeight / video.videoWidth));
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+const fingerprint = (video) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = FINGERPRINT_SIZE.width;
+  canvas.height = FINGERPRINT_SIZE.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const luma = new Float32Array(data.length / 4);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+  }
+  return luma;
+};
+
+const difference = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+  return sum / a.length;
+};
+
+// Candidate sample times; interval mode spreads out if maxFrames would be exceeded
+const sampleTimes = (duration, options) => {
+  const step = options.mode === 'scene'
+    ? options.sceneStep
+    : Math.max(options.interval, duration / options.maxFrames);
+  const times = [];
+  for (let t = 0; t < duration; t += step) times.push(Number(t.toFixed(3)));
+  return times;
+};
+
+// Returns [{ time, data (base64 JPEG), thumbnail (data URL), width, height }]
+export const extractKeyframes = async (file, settings = {}, { signal, onProgress = () => {} } = {}) => {
+  const options = { ...SAMPLING_DEFAULTS, ...settings };
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  try {
+    const loaded = once(video, 'loadeddata', signal);
+    video.src = url;
+    await loaded;
+
+    const times = sampleTimes(await knownDuration(video, signal), options);
+    const frames = [];
+    let previous = null;
+
+    for (let i = 0; i < times.length && frames.length < options.maxFrames; i++) {
+      await seek(video, times[i], signal);
+
+      if (options.mode === 'scene') {
+        const current = fingerprint(video);
+        const isNewScene = !previous || difference(current, previous) >= options.sceneThreshold;
+        if (!isNewScene) {
+          onProgress((i + 1) / times.length);
+          continue;
+        }
+        previous = current;
+      }
+
+      const canvas = drawScaled(video, Math.min(options.width, video.videoWidth));
+      frames.push({
+        time: times[i],
+        data: canvas.toDataURL('image/jpeg', options.quality).split(',')[1],
+        thumbnail: drawScaled(video, options.thumbnailWidth).toDataURL('image/jpeg', 0.7),
+        width: canvas.width,
+        height: canvas.height
+      });
+      onProgress((i + 1) / times.length);
+    }
+
+    return frames;
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Stills at specific times, e.g. for report thumbnails. Returns data URLs
+// in the same order as times (null where the time is outside the video).
+export const captureFrames = async (file, times, { width = 320, quality = 0.8, signal } = {}) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  try {
+    const loaded = once(video, 'loadeddata', signal);
+    video.src = url;
+    await loaded;
+
+    const duration = await knownDuration(video, signal);
+    const stills = [];
+    for (const time of times) {
+      if (time == null || time > duration) {
+        stills.push(null);
+        continue;
+      }
+      await seek(video, time, signal);
+      stills.push(drawScaled(video, Math.min(width, video.videoWidth)).toDataURL('image/jpeg', quality));
+    }
+    return stills;
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Duration and size without decoding frames. Resolves { duration, width, height }.
+export const probeVideo = async (file, { signal } = {}) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'metadata';
+
+  try {
+    const loaded = once(video, 'loadedmetadata', signal);
+    video.src = url;
+    await loaded;
+    return { duration: await knownDuration(video, signal), width: video.videoWidth, height: video.videoHeight };
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+};
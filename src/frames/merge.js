@@ -0,0 +1,52 @@
+// ============================================
+// PER-FRAME DETECTION MERGING
+// CR AudioViz AI, LLC
+//
+// The same dent shows up in many sampled frames. Detections of one class
+// whose boxes overlap in nearby frames are chained into a single sighting,
+// which becomes one damage item timed and illustrated by its best frame.
+// ============================================
+
+const MIN_IOU = 0.3;
+
+export const iou = (a, b) => {
+  const width = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+  const height = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  const area = (box) => (box.right - box.left) * (box.bottom - box.top);
+  return intersection / (area(a) + area(b) - intersection);
+};
+
+// detections: [{ label, confidence, time, box, thumbnail }]
+// maxGap: seconds two sightings may be apart and still be the same object.
+// Returns [{ label, best, first, last, count, frames }]
+export const mergeDetections = (detections, { maxGap = 4 } = {}) => {
+  const sightings = [];
+  const ordered = [...detections].sort((a, b) => a.time - b.time);
+
+  for (const detection of ordered) {
+    const match = sightings.find(s =>
+      s.label === detection.label &&
+      detection.time - s.last.time <= maxGap &&
+      iou(s.last.box, detection.box) >= MIN_IOU);
+
+    if (match) {
+      match.frames.push(detection);
+      match.last = detection;
+      match.count += 1;
+      if (detection.confidence > match.best.confidence) match.best = detection;
+    } else {
+      sightings.push({
+        label: detection.label,
+        best: detection,
+        first: detection,
+        last: detection,
+        count: 1,
+        frames: [detection]
+      });
+    }
+  }
+
+  return sightings;
+};
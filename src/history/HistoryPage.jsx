@@ -0,0 +1,140 @@
+// ============================================
+// HISTORY PAGE
+// CR AudioViz AI, LLC
+//
+// Past analyses with search, task/engine/date filters, reopen and delete.
+// ============================================
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  History, Search, Loader2, AlertCircle, Clock, Cpu, Video,
+  FolderOpen, Trash2, Package, CloudOff, X
+} from 'lucide-react';
+import { listAnalyses, deleteAnalysis } from './index.js';
+
+const EMPTY_FILTERS = { query: '', task: '', engine: '', from: '', to: '' };
+
+export default function HistoryPage({ tasks, engines, user, onOpen }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [records, setRecords] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const updateFilter = (name) => (e) => setFilters(prev => ({ ...prev, [name]: e.target.value }));
+
+  const loadHistory = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setRecords(await listAnalyses({ ...filters, query: filters.query.trim() }, user));
+    } catch (err) {
+      setError(err.message || 'Could not load your history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, user]);
+
+  // Debounced so typing in the search box doesn't query on every key
+  useEffect(() => {
+    const timer = setTimeout(loadHistory, 300);
+    return () => clearTimeout(timer);
+  }, [loadHistory]);
+
+  const removeRecord = async (record) => {
+    if (!window.confirm(`Delete the ${tasks[record.task]?.name || record.task} report for ${record.videoName}?`)) return;
+    try {
+      await deleteAnalysis(record);
+      setRecords(prev => prev.filter(r => r.id !== record.id));
+    } catch (err) {
+      setError(err.message || 'Could not delete this report');
+    }
+  };
+
+  return (
+    <main className="main">
+      <section className="history-section">
+        <h2><History size={24} /> Analysis History</h2>
+
+        <div className="history-filters">
+          <div className="history-search">
+            <Search size={18} />
+            <input
+              type="search"
+              placeholder="Search by video name or summary..."
+              value={filters.query}
+              onChange={updateFilter('query')}
+            />
+          </div>
+          <select value={filters.task} onChange={updateFilter('task')}>
+            <option value="">All tasks</option>
+            {Object.values(tasks).map(task => (
+              <option key={task.id} value={task.id}>{task.name}</option>
+            ))}
+          </select>
+          <select value={filters.engine} onChange={updateFilter('engine')}>
+            <option value="">All engines</option>
+            {Object.entries(engines).map(([key, engine]) => (
+              <option key={key} value={key}>{engine.name}</option>
+            ))}
+          </select>
+          <label>
+            From <input type="date" value={filters.from} onChange={updateFilter('from')} />
+          </label>
+          <label>
+            To <input type="date" value={filters.to} onChange={updateFilter('to')} />
+          </label>
+          <button className="btn btn-sm btn-secondary" onClick={() => setFilters(EMPTY_FILTERS)}>
+            Clear
+          </button>
+        </div>
+
+        {error && (
+          <div className="error-banner">
+            <AlertCircle size={20} />
+            <span>{error}</span>
+            <button onClick={() => setError(null)}><X size={18} /></button>
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="empty-note"><Loader2 size={16} className="spinner" /> Loading history...</p>
+        ) : records.length === 0 ? (
+          <p className="empty-note">No saved analyses match these filters.</p>
+        ) : (
+          <ul className="history-list">
+            {records.map(record => {
+              const task = tasks[record.task];
+              const TaskIcon = task?.icon || Video;
+              return (
+                <li key={record.id} className="history-item">
+                  <div className="history-icon" style={{ background: task?.color }}>
+                    <TaskIcon size={20} color="white" />
+                  </div>
+                  <div className="history-details">
+                    <h3>{task?.name || record.task}</h3>
+                    <div className="results-meta">
+                      <span className="meta-item"><Video size={14} /> {record.videoName}</span>
+                      <span className="meta-item"><Cpu size={14} /> {engines[record.engine]?.name || record.engine}</span>
+                      <span className="meta-item"><Clock size={14} /> {new Date(record.createdAt).toLocaleString()}</span>
+                      {record.hasVideo && <span className="meta-item"><Package size={14} /> Video saved</span>}
+                      {record.source === 'local' && <span className="meta-item"><CloudOff size={14} /> This device only</span>}
+                    </div>
+                    {record.summary && <p className="history-summary">{record.summary}</p>}
+                  </div>
+                  <div className="history-actions">
+                    <button className="btn btn-sm btn-primary" onClick={() => onOpen(record)}>
+                      <FolderOpen size={16} /> Open
+                    </button>
+                    <button className="btn btn-sm btn-danger" onClick={() => removeRecord(record)}>
+                      <Trash2 size={16} /> Delete
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,47 @@
+// ============================================
+// ANALYSIS HISTORY
+// CR AudioViz AI, LLC
+//
+// Saves every analysis so it survives resets and closed tabs. Supabase is
+// the primary store, for a user signed in to it (see auth/session.js); the
+// local IndexedDB store takes over when Supabase is not configured, there
+// is no session, offline, or failing. Listing merges both.
+// ============================================
+
+import { toRecord, newestFirst } from './records.js';
+import { localStore } from './localStore.js';
+import { supabaseStore } from './supabaseStore.js';
+
+const STORES = { local: localStore, supabase: supabaseStore };
+
+const storeFor = (record) => STORES[record.source] || localStore;
+
+// video: optional File/Blob to keep alongside the report
+export const saveAnalysis = async (analysisResult, { user, video } = {}) => {
+  const record = toRecord(analysisResult, { user, hasVideo: !!video });
+  if (await supabaseStore.isAvailable()) {
+    try {
+      return await supabaseStore.save(record, video);
+    } catch (err) {
+      console.warn('[History] Supabase save failed, keeping a local copy:', err.message);
+    }
+  }
+  return localStore.save(record, video);
+};
+
+export const listAnalyses = async (filters, user) => {
+  const lists = await Promise.all([
+    localStore.list(filters, user),
+    await supabaseStore.isAvailable()
+      ? supabaseStore.list(filters).catch((err) => {
+        console.warn('[History] Supabase list failed:', err.message);
+        return [];
+      })
+      : []
+  ]);
+  return lists.flat().sort(newestFirst);
+};
+
+export const getAnalysisVideo = (record) => (record.hasVideo ? storeFor(record).getVideo(record) : null);
+
+export const deleteAnalysis = (record) => storeFor(record).remove(record);
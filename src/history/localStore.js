@@ -0,0 +1,43 @@
+// ============================================
+// LOCAL HISTORY STORE
+// CR AudioViz AI, LLC
+//
+// IndexedDB stand-in for the Supabase store, used in development, when
+// Supabase is not configured, and for analyses saved while offline.
+// ============================================
+
+import { openDatabase, withStore } from '../utils/idb.js';
+import { matchesFilters, newestFirst } from './records.js';
+
+const db = () => openDatabase('javari-history', {
+  analyses: { keyPath: 'id', indexes: ['createdAt'] },
+  videos: { keyPath: 'id' }
+});
+
+export const localStore = {
+  name: 'local',
+
+  async save(record, video) {
+    const stored = { ...record, source: 'local' };
+    if (video) await withStore(await db(), 'videos', 'readwrite', store => store.put({ id: record.id, blob: video }));
+    await withStore(await db(), 'analyses', 'readwrite', store => store.put(stored));
+    return stored;
+  },
+
+  async list(filters, user) {
+    const all = await withStore(await db(), 'analyses', 'readonly', store => store.getAll());
+    return all
+      .filter(record => record.userId === (user?.id ?? null) && matchesFilters(record, filters))
+      .sort(newestFirst);
+  },
+
+  async getVideo(record) {
+    const entry = await withStore(await db(), 'videos', 'readonly', store => store.get(record.id));
+    return entry?.blob ?? null;
+  },
+
+  async remove(record) {
+    await withStore(await db(), 'videos', 'readwrite', store => store.delete(record.id));
+    await withStore(await db(), 'analyses', 'readwrite', store => store.delete(record.id));
+  }
+};
@@ -0,0 +1,38 @@
+// ============================================
+// HISTORY RECORDS
+// CR AudioViz AI, LLC
+//
+// A history record is an analysisResult plus the metadata needed to list,
+// search and filter it without loading the whole report.
+// ============================================
+
+// analysisResult -> record ({ result } keeps the full report for reopening)
+export const toRecord = (analysisResult, { user, hasVideo = false } = {}) => ({
+  id: crypto.randomUUID(),
+  userId: user?.id ?? null,
+  task: analysisResult.task,
+  engine: analysisResult.api,
+  videoName: analysisResult.videoName,
+  videoSize: analysisResult.videoSize,
+  videoDuration: analysisResult.videoDuration ?? null,
+  summary: analysisResult.data?.summary || analysisResult.data?.answer || '',
+  createdAt: analysisResult.timestamp,
+  hasVideo,
+  result: analysisResult
+});
+
+// filters: { query, task, engine, from, to } (from/to are yyyy-mm-dd strings)
+export const matchesFilters = (record, { query, task, engine, from, to } = {}) => {
+  if (task && record.task !== task) return false;
+  if (engine && record.engine !== engine) return false;
+  const day = record.createdAt.slice(0, 10);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  if (query) {
+    const needle = query.toLowerCase();
+    return [record.videoName, record.summary].some(text => text?.toLowerCase().includes(needle));
+  }
+  return true;
+};
+
+export const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
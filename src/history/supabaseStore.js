@@ -0,0 +1,99 @@
+// ============================================
+// SUPABASE HISTORY STORE
+// CR AudioViz AI, LLC
+//
+// Saves reports to the `video_analyses` table and, when asked, the video
+// itself to the `analysis-videos` storage bucket (see README for the schema).
+// Rows and videos belong to the signed-in Supabase user (see auth/session.js)
+// and row-level security keeps everyone else out, so the store is only used
+// with a session.
+// ============================================
+
+import { getSupabase } from '../utils/supabase.js';
+import { sessionUser } from '../auth/session.js';
+
+const TABLE = 'video_analyses';
+const BUCKET = 'analysis-videos';
+
+const toRow = (record) => ({
+  id: record.id,
+  user_id: record.userId,
+  task: record.task,
+  engine: record.engine,
+  video_name: record.videoName,
+  video_size: record.videoSize,
+  video_duration: record.videoDuration,
+  video_path: record.videoPath ?? null,
+  summary: record.summary,
+  result: record.result,
+  created_at: record.createdAt
+});
+
+const fromRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  task: row.task,
+  engine: row.engine,
+  videoName: row.video_name,
+  videoSize: row.video_size,
+  videoDuration: row.video_duration,
+  videoPath: row.video_path,
+  hasVideo: !!row.video_path,
+  summary: row.summary,
+  result: row.result,
+  createdAt: row.created_at,
+  source: 'supabase'
+});
+
+const unwrap = ({ data, error }) => {
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+// Escapes the characters PostgREST treats specially inside or() filters
+const likePattern = (query) => `%${query.replace(/[%,()*\\]/g, ' ')}%`;
+
+export const supabaseStore = {
+  name: 'supabase',
+
+  isAvailable: async () => navigator.onLine && Boolean(await sessionUser()),
+
+  async save(record, video) {
+    const supabase = getSupabase();
+    const owner = await sessionUser();
+    // Videos are stored under the owner's folder, which the bucket's policies check
+    let videoPath = null;
+    if (video) {
+      videoPath = `${owner.id}/${record.id}/${record.videoName}`;
+      unwrap(await supabase.storage.from(BUCKET).upload(videoPath, video, { contentType: video.type }));
+    }
+    const row = unwrap(await supabase.from(TABLE).insert(toRow({ ...record, userId: owner.id, videoPath })).select().single());
+    return fromRow(row);
+  },
+
+  async list({ query, task, engine, from, to } = {}) {
+    const owner = await sessionUser();
+    let request = getSupabase().from(TABLE).select('*').order('created_at', { ascending: false });
+    request = request.eq('user_id', owner.id);
+    if (task) request = request.eq('task', task);
+    if (engine) request = request.eq('engine', engine);
+    if (from) request = request.gte('created_at', from);
+    if (to) request = request.lte('created_at', `${to}T23:59:59.999Z`);
+    if (query) {
+      const pattern = likePattern(query);
+      request = request.or(`video_name.ilike.${pattern},summary.ilike.${pattern}`);
+    }
+    return unwrap(await request).map(fromRow);
+  },
+
+  async getVideo(record) {
+    if (!record.videoPath) return null;
+    return unwrap(await getSupabase().storage.from(BUCKET).download(record.videoPath));
+  },
+
+  async remove(record) {
+    const supabase = getSupabase();
+    if (record.videoPath) unwrap(await supabase.storage.from(BUCKET).remove([record.videoPath]));
+    unwrap(await supabase.from(TABLE).delete().eq('id', record.id));
+  }
+};
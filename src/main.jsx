@@ -5,6 +5,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { registerServiceWorker } from './offline/notify.js';
 import './styles.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -12,3 +13,6 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>
 );
+
+// Installable, and opens without a connection (see public/sw.js)
+registerServiceWorker();
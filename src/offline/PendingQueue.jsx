@@ -0,0 +1,83 @@
+// ============================================
+// PENDING QUEUE
+// CR AudioViz AI, LLC
+//
+// Videos queued while offline, shown above the upload area with their
+// status, and progress while they are submitted, until they are viewed
+// and dismissed.
+// ============================================
+
+import React from 'react';
+import { CloudOff, Clock, Loader2, FolderOpen, RefreshCw, X } from 'lucide-react';
+import { PENDING_STATUS } from './useOfflineQueue.js';
+import { STAGE_LABELS } from '../analysis/lifecycle.js';
+import { describeSize } from '../engines/limits.js';
+
+// queue: { items, retry, remove } from useOfflineQueue
+// held: why nothing is being submitted though online, or null
+export default function PendingQueue({ queue, online, held, taskName, onOpen }) {
+  const { items, retry, remove } = queue;
+  if (!items.length) return null;
+
+  const waiting = items.filter(item => item.status === PENDING_STATUS.WAITING).length;
+  const note = !online
+    ? `Offline. ${waiting} queued ${waiting === 1 ? 'video' : 'videos'} will be submitted when the connection is back.`
+    : held;
+
+  return (
+    <section className="resumed-section pending-section">
+      <h2><CloudOff size={24} /> Queued While Offline</h2>
+      {note && waiting > 0 && <p className="pending-note">{note}</p>}
+      <ul className="resumed-list">
+        {items.map(item => {
+          const running = item.status === PENDING_STATUS.RUNNING;
+          return (
+            <li key={item.id} className={`resumed-job pending-job ${item.status}`}>
+              <div className="resumed-job-row">
+                <div className="resumed-job-info">
+                  <strong title={item.file.name}>{item.file.name}</strong>
+                  <span>
+                    {taskName(item.settings.task)} · {describeSize(item.file.size)} · queued {new Date(item.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                {item.status === PENDING_STATUS.WAITING && (
+                  <span className="resumed-stage"><Clock size={14} /> Waiting</span>
+                )}
+                {running && (
+                  <span className="resumed-stage">
+                    <Loader2 size={14} className="spinner" /> {STAGE_LABELS[item.stage] || 'Submitting'} {Math.round(item.progress)}%
+                  </span>
+                )}
+                <div className="batch-job-actions">
+                  {item.report && (
+                    <button className="btn btn-sm btn-primary" onClick={() => onOpen(item)}>
+                      <FolderOpen size={16} /> View
+                    </button>
+                  )}
+                  {item.status === PENDING_STATUS.FAILED && (
+                    <button className="btn btn-sm" onClick={() => retry(item.id)} title="Try again">
+                      <RefreshCw size={16} />
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-sm btn-danger"
+                    onClick={() => remove(item.id)}
+                    title={item.report ? 'Dismiss' : 'Remove from the queue'}
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              </div>
+              {running && (
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${item.progress}%` }} />
+                </div>
+              )}
+              {item.error && <p className="batch-job-error">{item.error}</p>}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,53 @@
+// ============================================
+// OFFLINE NOTIFICATIONS
+// CR AudioViz AI, LLC
+//
+// Service worker registration and system notifications for the offline
+// queue. Permission is asked for when the first analysis is queued, since
+// that's when the inspector knows why. Notifications go through the service
+// worker where there is one: mobile browsers only show them that way.
+// ============================================
+
+// Same tag as PENDING_SYNC_TAG in public/sw.js
+export const PENDING_SYNC_TAG = 'javari-pending-analyses';
+
+const ICON = '/icons/icon-192.png';
+
+// Production builds only; the dev server's modules must never be cached
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .catch(err => console.warn('[Offline] Service worker registration failed:', err.message));
+  });
+};
+
+export const canNotify = () => typeof Notification !== 'undefined';
+
+export const askToNotify = async () => {
+  if (!canNotify() || Notification.permission !== 'default') return;
+  await Notification.requestPermission().catch(() => {});
+};
+
+// Asks the browser to wake the service worker when the connection is back
+// (Chromium only), so an inspector who closed the app is reminded to open it
+export const requestSync = async () => {
+  const registration = await navigator.serviceWorker?.getRegistration();
+  await registration?.sync?.register(PENDING_SYNC_TAG).catch(() => {});
+};
+
+// tag: notifications with the same tag replace each other
+export const notify = async (title, { body, tag } = {}) => {
+  if (!canNotify() || Notification.permission !== 'granted') return;
+  const options = { body, tag, icon: ICON };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (err) {
+    console.warn('[Offline] Could not show a notification:', err.message);
+  }
+};
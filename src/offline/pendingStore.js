@@ -0,0 +1,44 @@
+// ============================================
+// PENDING ANALYSES
+// CR AudioViz AI, LLC
+//
+// Analyses asked for while offline, kept in IndexedDB with their video
+// until they can be submitted, so a closed tab or a dead battery loses
+// nothing. An entry is removed once its analysis completes.
+// ============================================
+
+import { openDatabase, withStore } from '../utils/idb.js';
+
+// A pending analysis:
+//   { id, file (the video), settings: { task, api, consensusEngines, query },
+//     createdAt, error (why the last submission failed, or null) }
+// settings has the same shape as a batch job's (see batch/queue.js).
+
+const db = () => openDatabase('javari-offline', {
+  pending: { keyPath: 'id', indexes: ['createdAt'] }
+});
+
+// Oldest first, the order they are submitted in
+export const listPending = async () =>
+  withStore(await db(), 'pending', 'readonly', store => store.index('createdAt').getAll());
+
+export const addPending = async (file, settings) => {
+  const entry = {
+    id: `pending_${crypto.randomUUID()}`,
+    file,
+    settings,
+    createdAt: new Date().toISOString(),
+    error: null
+  };
+  await withStore(await db(), 'pending', 'readwrite', store => store.put(entry));
+  return entry;
+};
+
+export const updatePending = async (entry) => {
+  await withStore(await db(), 'pending', 'readwrite', store => store.put(entry));
+  return entry;
+};
+
+export const removePending = async (id) => {
+  await withStore(await db(), 'pending', 'readwrite', store => store.delete(id));
+};
@@ -0,0 +1,163 @@
+// ============================================
+// OFFLINE QUEUE HOOK
+// CR AudioViz AI, LLC
+//
+// Analyses asked for without a connection wait in IndexedDB (see
+// pendingStore.js) and are submitted one at a time, oldest first, once the
+// browser is back online. A submission that fails because the connection
+// dropped again goes back to waiting; any other failure is kept with its
+// error until it is retried or removed. The inspector gets a notification
+// as each one completes.
+// ============================================
+
+import { useState, useRef, useEffect } from 'react';
+import { listPending, addPending, updatePending, removePending } from './pendingStore.js';
+import { askToNotify, requestSync, notify } from './notify.js';
+
+export const PENDING_STATUS = {
+  WAITING: 'waiting',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Whether the browser thinks it has a connection
+export const useOnline = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
+
+const toStored = ({ id, file, settings, createdAt, error }) => ({ id, file, settings, createdAt, error });
+
+const fromStored = (entry) => ({
+  ...entry,
+  status: entry.error ? PENDING_STATUS.FAILED : PENDING_STATUS.WAITING,
+  progress: 0,
+  stage: null,
+  report: null
+});
+
+// run(entry, { signal, onProgress }) resolves the report, as for a batch
+// job, and may change between renders like useBatchQueue's. Nothing is
+// submitted unless online and ready (false holds the queue, e.g. until the
+// user's session is back).
+export const useOfflineQueue = (run, { online, ready = true }) => {
+  const [items, setItems] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const itemsRef = useRef([]);
+  const runRef = useRef(run);
+  const syncingRef = useRef(false);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    runRef.current = run;
+  }, [run]);
+
+  // The ref is always current, for the submit loop between renders
+  const update = (change) => {
+    itemsRef.current = change(itemsRef.current);
+    setItems(itemsRef.current);
+  };
+
+  const patch = (id, changes) => update(list => list.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+  useEffect(() => {
+    listPending()
+      .then(entries => update(list => [
+        ...entries.filter(entry => !list.some(item => item.id === entry.id)).map(fromStored),
+        ...list
+      ]))
+      .catch(err => console.warn('[Offline] Could not load queued analyses:', err));
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  const submitOne = async (entry) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    patch(entry.id, { status: PENDING_STATUS.RUNNING, progress: 0, stage: null });
+    try {
+      const report = await runRef.current(entry, {
+        signal: controller.signal,
+        onProgress: (progress, stage) => patch(entry.id, { progress, stage })
+      });
+      await removePending(entry.id);
+      patch(entry.id, { status: PENDING_STATUS.DONE, progress: 100, report });
+      notify('Queued analysis complete', { body: `${entry.file.name} is ready to view.`, tag: entry.id });
+      return true;
+    } catch (err) {
+      // Cancelled, or the connection went again: try later
+      if (err.name === 'AbortError' || !navigator.onLine) {
+        patch(entry.id, { status: PENDING_STATUS.WAITING, progress: 0, stage: null });
+        return false;
+      }
+      const error = err.message || 'Analysis failed';
+      await updatePending(toStored({ ...entry, error })).catch(() => {});
+      patch(entry.id, { status: PENDING_STATUS.FAILED, error });
+      notify('Queued analysis failed', { body: `${entry.file.name}: ${error}`, tag: entry.id });
+      return true;
+    } finally {
+      controllerRef.current = null;
+    }
+  };
+
+  const submitAll = async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      for (;;) {
+        const entry = itemsRef.current.find(item => item.status === PENDING_STATUS.WAITING);
+        if (!entry || !navigator.onLine) break;
+        if (!await submitOne(entry)) break;
+      }
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  };
+
+  const hasWaiting = items.some(item => item.status === PENDING_STATUS.WAITING);
+
+  // Also picks up again after a submission was stopped to remove its video
+  useEffect(() => {
+    if (online && ready && hasWaiting && !syncing) submitAll();
+  }, [online, ready, hasWaiting, syncing]);
+
+  // Queues a video with batch-job settings; rejects when it can't be stored
+  const add = async (file, settings) => {
+    // Before storing the video, while the click still counts as the user's
+    askToNotify();
+    const entry = await addPending(file, settings);
+    update(list => [...list, fromStored(entry)]);
+    requestSync();
+    return entry;
+  };
+
+  const retry = async (id) => {
+    const item = itemsRef.current.find(entry => entry.id === id);
+    if (!item) return;
+    await updatePending(toStored({ ...item, error: null })).catch(() => {});
+    patch(id, { status: PENDING_STATUS.WAITING, error: null });
+  };
+
+  // Drops a queued video, stopping its analysis if it is being submitted
+  const remove = async (id) => {
+    const item = itemsRef.current.find(entry => entry.id === id);
+    if (item?.status === PENDING_STATUS.RUNNING) controllerRef.current?.abort();
+    update(list => list.filter(entry => entry.id !== id));
+    await removePending(id).catch(err => console.warn('[Offline] Could not remove a queued analysis:', err));
+  };
+
+  return { items, add, retry, remove };
+};
@@ -0,0 +1,151 @@
+// ============================================
+// DETECTION OVERLAY
+// CR AudioViz AI, LLC
+//
+// Wraps the preview <video> with a canvas that draws detection boxes, labels,
+// track IDs and confidence in sync with playback. When there are detections,
+// controls below toggle classes, set a confidence threshold and export an
+// annotated still. The wrapper is always rendered so the player never remounts.
+// ============================================
+
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Camera, Eye, EyeOff } from 'lucide-react';
+import { classColor, visibleBoxes, contentRect, drawBoxes, renderAnnotatedFrame } from './overlay.js';
+import { formatTimestamp } from '../utils/time.js';
+
+const NO_DETECTIONS = [];
+
+export default function DetectionOverlay({ videoRef, detections = NO_DETECTIONS, videoName, children }) {
+  const canvasRef = useRef(null);
+  const [threshold, setThreshold] = useState(0.5);
+  const [hidden, setHidden] = useState(() => new Set());
+  const [showBoxes, setShowBoxes] = useState(true);
+
+  const classes = useMemo(() => {
+    const counts = new Map();
+    for (const d of detections) counts.set(d.label, (counts.get(d.label) || 0) + 1);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  }, [detections]);
+
+  const filters = useMemo(() => ({ threshold, hidden }), [threshold, hidden]);
+
+  const draw = useCallback(() => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = video.clientWidth;
+    const height = video.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (!showBoxes) return;
+    drawBoxes(ctx, visibleBoxes(detections, video.currentTime, filters), contentRect(video));
+  }, [videoRef, detections, filters, showBoxes]);
+
+  // Redraw on every seek/timeupdate, every animation frame while playing,
+  // and whenever the player is resized
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+    let frame = null;
+    const loop = () => {
+      draw();
+      frame = video.paused ? null : requestAnimationFrame(loop);
+    };
+    const start = () => {
+      if (frame == null) frame = requestAnimationFrame(loop);
+    };
+    const events = ['timeupdate', 'seeked', 'loadeddata'];
+    events.forEach(event => video.addEventListener(event, draw));
+    video.addEventListener('play', start);
+    const resize = new ResizeObserver(draw);
+    resize.observe(video);
+    draw();
+    if (!video.paused) start();
+
+    return () => {
+      events.forEach(event => video.removeEventListener(event, draw));
+      video.removeEventListener('play', start);
+      resize.disconnect();
+      if (frame != null) cancelAnimationFrame(frame);
+    };
+  }, [videoRef, draw]);
+
+  const toggleClass = (label) => {
+    setHidden(prev => {
+      const next = new Set(prev);
+      if (next.has(label)) next.delete(label);
+      else next.add(label);
+      return next;
+    });
+  };
+
+  const exportStill = async () => {
+    const video = videoRef.current;
+    if (!video) return;
+    const blob = await renderAnnotatedFrame(video, visibleBoxes(detections, video.currentTime, filters));
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${videoName.replace(/\.[^.]+$/, '')}-${formatTimestamp(video.currentTime).replace(/:/g, '-')}.png`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <>
+      <div className="video-stage">
+        {children}
+        <canvas ref={canvasRef} className="detection-canvas" />
+      </div>
+
+      {detections.length > 0 && (
+        <div className="overlay-controls">
+          <div className="overlay-row">
+            <button className="btn btn-sm" onClick={() => setShowBoxes(!showBoxes)}>
+              {showBoxes ? <EyeOff size={16} /> : <Eye size={16} />}
+              {showBoxes ? 'Hide boxes' : 'Show boxes'}
+            </button>
+            <label className="overlay-threshold">
+              Min confidence
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                value={threshold}
+                onChange={(e) => setThreshold(Number(e.target.value))}
+              />
+              <span>{Math.round(threshold * 100)}%</span>
+            </label>
+            <button className="btn btn-sm" onClick={exportStill}>
+              <Camera size={16} /> Export still
+            </button>
+          </div>
+          <div className="overlay-classes">
+            {classes.map(([label, count]) => (
+              <button
+                key={label}
+                className={`overlay-class ${hidden.has(label) ? 'off' : ''}`}
+                style={{ borderColor: classColor(label) }}
+                onClick={() => toggleClass(label)}
+              >
+                <i style={{ background: classColor(label) }} />
+                {label} ({count})
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,103 @@
+// ============================================
+// FINDINGS SCRUBBER
+// CR AudioViz AI, LLC
+//
+// A seek bar for the preview player with colour-coded markers for every
+// finding, and previous/next controls to step through them.
+// ============================================
+
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { MARKER_COLORS, MARKER_LABELS, adjacentFinding } from './findings.js';
+import { formatTimestamp } from '../utils/time.js';
+
+export default function Scrubber({ videoRef, src, duration, findings, onSeek }) {
+  const [currentTime, setCurrentTime] = useState(0);
+  const trackRef = useRef(null);
+
+  // Follow the player, whichever way it was moved
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+    const update = () => setCurrentTime(video.currentTime);
+    video.addEventListener('timeupdate', update);
+    video.addEventListener('seeked', update);
+    return () => {
+      video.removeEventListener('timeupdate', update);
+      video.removeEventListener('seeked', update);
+    };
+  }, [videoRef, src]);
+
+  if (!duration) return null;
+
+  const percent = (seconds) => `${Math.min(100, (seconds / duration) * 100)}%`;
+
+  const seekFromPointer = (e) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    onSeek(fraction * duration, { play: false });
+  };
+
+  const step = (direction) => {
+    const finding = adjacentFinding(findings, currentTime, direction);
+    if (finding) onSeek(finding.time);
+  };
+
+  const current = findings.filter(f => f.time <= currentTime + 0.25).length;
+  const activeFinding = findings.find(f =>
+    Math.abs(f.time - currentTime) < 0.5 || (f.end != null && currentTime >= f.time && currentTime <= f.end));
+  const kinds = [...new Set(findings.map(f => f.kind))];
+
+  return (
+    <div className="scrubber">
+      <div className="scrubber-track" ref={trackRef} onClick={seekFromPointer}>
+        <div className="scrubber-progress" style={{ width: percent(currentTime) }} />
+        {findings.map((finding, i) => (
+          <button
+            key={i}
+            className={`scrubber-marker ${finding.end != null ? 'ranged' : ''}`}
+            style={{
+              left: percent(finding.time),
+              width: finding.end != null ? `max(4px, ${percent(finding.end - finding.time)})` : undefined,
+              background: finding.color
+            }}
+            title={`${formatTimestamp(finding.time)} · ${finding.label}`}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSeek(finding.time);
+            }}
+          />
+        ))}
+        <div className="scrubber-playhead" style={{ left: percent(currentTime) }} />
+      </div>
+
+      <div className="scrubber-controls">
+        <button className="btn btn-sm" onClick={() => step(-1)} disabled={!adjacentFinding(findings, currentTime, -1)}>
+          <ChevronLeft size={16} /> Previous finding
+        </button>
+        <span className="scrubber-status">
+          <span className="scrubber-time">{formatTimestamp(currentTime)} / {formatTimestamp(duration)}</span>
+          {findings.length > 0 && (
+            <span>
+              {activeFinding ? activeFinding.label : `Finding ${current} of ${findings.length}`}
+            </span>
+          )}
+        </span>
+        <button className="btn btn-sm" onClick={() => step(1)} disabled={!adjacentFinding(findings, currentTime, 1)}>
+          Next finding <ChevronRight size={16} />
+        </button>
+      </div>
+
+      {kinds.length > 0 && (
+        <div className="scrubber-legend">
+          {kinds.includes('damage') && ['Critical', 'Moderate', 'Minor'].map(severity => (
+            <span key={severity}><i style={{ background: MARKER_COLORS[severity] }} /> {severity}</span>
+          ))}
+          {kinds.filter(kind => kind !== 'damage').map(kind => (
+            <span key={kind}><i style={{ background: MARKER_COLORS[kind] }} /> {MARKER_LABELS[kind]}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+// ============================================
+// SYNCED PLAYERS
+// CR AudioViz AI, LLC
+//
+// Two videos side by side whose play, pause, rate and seeking follow each
+// other while linked. The two recordings rarely start at the same moment,
+// so linking keeps whatever offset they had; seekPair() jumps both to a
+// matching pair of times and adopts that as the new offset.
+// ============================================
+
+import React, { useState, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import { Link2, Link2Off } from 'lucide-react';
+import { formatTimestamp } from '../utils/time.js';
+
+// Drift tolerated during linked playback before the follower is corrected
+const MAX_DRIFT = 0.3;
+
+const clampTime = (video, time) => Math.max(0, Math.min(time, video.duration || time));
+
+const SyncedPlayers = forwardRef(function SyncedPlayers({ before, after }, ref) {
+  const beforeRef = useRef(null);
+  const afterRef = useRef(null);
+  const offsetRef = useRef(0);        // after time minus before time
+  const [offset, setOffset] = useState(0);
+  const [linked, setLinked] = useState(true);
+
+  const adoptOffset = (value) => {
+    offsetRef.current = value;
+    setOffset(value);
+  };
+
+  useImperativeHandle(ref, () => ({
+    // Jump both players to the same finding in each recording
+    seekPair(beforeTime, afterTime) {
+      if (beforeTime != null && afterTime != null) adoptOffset(afterTime - beforeTime);
+      if (beforeTime != null) beforeRef.current.currentTime = clampTime(beforeRef.current, beforeTime);
+      if (afterTime != null) afterRef.current.currentTime = clampTime(afterRef.current, afterTime);
+    }
+  }));
+
+  useEffect(() => {
+    const a = beforeRef.current;
+    const b = afterRef.current;
+    if (!linked || !a || !b) return undefined;
+
+    // Each handler moves the other player; the echo finds nothing to fix
+    const follow = (source, target, sign) => {
+      const targetTime = () => source.currentTime + sign * offsetRef.current;
+      const handlers = {
+        play: () => target.paused && target.play().catch(() => {}),
+        pause: () => !target.paused && target.pause(),
+        ratechange: () => { target.playbackRate = source.playbackRate; },
+        seeking: () => {
+          if (Math.abs(target.currentTime - targetTime()) > 0.05) target.currentTime = clampTime(target, targetTime());
+        },
+        timeupdate: () => {
+          if (!source.paused && Math.abs(target.currentTime - targetTime()) > MAX_DRIFT) {
+            target.currentTime = clampTime(target, targetTime());
+          }
+        }
+      };
+      Object.entries(handlers).forEach(([event, handler]) => source.addEventListener(event, handler));
+      return () => Object.entries(handlers).forEach(([event, handler]) => source.removeEventListener(event, handler));
+    };
+
+    const stopA = follow(a, b, 1);
+    const stopB = follow(b, a, -1);
+    return () => {
+      stopA();
+      stopB();
+    };
+  }, [linked]);
+
+  // Linking keeps the current positions as the offset
+  const toggleLink = () => {
+    if (!linked) adoptOffset(afterRef.current.currentTime - beforeRef.current.currentTime);
+    setLinked(!linked);
+  };
+
+  return (
+    <div className="synced-players">
+      <div className="synced-grid">
+        {[['Before', before, beforeRef], ['After', after, afterRef]].map(([label, side, videoRef]) => (
+          <figure key={label} className="synced-player">
+            <figcaption>
+              <strong>{label}</strong>
+              <span>{side.name}</span>
+            </figcaption>
+            <video ref={videoRef} src={side.url} controls playsInline />
+          </figure>
+        ))}
+      </div>
+      <div className="synced-controls">
+        <button className="btn btn-sm" onClick={toggleLink}>
+          {linked ? <Link2 size={16} /> : <Link2Off size={16} />}
+          {linked ? 'Playback linked' : 'Playback unlinked'}
+        </button>
+        {linked && Math.abs(offset) >= 0.1 && (
+          <span className="synced-offset">
+            After runs {offset > 0 ? 'ahead' : 'behind'} by {formatTimestamp(Math.abs(offset))}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default SyncedPlayers;
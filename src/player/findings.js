@@ -0,0 +1,76 @@
+// ============================================
+// FINDINGS ON THE TIMELINE
+// CR AudioViz AI, LLC
+//
+// Collects every timed thing in a result (damage items, key moments,
+// related timestamps, detections) into one sorted list of markers for the
+// scrubber and the next/previous finding control.
+// ============================================
+
+import { parseTimestamp } from '../utils/time.js';
+
+// Marker colour per kind; damage markers are coloured by severity instead
+export const MARKER_COLORS = {
+  Critical: 'var(--color-danger)',
+  Moderate: 'var(--color-warning)',
+  Minor: 'var(--color-info)',
+  moment: 'var(--color-primary-light)',
+  detection: 'var(--color-success)'
+};
+
+export const MARKER_LABELS = {
+  damage: 'Damage',
+  moment: 'Key moment',
+  detection: 'Detection'
+};
+
+// Returns [{ time, end, kind, label, color }] sorted by time
+export const collectFindings = (data) => {
+  if (!data) return [];
+  const findings = [];
+
+  for (const item of data.damageItems || []) {
+    const time = item.timeRange?.[0] ?? parseTimestamp(item.timestamp);
+    if (time == null) continue;
+    findings.push({
+      time,
+      end: item.timeRange?.[1] ?? null,
+      kind: 'damage',
+      label: `${item.severity} · ${item.type} (${item.location})`,
+      color: MARKER_COLORS[item.severity]
+    });
+  }
+
+  const moments = [
+    ...(data.timestamps || []).map(ts => ({ time: parseTimestamp(ts.time), label: ts.event })),
+    ...(data.relatedTimestamps || []).map(ts => ({ time: parseTimestamp(ts), label: 'Related to your question' }))
+  ];
+  for (const moment of moments) {
+    if (moment.time == null) continue;
+    findings.push({ ...moment, end: null, kind: 'moment', color: MARKER_COLORS.moment });
+  }
+
+  // Roboflow reports each sighting both as a damage item and a detection
+  const detections = data.damageItems?.length ? [] : data.detections || [];
+  for (const detection of detections) {
+    if (detection.start == null) continue;
+    findings.push({
+      time: detection.start,
+      end: detection.end ?? null,
+      kind: 'detection',
+      label: `${detection.label} (${Math.round(detection.confidence * 100)}%)`,
+      color: MARKER_COLORS.detection
+    });
+  }
+
+  return findings.sort((a, b) => a.time - b.time);
+};
+
+// Nearest finding strictly after/before the playhead (with a little slack so
+// pressing "next" while parked on a finding moves on)
+export const adjacentFinding = (findings, currentTime, direction) => {
+  const slack = 0.25;
+  return direction > 0
+    ? findings.find(f => f.time > currentTime + slack) ?? null
+    : [...findings].reverse().find(f => f.time < currentTime - slack) ?? null;
+};
@@ -0,0 +1,104 @@
+// ============================================
+// DETECTION OVERLAY DRAWING
+// CR AudioViz AI, LLC
+//
+// Works out which detection boxes are on screen at a playback time and draws
+// them onto a canvas. Boxes are normalized (0-1) and sampled at discrete
+// times, so positions between samples are interpolated.
+// ============================================
+
+// How long a box lingers after its last sample, and shows before its first
+const HOLD_AFTER = 1;
+const LEAD_BEFORE = 0.25;
+
+const PALETTE = ['#F59E0B', '#10B981', '#06B6D4', '#EF4444', '#8B5CF6', '#EC4899', '#84CC16', '#F97316'];
+
+// Stable colour per class label
+export const classColor = (label) => {
+  let hash = 0;
+  for (const char of label) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return PALETTE[hash % PALETTE.length];
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+const lerpBox = (a, b, t) => ({
+  left: lerp(a.left, b.left, t),
+  top: lerp(a.top, b.top, t),
+  right: lerp(a.right, b.right, t),
+  bottom: lerp(a.bottom, b.bottom, t)
+});
+
+// Box for one detection at a time, or null when it isn't on screen
+export const boxAt = (detection, time) => {
+  const frames = detection.frames || [];
+  if (!frames.length) return null;
+  const first = frames[0];
+  const last = frames[frames.length - 1];
+  if (time < first.time - LEAD_BEFORE || time > last.time + HOLD_AFTER) return null;
+  if (time <= first.time) return first.box;
+  if (time >= last.time) return last.box;
+
+  const next = frames.findIndex(f => f.time >= time);
+  const before = frames[next - 1];
+  const after = frames[next];
+  return lerpBox(before.box, after.box, (time - before.time) / (after.time - before.time));
+};
+
+// filters: { threshold (0-1), hidden: Set of labels }
+export const visibleBoxes = (detections, time, { threshold = 0, hidden = new Set() } = {}) =>
+  detections
+    .filter(d => d.confidence >= threshold && !hidden.has(d.label))
+    .map(d => ({ detection: d, box: boxAt(d, time) }))
+    .filter(({ box }) => box);
+
+// Where the picture actually sits inside a <video> element (object-fit: contain)
+export const contentRect = (video) => {
+  const { clientWidth: width, clientHeight: height, videoWidth, videoHeight } = video;
+  if (!videoWidth || !videoHeight) return { x: 0, y: 0, width, height };
+  const scale = Math.min(width / videoWidth, height / videoHeight);
+  const w = videoWidth * scale;
+  const h = videoHeight * scale;
+  return { x: (width - w) / 2, y: (height - h) / 2, width: w, height: h };
+};
+
+// Draws boxes into rect (canvas pixels); scale grows line width and text for stills
+export const drawBoxes = (ctx, boxes, rect, scale = 1) => {
+  ctx.lineWidth = 2 * scale;
+  ctx.font = `600 ${12 * scale}px system-ui, sans-serif`;
+  ctx.textBaseline = 'top';
+
+  for (const { detection, box } of boxes) {
+    const color = classColor(detection.label);
+    const x = rect.x + box.left * rect.width;
+    const y = rect.y + box.top * rect.height;
+    const w = (box.right - box.left) * rect.width;
+    const h = (box.bottom - box.top) * rect.height;
+
+    ctx.strokeStyle = color;
+    ctx.strokeRect(x, y, w, h);
+
+    const caption = `${detection.label} #${detection.trackId ?? detection.id} · ${Math.round(detection.confidence * 100)}%`;
+    const padding = 3 * scale;
+    const textWidth = ctx.measureText(caption).width + padding * 2;
+    const textHeight = 12 * scale + padding * 2;
+    const labelY = y - textHeight >= rect.y ? y - textHeight : y;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, labelY, textWidth, textHeight);
+    ctx.fillStyle = '#0f172a';
+    ctx.fillText(caption, x + padding, labelY + padding);
+  }
+};
+
+// PNG blob of the current frame at full resolution with boxes burned in
+export const renderAnnotatedFrame = (video, boxes) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  drawBoxes(ctx, boxes, { x: 0, y: 0, width: canvas.width, height: canvas.height }, Math.max(1, canvas.width / 640));
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not capture this frame'))), 'image/png');
+  });
+};
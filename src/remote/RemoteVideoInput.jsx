@@ -0,0 +1,64 @@
+// ============================================
+// FROM URL INPUT
+// CR AudioViz AI, LLC
+//
+// The "From URL" field under the upload zone: checks the link, probes the
+// video behind it and hands the linked video to the analyze page.
+// ============================================
+
+import React, { useState, useRef, useEffect } from 'react';
+import { Link2, Loader2, AlertCircle } from 'lucide-react';
+import { probeRemoteVideo } from './remoteVideo.js';
+
+// onLoad(video): a linked video (see remoteVideo.js) that passed the checks
+export default function RemoteVideoInput({ onLoad }) {
+  const [link, setLink] = useState('');
+  const [isProbing, setIsProbing] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const load = async (e) => {
+    e.preventDefault();
+    if (!link.trim() || isProbing) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsProbing(true);
+    setError(null);
+    try {
+      const video = await probeRemoteVideo(link, { signal: controller.signal });
+      setLink('');
+      onLoad(video);
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message || 'Could not load this link.');
+    } finally {
+      controllerRef.current = null;
+      setIsProbing(false);
+    }
+  };
+
+  return (
+    <form className="remote-input" onSubmit={load}>
+      <div className="remote-input-row">
+        <Link2 size={18} />
+        <input
+          type="text"
+          inputMode="url"
+          placeholder="Or paste a video link: https://..., gs://bucket/clip.mp4, s3://bucket/clip.mp4"
+          value={link}
+          onChange={(e) => setLink(e.target.value)}
+          disabled={isProbing}
+        />
+        <button type="submit" className="btn btn-sm btn-primary" disabled={!link.trim() || isProbing}>
+          {isProbing ? <><Loader2 size={16} className="spinner" /> Checking...</> : 'From URL'}
+        </button>
+      </div>
+      {error && (
+        <p className="remote-input-error">
+          <AlertCircle size={14} /> {error}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,234 @@
+// ============================================
+// LINKED VIDEOS
+// CR AudioViz AI, LLC
+//
+// Videos given by link instead of as a local file: S3 and GCS objects
+// (including s3:// and gs:// URIs, and presigned URLs) and shared Dropbox or
+// Google Drive links. A link is turned into a direct download URL and probed
+// for its type and size, from the browser when the host allows it (CORS)
+// and through the API server otherwise. Engines that fetch links themselves
+// are handed the link (see engines/limits.js); the others get a copy
+// downloaded in the browser, which needs a host that allows CORS.
+// ============================================
+
+import { apiUrl } from '../engines/config.js';
+import { authHeaders } from '../auth/session.js';
+import { videoFileProblem, MAX_VIDEO_SIZE } from '../utils/video.js';
+import { describeSize } from '../engines/limits.js';
+
+// A linked video:
+//   { remote: true, source (the link as entered), url (direct http(s) URL),
+//     gcsUri (gs:// URI, or null), name, type, size (bytes, or null),
+//     etag (or last-modified, or null), duration (seconds, or null), readable }
+// readable: the browser may read the bytes, so the video can be previewed
+// and downloaded for engines that need the file.
+
+const VIDEO_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  avi: 'video/x-msvideo',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska',
+  mpg: 'video/mpeg',
+  mpeg: 'video/mpeg'
+};
+
+// Buckets answer with these for objects uploaded without a type
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+const METADATA_TIMEOUT = 15000;
+
+const GCS_HOSTS = ['storage.googleapis.com', 'storage.cloud.google.com'];
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+// What was pasted -> { url, gcsUri }. Throws for anything that isn't a
+// usable link.
+export const parseVideoLink = (text) => {
+  const value = text.trim();
+  const cloud = value.match(/^(gs|s3):\/\/([^/]+)\/(.+)$/);
+  if (cloud) {
+    const [, scheme, bucket, key] = cloud;
+    return scheme === 'gs'
+      ? { url: `https://storage.googleapis.com/${bucket}/${encodePath(key)}`, gcsUri: value }
+      : { url: `https://${bucket}.s3.amazonaws.com/${encodePath(key)}`, gcsUri: null };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('Enter a full link, e.g. https://..., gs://bucket/video.mp4 or s3://bucket/video.mp4');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Only http(s), gs:// and s3:// links can be analyzed');
+  }
+
+  // Shared links open a viewer page; ask for the file itself
+  if (url.hostname.endsWith('dropbox.com')) url.searchParams.set('dl', '1');
+  const driveId = url.hostname === 'drive.google.com' && url.pathname.match(/\/file\/d\/([\w-]+)/)?.[1];
+  if (driveId) url = new URL(`https://drive.google.com/uc?export=download&id=${driveId}`);
+
+  // A GCS object's URL names a gs:// object too
+  const gcs = GCS_HOSTS.includes(url.hostname) && url.pathname.match(/^\/([^/]+)\/(.+)$/);
+  if (gcs) url.hostname = 'storage.googleapis.com';
+  return { url: url.href, gcsUri: gcs ? `gs://${gcs[1]}/${decodeURIComponent(gcs[2])}` : null };
+};
+
+const readHeaders = (response) => {
+  // bytes 0-0/12345
+  const range = response.headers.get('content-range');
+  const length = range ? range.split('/')[1] : response.headers.get('content-length');
+  return {
+    type: (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase(),
+    size: Number(length) || null,
+    etag: response.headers.get('etag') || response.headers.get('last-modified') || null,
+    name: null
+  };
+};
+
+// HEAD, or a one-byte GET for hosts and presigned URLs that refuse HEAD.
+// Rejects with a TypeError when the host doesn't allow CORS.
+const probeInBrowser = async (url, signal) => {
+  let response = await fetch(url, { method: 'HEAD', signal });
+  if (!response.ok) {
+    response = await fetch(url, { headers: { Range: 'bytes=0-0' }, signal });
+    await response.body?.cancel();
+  }
+  if (!response.ok) throw new Error(`the link answered HTTP ${response.status}`);
+  return readHeaders(response);
+};
+
+const probeOnServer = async (url, signal) => {
+  const response = await fetch(`${apiUrl('probe-video')}?url=${encodeURIComponent(url)}`, {
+    headers: await authHeaders(),
+    signal
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error?.message || `HTTP ${response.status}`);
+  return body;
+};
+
+// Players load cross-origin media without CORS, so the duration can often
+// be read even when the bytes can't. Resolves null when it can't.
+const probeDuration = (url, signal) => new Promise((resolve) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'metadata';
+  let finished = false;
+  const finish = (duration) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    video.removeAttribute('src');
+    video.load();
+    resolve(duration);
+  };
+  const timer = setTimeout(() => finish(null), METADATA_TIMEOUT);
+  video.onloadedmetadata = () => finish(Number.isFinite(video.duration) ? video.duration : null);
+  video.onerror = () => finish(null);
+  signal?.addEventListener('abort', () => finish(null), { once: true });
+  video.src = url;
+});
+
+// Generic types are read from the file extension
+const videoType = (type, name) => {
+  if (!GENERIC_TYPES.includes(type)) return type;
+  return VIDEO_TYPES[name.split('.').pop().toLowerCase()] || type;
+};
+
+const nameOf = (url) => {
+  const { pathname, hostname } = new URL(url);
+  const last = pathname.split('/').filter(Boolean).pop();
+  return last ? decodeURIComponent(last) : hostname;
+};
+
+// Resolves the linked video, or throws when the link can't be reached or
+// isn't a video the engines accept
+export const probeRemoteVideo = async (text, { signal } = {}) => {
+  const { url, gcsUri } = parseVideoLink(text);
+
+  let headers;
+  let readable = false;
+  try {
+    headers = await probeInBrowser(url, signal);
+    readable = true;
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    try {
+      headers = await probeOnServer(url, signal);
+    } catch (serverErr) {
+      if (serverErr.name === 'AbortError') throw serverErr;
+      // A private bucket is still readable by an engine granted access to it
+      if (!gcsUri) throw new Error(`Could not reach this link: ${serverErr.message}`);
+      headers = null;
+    }
+  }
+
+  const name = headers?.name || nameOf(url);
+  const video = {
+    remote: true,
+    source: text.trim(),
+    url,
+    gcsUri,
+    name,
+    type: videoType(headers?.type || '', name),
+    size: headers?.size ?? null,
+    etag: headers?.etag ?? null,
+    duration: await probeDuration(url, signal),
+    readable
+  };
+
+  const problem = videoFileProblem(video);
+  if (problem) throw new Error(`This link is ${problem}.`);
+  return video;
+};
+
+const downloads = new WeakMap();
+
+const fetchVideo = async (video, signal, onProgress) => {
+  let response;
+  try {
+    response = await fetch(video.url, { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new Error(`Could not download ${video.name}: ${err.message}`);
+  }
+  if (!response.ok) throw new Error(`Could not download ${video.name}: HTTP ${response.status}`);
+
+  const total = video.size || Number(response.headers.get('content-length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    if (received > MAX_VIDEO_SIZE) {
+      await reader.cancel();
+      throw new Error(`${video.name} is over the ${describeSize(MAX_VIDEO_SIZE)} limit`);
+    }
+    if (total) onProgress(Math.min(1, received / total));
+  }
+  return new File(chunks, video.name, { type: video.type });
+};
+
+// The linked video as a File, for engines that need the bytes. Only for
+// readable links. Each linked video is downloaded once; asking again
+// returns the same promise. onProgress (0-1) only fires for the call that
+// starts the download.
+export const downloadRemoteVideo = (video, { signal, onProgress = () => {} } = {}) => {
+  if (!downloads.has(video)) {
+    const downloading = fetchVideo(video, signal, onProgress);
+    // A failed or cancelled download can be tried again
+    downloading.catch(() => downloads.delete(video));
+    downloads.set(video, downloading);
+  }
+  return downloads.get(video);
+};
+
+// Stands in for the content hash of a linked video, which is never
+// downloaded just to fingerprint it
+export const remoteFingerprint = (video) => `link:${video.gcsUri || video.url}@${video.etag || video.size || ''}`;
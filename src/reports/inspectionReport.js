@@ -0,0 +1,352 @@
+// ============================================
+// PDF INSPECTION REPORT
+// CR AudioViz AI, LLC
+//
+// Builds an insurance-ready PDF for property and vehicle damage results:
+// video metadata, condition score, a damage table with a frame thumbnail per
+// item, recommendations by timeframe, insurance notes and the chain of
+// custody (with the verification payload in the PDF keywords). Colours come
+// from the shared brand config. jsPDF is loaded on demand.
+// ============================================
+
+import { BRAND_COLORS } from '../../components/brand/brand-config.ts';
+import { captureFrames } from '../frames/extract.js';
+import { formatTimestamp, parseTimestamp } from '../utils/time.js';
+import { verificationPayload, encodePayload, PAYLOAD_TAG } from '../audit/manifest.js';
+
+const PAGE = { margin: 48, headerHeight: 64, footerHeight: 32 };
+
+const COLORS = {
+  brand: BRAND_COLORS.primary[600],
+  brandDark: BRAND_COLORS.primary[800],
+  text: BRAND_COLORS.neutral[900],
+  muted: BRAND_COLORS.neutral[500],
+  rule: BRAND_COLORS.neutral[200],
+  band: BRAND_COLORS.neutral[100]
+};
+
+const SEVERITY_COLORS = {
+  Critical: BRAND_COLORS.error,
+  Moderate: BRAND_COLORS.warning,
+  Minor: BRAND_COLORS.success
+};
+
+const THUMBNAIL = { width: 96, height: 54 };
+
+const formatBytes = (bytes) => {
+  if (bytes == null) return '–';
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// One still per damage item: the engine's own thumbnail when it has one,
+// otherwise a frame grabbed from the video at the item's timestamp
+export const damageThumbnails = async (damageItems, video) => {
+  const missing = damageItems
+    .map((item, i) => ({ i, time: item.timeRange?.[0] ?? parseTimestamp(item.timestamp) }))
+    .filter(({ i, time }) => !damageItems[i].thumbnail && time != null);
+
+  const thumbnails = damageItems.map(item => item.thumbnail || null);
+  if (video && missing.length) {
+    const stills = await captureFrames(video, missing.map(m => m.time), { width: 320 });
+    missing.forEach(({ i }, n) => { thumbnails[i] = stills[n]; });
+  }
+  return thumbnails;
+};
+
+// Small layout helper: a y cursor that starts new pages as needed
+const createWriter = (doc, title) => {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const content = width - PAGE.margin * 2;
+  const writer = { y: 0, width, height, content };
+
+  const drawHeader = () => {
+    doc.setFillColor(COLORS.brand);
+    doc.rect(0, 0, width, PAGE.headerHeight, 'F');
+    doc.setTextColor('#ffffff');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text(title, PAGE.margin, 30);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text('Javari Video Analysis · CR AudioViz AI', PAGE.margin, 46);
+    writer.y = PAGE.headerHeight + 28;
+  };
+
+  writer.newPage = () => {
+    doc.addPage();
+    drawHeader();
+  };
+
+  writer.ensure = (space) => {
+    if (writer.y + space > height - PAGE.margin - PAGE.footerHeight) writer.newPage();
+  };
+
+  writer.heading = (text) => {
+    writer.ensure(40);
+    writer.y += 8;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(COLORS.brandDark);
+    doc.text(text.toUpperCase(), PAGE.margin, writer.y);
+    doc.setDrawColor(COLORS.brand);
+    doc.setLineWidth(1);
+    doc.line(PAGE.margin, writer.y + 5, PAGE.margin + content, writer.y + 5);
+    writer.y += 22;
+  };
+
+  writer.paragraph = (text, { size = 10, color = COLORS.text, indent = 0, bold = false } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lines = doc.splitTextToSize(text, content - indent);
+    const lineHeight = size * 1.4;
+    for (const line of lines) {
+      writer.ensure(lineHeight);
+      doc.text(line, PAGE.margin + indent, writer.y);
+      writer.y += lineHeight;
+    }
+    writer.y += 4;
+  };
+
+  writer.bullets = (items, options) => {
+    if (!items?.length) {
+      writer.paragraph('None noted.', { color: COLORS.muted });
+      return;
+    }
+    for (const item of items) writer.paragraph(`•  ${item}`, { indent: 8, ...options });
+  };
+
+  drawHeader();
+  return writer;
+};
+
+const drawFooters = (doc, generatedAt) => {
+  const pages = doc.getNumberOfPages();
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(COLORS.rule);
+    doc.line(PAGE.margin, height - PAGE.margin, width - PAGE.margin, height - PAGE.margin);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(COLORS.muted);
+    doc.text(`© ${new Date(generatedAt).getFullYear()} CR AudioViz AI, LLC · Generated ${new Date(generatedAt).toLocaleString()}`,
+      PAGE.margin, height - PAGE.margin + 14);
+    doc.text(`Page ${page} of ${pages}`, width - PAGE.margin, height - PAGE.margin + 14, { align: 'right' });
+  }
+};
+
+const metadataTable = (doc, writer, rows) => {
+  const labelWidth = 120;
+  doc.setFontSize(10);
+  for (const [label, value] of rows) {
+    const lines = doc.splitTextToSize(String(value ?? '–'), writer.content - labelWidth);
+    const rowHeight = lines.length * 14 + 6;
+    writer.ensure(rowHeight);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(COLORS.muted);
+    doc.text(label, PAGE.margin, writer.y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(COLORS.text);
+    doc.text(lines, PAGE.margin + labelWidth, writer.y);
+    writer.y += rowHeight;
+  }
+};
+
+const conditionBlock = (doc, writer, condition) => {
+  writer.ensure(70);
+  const top = writer.y - 12;
+  doc.setFillColor(COLORS.band);
+  doc.roundedRect(PAGE.margin, top, writer.content, 60, 6, 6, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(26);
+  doc.setTextColor(COLORS.brand);
+  doc.text(condition.score != null ? String(condition.score) : '–', PAGE.margin + 18, top + 40);
+  doc.setFontSize(11);
+  doc.setTextColor(COLORS.muted);
+  doc.text('/10', PAGE.margin + 54, top + 40);
+  doc.setFontSize(13);
+  doc.setTextColor(COLORS.text);
+  doc.text(condition.label || '', PAGE.margin + 96, top + 26);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  const description = doc.splitTextToSize(condition.description || '', writer.content - 110);
+  doc.text(description.slice(0, 2), PAGE.margin + 96, top + 42);
+  writer.y = top + 60 + 20;
+};
+
+const damageTable = (doc, writer, items, thumbnails) => {
+  const columns = [
+    { title: '#', width: 20 },
+    { title: 'Frame', width: THUMBNAIL.width + 10 },
+    { title: 'Location / Type', width: 130 },
+    { title: 'Severity', width: 62 },
+    { title: 'Time', width: 40 }
+  ];
+  const detailWidth = writer.content - columns.reduce((sum, c) => sum + c.width, 0);
+  columns.push({ title: 'Description & Recommendation', width: detailWidth });
+
+  const drawHeaderRow = () => {
+    doc.setFillColor(COLORS.brand);
+    doc.rect(PAGE.margin, writer.y - 12, writer.content, 18, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.setTextColor('#ffffff');
+    let x = PAGE.margin + 4;
+    for (const column of columns) {
+      doc.text(column.title, x, writer.y);
+      x += column.width;
+    }
+    writer.y += 16;
+  };
+
+  drawHeaderRow();
+  items.forEach((item, i) => {
+    doc.setFontSize(8.5);
+    const where = doc.splitTextToSize(`${item.location}\n${item.type}`, columns[2].width - 8);
+    const detail = doc.splitTextToSize(
+      [item.description, item.recommendation && `Recommendation: ${item.recommendation}`].filter(Boolean).join('\n'),
+      detailWidth - 8
+    );
+    const rowHeight = Math.max(THUMBNAIL.height + 8, Math.max(where.length, detail.length) * 11 + 8);
+
+    if (writer.y + rowHeight > writer.height - PAGE.margin - PAGE.footerHeight) {
+      writer.newPage();
+      drawHeaderRow();
+    }
+
+    const top = writer.y - 8;
+    if (i % 2 === 1) {
+      doc.setFillColor(COLORS.band);
+      doc.rect(PAGE.margin, top, writer.content, rowHeight, 'F');
+    }
+
+    let x = PAGE.margin + 4;
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(COLORS.text);
+    doc.text(String(i + 1), x, writer.y + 4);
+    x += columns[0].width;
+
+    if (thumbnails[i]) {
+      doc.addImage(thumbnails[i], 'JPEG', x, top + 4, THUMBNAIL.width, THUMBNAIL.height);
+    } else {
+      doc.setTextColor(COLORS.muted);
+      doc.text('No frame', x, writer.y + 4);
+    }
+    x += columns[1].width;
+
+    doc.setTextColor(COLORS.text);
+    doc.text(where, x, writer.y + 4);
+    x += columns[2].width;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(SEVERITY_COLORS[item.severity] || COLORS.text);
+    doc.text(item.severity, x, writer.y + 4);
+    x += columns[3].width;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(COLORS.text);
+    doc.text(item.timestamp || '–', x, writer.y + 4);
+    x += columns[4].width;
+
+    doc.text(detail, x, writer.y + 4);
+
+    doc.setDrawColor(COLORS.rule);
+    doc.line(PAGE.margin, top + rowHeight, PAGE.margin + writer.content, top + rowHeight);
+    writer.y += rowHeight;
+  });
+  writer.y += 10;
+};
+
+// analysisResult: the report shown in the app; task: its ANALYSIS_TASKS
+// entry; engineName: display name; video: the File, for frame thumbnails.
+// Returns a PDF Blob.
+export const buildInspectionReport = async ({ analysisResult, task, engineName, video }) => {
+  const { jsPDF } = await import('jspdf');
+  const data = analysisResult.data;
+  const generatedAt = new Date().toISOString();
+  const damageItems = data.damageItems || [];
+  const thumbnails = await damageThumbnails(damageItems, video);
+
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  const payload = verificationPayload(analysisResult);
+  doc.setProperties({
+    title: `${task.name} – ${analysisResult.videoName}`,
+    author: 'Javari Video Analysis',
+    creator: 'CR AudioViz AI',
+    // Read back by the Verify page
+    keywords: payload ? `${PAYLOAD_TAG}:${encodePayload(payload)}` : ''
+  });
+  const writer = createWriter(doc, `${task.name} Report`);
+
+  writer.heading('Inspection details');
+  metadataTable(doc, writer, [
+    ['Video', analysisResult.videoName],
+    ['Duration', analysisResult.videoDuration ? formatTimestamp(analysisResult.videoDuration) : '–'],
+    ['File size', formatBytes(analysisResult.videoSize)],
+    ['Analyzed', new Date(analysisResult.timestamp).toLocaleString()],
+    ['Analysis engine', engineName],
+    ['Report generated', new Date(generatedAt).toLocaleString()]
+  ]);
+
+  if (data.overallCondition) {
+    writer.heading('Overall condition');
+    conditionBlock(doc, writer, data.overallCondition);
+  }
+
+  writer.heading('Summary');
+  writer.paragraph(data.summary || 'No summary provided.');
+
+  writer.heading(`Damage identified (${damageItems.length})`);
+  if (damageItems.length) damageTable(doc, writer, damageItems, thumbnails);
+  else writer.paragraph('No damage identified.', { color: COLORS.muted });
+
+  if (data.keyFindings?.length) {
+    writer.heading(task.id === 'vehicle_damage' ? 'Vehicle identification' : 'Areas of concern');
+    writer.bullets(data.keyFindings);
+  }
+
+  if (data.recommendations) {
+    writer.heading('Recommendations');
+    for (const [label, key] of [['Immediate', 'immediate'], ['Short-term (1-3 months)', 'shortTerm'], ['Long-term', 'longTerm']]) {
+      writer.paragraph(label, { bold: true, size: 10.5 });
+      writer.bullets(data.recommendations[key]);
+    }
+  }
+
+  if (data.insuranceNotes?.length) {
+    writer.heading('Insurance documentation notes');
+    writer.bullets(data.insuranceNotes);
+  }
+
+  if (payload) {
+    const { manifest } = payload;
+    writer.heading('Chain of custody');
+    metadataTable(doc, writer, [
+      ['Video SHA-256', manifest.video.sha256 || 'Not recorded'],
+      ...(manifest.video.url ? [['Video link', manifest.video.url]] : []),
+      ['Result SHA-256', manifest.resultSha256],
+      ['Manifest seal', manifest.seal],
+      ['Engines', manifest.analysis.engines.join(', ')],
+      ['Prompt version', manifest.analysis.promptVersion],
+      ['Analyzed by', manifest.user?.email || 'Signed-out user'],
+      ['Started', manifest.analysis.startedAt ? new Date(manifest.analysis.startedAt).toLocaleString() : '–'],
+      ['Finished', new Date(manifest.analysis.finishedAt).toLocaleString()]
+    ]);
+    writer.paragraph('Check this report against the original video on the Verify page of Javari Video Analysis.', {
+      size: 8,
+      color: COLORS.muted
+    });
+  }
+
+  writer.paragraph(
+    'This report was generated by AI analysis of the supplied video and is intended to support, not replace, an on-site inspection by a qualified professional.',
+    { size: 8, color: COLORS.muted }
+  );
+
+  drawFooters(doc, generatedAt);
+  return doc.output('blob');
+};
@@ -0,0 +1,98 @@
+// ============================================
+// BEFORE / AFTER COMPARISON
+// CR AudioViz AI, LLC
+//
+// Diffs the damage found in two videos of the same property or vehicle.
+// Timestamps mean nothing across two recordings, so items are paired by
+// type and location only; each pair (or lone item) gets a change status.
+// ============================================
+
+import { SEVERITIES } from './fields.js';
+import { damageSimilarity } from './match.js';
+
+export const CHANGE_STATUS = {
+  NEW: 'new',
+  RESOLVED: 'resolved',
+  WORSENED: 'worsened',
+  IMPROVED: 'improved',
+  UNCHANGED: 'unchanged'
+};
+
+export const CHANGE_LABELS = {
+  [CHANGE_STATUS.NEW]: 'New',
+  [CHANGE_STATUS.RESOLVED]: 'Resolved',
+  [CHANGE_STATUS.WORSENED]: 'Worsened',
+  [CHANGE_STATUS.IMPROVED]: 'Improved',
+  [CHANGE_STATUS.UNCHANGED]: 'Unchanged'
+};
+
+// Lower rank = more severe
+const severityRank = (severity) => {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank === -1 ? SEVERITIES.length : rank;
+};
+
+// Pairs the most similar items first so a close match is never lost to a
+// weaker one that happened to come earlier in the list
+const pairItems = (beforeItems, afterItems) => {
+  const candidates = [];
+  beforeItems.forEach((before, i) => afterItems.forEach((after, j) => {
+    const score = damageSimilarity(before, after);
+    if (score > 0) candidates.push({ i, j, score });
+  }));
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const pairs = [];
+  for (const { i, j } of candidates) {
+    if (usedBefore.has(i) || usedAfter.has(j)) continue;
+    usedBefore.add(i);
+    usedAfter.add(j);
+    pairs.push({ before: beforeItems[i], after: afterItems[j] });
+  }
+  return {
+    pairs,
+    onlyBefore: beforeItems.filter((_, i) => !usedBefore.has(i)),
+    onlyAfter: afterItems.filter((_, j) => !usedAfter.has(j))
+  };
+};
+
+const pairStatus = ({ before, after }) => {
+  const change = severityRank(before.severity) - severityRank(after.severity);
+  if (change > 0) return CHANGE_STATUS.WORSENED;
+  if (change < 0) return CHANGE_STATUS.IMPROVED;
+  return CHANGE_STATUS.UNCHANGED;
+};
+
+// Order: what needs attention first
+const STATUS_ORDER = [CHANGE_STATUS.NEW, CHANGE_STATUS.WORSENED, CHANGE_STATUS.UNCHANGED, CHANGE_STATUS.IMPROVED, CHANGE_STATUS.RESOLVED];
+
+// before/after: result data ({ damageItems, overallCondition }).
+// Returns { changes: [{ status, before, after }], counts, condition }
+// where condition is { before, after, delta } (scores may be null).
+export const compareResults = (before, after) => {
+  const { pairs, onlyBefore, onlyAfter } = pairItems(before.damageItems || [], after.damageItems || []);
+
+  const changes = [
+    ...onlyAfter.map(item => ({ status: CHANGE_STATUS.NEW, before: null, after: item })),
+    ...pairs.map(pair => ({ status: pairStatus(pair), ...pair })),
+    ...onlyBefore.map(item => ({ status: CHANGE_STATUS.RESOLVED, before: item, after: null }))
+  ].sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+    || severityRank((a.after || a.before).severity) - severityRank((b.after || b.before).severity));
+
+  const counts = Object.fromEntries(Object.values(CHANGE_STATUS).map(status => [status, 0]));
+  for (const change of changes) counts[change.status]++;
+
+  const scoreBefore = before.overallCondition?.score ?? null;
+  const scoreAfter = after.overallCondition?.score ?? null;
+  return {
+    changes,
+    counts,
+    condition: {
+      before: scoreBefore,
+      after: scoreAfter,
+      delta: scoreBefore != null && scoreAfter != null ? Math.round((scoreAfter - scoreBefore) * 10) / 10 : null
+    }
+  };
+};
@@ -0,0 +1,187 @@
+// ============================================
+// CONSENSUS RECONCILIATION
+// CR AudioViz AI, LLC
+//
+// Merges validated results from several engines into one. Findings are
+// aligned by timestamp and type; each merged finding records which engines
+// reported it and whether they all agree. Reconciliation is driven by the
+// task's field types, so user-defined tasks reconcile too.
+// ============================================
+
+import { getResultFields } from './index.js';
+import { SEVERITIES, conditionLabel } from './fields.js';
+import { formatTimestamp, parseTimestamp } from '../utils/time.js';
+import { keywords, overlap, damageSimilarity } from './match.js';
+
+// Findings further apart than this are different findings
+const DAMAGE_TIME_TOLERANCE = 5;
+const MOMENT_TIME_TOLERANCE = 3;
+// Condition scores further apart than this are reported as disputed
+const CONDITION_SPREAD = 2;
+
+const itemTime = (item) => item.timeRange?.[0] ?? parseTimestamp(item.timestamp);
+
+// Same damage: close in time (when both are timed) and similar in type,
+// or, without times, similar in both type and location
+const sameDamage = (a, b) => {
+  const typeMatch = overlap(keywords(a.type), keywords(b.type));
+  const ta = itemTime(a);
+  const tb = itemTime(b);
+  if (ta != null && tb != null) {
+    return Math.abs(ta - tb) <= DAMAGE_TIME_TOLERANCE && (typeMatch >= 0.5 || overlap(keywords(a.location), keywords(b.location)) >= 0.5);
+  }
+  return damageSimilarity(a, b) > 0;
+};
+
+const agreement = (engines, total) => ({ engines, agreed: engines.length === total });
+
+// Greedy clustering: each engine's items join the first matching cluster
+// that doesn't already hold an item from that engine
+const clusterBy = (runs, getItems, matches) => {
+  const clusters = [];
+  for (const run of runs) {
+    for (const item of getItems(run.data)) {
+      const cluster = clusters.find(c => !c.members.some(m => m.engine === run.engine) && matches(c.members[0].item, item));
+      if (cluster) cluster.members.push({ engine: run.engine, item });
+      else clusters.push({ members: [{ engine: run.engine, item }] });
+    }
+  }
+  return clusters;
+};
+
+const mergeDamage = (runs) => clusterBy(runs, data => data.damageItems || [], sameDamage).map((cluster, i) => {
+  const [first] = cluster.members;
+  const severities = [...new Set(cluster.members.map(m => m.item.severity))];
+  // Most severe wins, so a disputed severity never hides a critical call
+  const severity = SEVERITIES.find(s => severities.includes(s)) || first.item.severity;
+  const engines = cluster.members.map(m => m.engine);
+  const { agreed } = agreement(engines, runs.length);
+  return {
+    ...first.item,
+    id: i + 1,
+    severity,
+    thumbnail: cluster.members.find(m => m.item.thumbnail)?.item.thumbnail,
+    consensus: {
+      engines,
+      agreed: agreed && severities.length === 1,
+      severityDisputed: severities.length > 1 ? Object.fromEntries(cluster.members.map(m => [m.engine, m.item.severity])) : null
+    }
+  };
+}).sort((a, b) => (itemTime(a) ?? Infinity) - (itemTime(b) ?? Infinity));
+
+const mergeTimeline = (runs, name) => clusterBy(
+  runs,
+  data => data[name] || [],
+  (a, b) => {
+    const ta = parseTimestamp(a.time);
+    const tb = parseTimestamp(b.time);
+    return ta != null && tb != null && Math.abs(ta - tb) <= MOMENT_TIME_TOLERANCE;
+  }
+).map(cluster => ({
+  ...cluster.members[0].item,
+  consensus: agreement(cluster.members.map(m => m.engine), runs.length)
+})).sort((a, b) => (parseTimestamp(a.time) ?? Infinity) - (parseTimestamp(b.time) ?? Infinity));
+
+const uniqueText = (lists) => {
+  const seen = new Set();
+  return lists.flat().filter(text => {
+    const key = String(text).toLowerCase().trim();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const mergeTimestamps = (runs, name) => {
+  const times = runs.flatMap(run => (run.data[name] || []).map(parseTimestamp)).filter(t => t != null).sort((a, b) => a - b);
+  return times.filter((t, i) => i === 0 || t - times[i - 1] > MOMENT_TIME_TOLERANCE).map(formatTimestamp);
+};
+
+const mergeCondition = (runs, name) => {
+  const conditions = runs.map(run => ({ engine: run.engine, condition: run.data[name] })).filter(c => c.condition);
+  if (!conditions.length) return undefined;
+  const scored = conditions.filter(c => c.condition.score != null);
+  const scores = scored.map(c => c.condition.score);
+  const score = scores.length ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 10) / 10 : null;
+  const spread = scores.length ? Math.max(...scores) - Math.min(...scores) : 0;
+  return {
+    score,
+    label: score != null ? conditionLabel(score) : conditions[0].condition.label,
+    description: conditions[0].condition.description,
+    consensus: {
+      engines: conditions.map(c => c.engine),
+      agreed: conditions.length === runs.length && spread <= CONDITION_SPREAD,
+      scores: Object.fromEntries(scored.map(c => [c.engine, c.condition.score]))
+    }
+  };
+};
+
+const mergeRecommendations = (runs, name) => {
+  const present = runs.map(run => run.data[name]).filter(Boolean);
+  if (!present.length) return undefined;
+  return {
+    immediate: uniqueText(present.map(r => r.immediate)),
+    shortTerm: uniqueText(present.map(r => r.shortTerm)),
+    longTerm: uniqueText(present.map(r => r.longTerm))
+  };
+};
+
+const MERGERS = {
+  text: (runs, name) => runs.map(run => run.data[name]).find(Boolean),
+  confidence: () => undefined,   // combined below
+  list: (runs, name) => {
+    const lists = runs.map(run => run.data[name]).filter(Boolean);
+    return lists.length ? uniqueText(lists) : undefined;
+  },
+  timestamps: mergeTimestamps,
+  condition: mergeCondition,
+  damageItems: (runs) => mergeDamage(runs),
+  recommendations: mergeRecommendations,
+  timeline: mergeTimeline
+};
+
+// Findings that carry a consensus record (damage items and timeline entries)
+const consensusFindings = (data, fields) => Object.entries(fields)
+  .filter(([, field]) => field.type === 'damageItems' || field.type === 'timeline')
+  .flatMap(([name]) => data[name] || []);
+
+// runs: [{ engine, data }] in priority order (failed runs have data: null)
+export const reconcileResults = (task, runs) => {
+  const succeeded = runs.filter(run => run.data);
+  const fields = getResultFields(task);
+  const data = {};
+
+  for (const [name, field] of Object.entries(fields)) {
+    const value = MERGERS[field.type](succeeded, name);
+    if (value !== undefined) data[name] = value;
+  }
+
+  const detections = succeeded.flatMap(run => (run.data.detections || []).map(d => ({ ...d, engine: run.engine })));
+  if (detections.length) data.detections = detections.map((d, i) => ({ ...d, id: i + 1 }));
+
+  // Combined confidence: the engines' mean confidence, scaled by the share
+  // of findings every engine agrees on
+  const findings = consensusFindings(data, fields);
+  const agreed = findings.filter(f => f.consensus.agreed).length;
+  const agreementRate = findings.length ? agreed / findings.length : 1;
+  const confidences = succeeded.map(run => run.data.confidence).filter(c => c != null);
+  const meanConfidence = confidences.length ? confidences.reduce((a, b) => a + b, 0) / confidences.length : null;
+  data.confidence = meanConfidence != null ? meanConfidence * agreementRate : agreementRate;
+
+  data.warnings = succeeded.flatMap(run => (run.data.warnings || []).map(w => `${run.engine}: ${w}`));
+  data.consensus = {
+    engines: runs.map(run => ({
+      engine: run.engine,
+      ok: !!run.data,
+      confidence: run.data?.confidence ?? null,
+      findings: run.data ? consensusFindings(run.data, fields).length : 0,
+      error: run.error?.message ?? null
+    })),
+    agreed,
+    disputed: findings.length - agreed,
+    agreementRate,
+    // With one engine left there is nothing to cross-check
+    singleEngine: succeeded.length < 2
+  };
+  return data;
+};
@@ -0,0 +1,211 @@
+// ============================================
+// RESULT FIELD TYPES
+// CR AudioViz AI, LLC
+//
+// Each field type knows its Gemini response schema and how to validate /
+// coerce a value into the shape the result cards render. Problems are
+// reported through warn(path, message) instead of throwing, so one bad
+// field never blanks the whole card.
+// ============================================
+
+import { formatTimestamp, parseTimestamp } from '../utils/time.js';
+
+export const SEVERITIES = ['Critical', 'Moderate', 'Minor'];
+
+const SEVERITY_ALIASES = {
+  critical: 'Critical', severe: 'Critical', major: 'Critical', high: 'Critical', urgent: 'Critical',
+  moderate: 'Moderate', medium: 'Moderate',
+  minor: 'Minor', low: 'Minor', cosmetic: 'Minor'
+};
+
+// Free text -> Critical / Moderate / Minor, or null if nothing matches
+export const normalizeSeverity = (value) => {
+  if (!value) return null;
+  const match = String(value).toLowerCase().match(/critical|severe|major|high|urgent|moderate|medium|minor|low|cosmetic/);
+  return match ? SEVERITY_ALIASES[match[0]] : null;
+};
+
+export const conditionLabel = (score) => {
+  if (score >= 9) return 'Excellent';
+  if (score >= 7) return 'Good';
+  if (score >= 5) return 'Fair';
+  if (score >= 3) return 'Poor';
+  return 'Critical';
+};
+
+// "0:12", 12, "12s" -> "0:12"; anything unreadable is kept as-is
+const normalizeTime = (value, path, warn) => {
+  const seconds = parseTimestamp(value);
+  if (seconds == null) {
+    if (value) warn(path, `"${value}" is not a timestamp`);
+    return value ? String(value) : '';
+  }
+  return formatTimestamp(seconds);
+};
+
+const asText = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'object') return Object.values(value).filter(Boolean).join(' – ');
+  return String(value);
+};
+
+const asArray = (value, path, warn) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    warn(path, 'expected a list, got text; split by line');
+    return value.split('\n').map(s => s.replace(/^\s*[-*•\d.)]+\s*/, '').trim()).filter(Boolean);
+  }
+  warn(path, 'expected a list');
+  return [];
+};
+
+const STRING = { type: 'STRING' };
+const STRING_LIST = { type: 'ARRAY', items: STRING };
+
+export const FIELD_TYPES = {
+  text: {
+    schema: STRING,
+    validate: (value, path, warn) => {
+      if (typeof value !== 'string') warn(path, 'expected text');
+      return asText(value);
+    }
+  },
+
+  confidence: {
+    schema: { type: 'NUMBER', description: 'Confidence from 0 to 1' },
+    validate: (value, path, warn) => {
+      let n = Number(value);
+      if (Number.isNaN(n)) {
+        warn(path, `"${value}" is not a number`);
+        return null;
+      }
+      if (n > 1 && n <= 100) n /= 100;
+      if (n < 0 || n > 1) {
+        warn(path, `${value} is outside 0–1`);
+        n = Math.min(1, Math.max(0, n));
+      }
+      return n;
+    }
+  },
+
+  list: {
+    schema: STRING_LIST,
+    validate: (value, path, warn) => asArray(value, path, warn).map(asText).filter(Boolean)
+  },
+
+  timestamps: {
+    schema: { ...STRING_LIST, description: 'Timestamps as m:ss' },
+    validate: (value, path, warn) =>
+      asArray(value, path, warn).map((ts, i) => normalizeTime(ts, `${path}[${i}]`, warn)).filter(Boolean)
+  },
+
+  condition: {
+    schema: {
+      type: 'OBJECT',
+      properties: {
+        score: { type: 'NUMBER', description: 'Overall condition, 1 to 10' },
+        label: STRING,
+        description: STRING
+      },
+      required: ['score', 'description']
+    },
+    validate: (value, path, warn) => {
+      const condition = typeof value === 'object' && value !== null ? value : { score: value };
+      let score = Number(condition.score);
+      if (condition.score == null || Number.isNaN(score)) {
+        warn(`${path}.score`, 'missing or not a number');
+        score = null;
+      } else if (score < 0 || score > 10) {
+        warn(`${path}.score`, `${condition.score} is outside 0–10`);
+        score = Math.min(10, Math.max(0, score));
+      }
+      return {
+        score,
+        label: asText(condition.label) || (score != null ? conditionLabel(score) : 'Unknown'),
+        description: asText(condition.description)
+      };
+    }
+  },
+
+  damageItems: {
+    schema: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          location: STRING,
+          type: STRING,
+          severity: { type: 'STRING', enum: SEVERITIES },
+          timestamp: { type: 'STRING', description: 'm:ss where the damage is visible' },
+          description: STRING,
+          recommendation: STRING
+        },
+        required: ['location', 'type', 'severity']
+      }
+    },
+    validate: (value, path, warn) =>
+      asArray(value, path, warn).map((raw, i) => {
+        const item = typeof raw === 'object' && raw !== null ? raw : { description: asText(raw) };
+        const itemPath = `${path}[${i}]`;
+        let severity = normalizeSeverity(item.severity);
+        if (!severity) {
+          warn(`${itemPath}.severity`, item.severity ? `"${item.severity}" is not Critical/Moderate/Minor; shown as Moderate` : 'missing; shown as Moderate');
+          severity = 'Moderate';
+        }
+        return {
+          ...item,
+          id: item.id ?? i + 1,
+          location: asText(item.location) || 'Unspecified location',
+          type: asText(item.type) || 'Unspecified damage',
+          severity,
+          timestamp: normalizeTime(item.timestamp, `${itemPath}.timestamp`, warn),
+          description: asText(item.description),
+          recommendation: asText(item.recommendation)
+        };
+      })
+  },
+
+  recommendations: {
+    schema: {
+      type: 'OBJECT',
+      properties: { immediate: STRING_LIST, shortTerm: STRING_LIST, longTerm: STRING_LIST },
+      required: ['immediate', 'shortTerm', 'longTerm']
+    },
+    validate: (value, path, warn) => {
+      if (Array.isArray(value)) {
+        warn(path, 'not split by timeframe; listed as short-term');
+        return { immediate: [], shortTerm: value.map(asText), longTerm: [] };
+      }
+      const recs = typeof value === 'object' && value !== null ? value : {};
+      const group = (key, alt) => {
+        const list = recs[key] ?? recs[alt];
+        return list == null ? [] : asArray(list, `${path}.${key}`, warn).map(asText).filter(Boolean);
+      };
+      return {
+        immediate: group('immediate', 'immediate_actions'),
+        shortTerm: group('shortTerm', 'short_term'),
+        longTerm: group('longTerm', 'long_term')
+      };
+    }
+  },
+
+  timeline: {
+    schema: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: { time: { type: 'STRING', description: 'm:ss' }, event: STRING },
+        required: ['time', 'event']
+      }
+    },
+    validate: (value, path, warn) =>
+      asArray(value, path, warn).map((raw, i) => {
+        const entry = typeof raw === 'object' && raw !== null ? raw : { event: asText(raw) };
+        return {
+          time: normalizeTime(entry.time ?? entry.timestamp, `${path}[${i}].time`, warn),
+          event: asText(entry.event ?? entry.description)
+        };
+      })
+  }
+};
@@ -0,0 +1,146 @@
+// ============================================
+// RESULT PARSING & VALIDATION
+// CR AudioViz AI, LLC
+//
+// Turns each engine's raw output into the typed result the cards render
+// (summary, damageItems, overallCondition, recommendations, timestamps...).
+// JSON is requested where the engine supports a response schema; markdown
+// answers are parsed section by section. Anything malformed becomes an entry
+// in `data.warnings` rather than a blank card.
+// ============================================
+
+import { FIELD_TYPES } from './fields.js';
+import { parseMarkdown, splitSections } from './markdown.js';
+
+// Per-task result fields. `headings` matches the prompt's markdown section
+// titles; 'all' reads the whole response. `required` fields warn when absent.
+export const TASK_RESULT_FIELDS = {
+  property_damage: {
+    summary: { type: 'text', label: 'Summary', headings: /summary/, required: true },
+    overallCondition: { type: 'condition', label: 'Overall condition', headings: /overall condition|condition rating/, required: true },
+    damageItems: { type: 'damageItems', label: 'Damage items', headings: /damage identified|damage assessment/, required: true },
+    keyFindings: { type: 'list', label: 'Areas of concern', headings: /areas of concern/ },
+    positiveObservations: { type: 'list', label: 'Positive observations', headings: /positive/ },
+    recommendations: { type: 'recommendations', label: 'Recommendations', headings: /recommendation/, required: true },
+    insuranceNotes: { type: 'list', label: 'Insurance notes', headings: /insurance/ },
+    confidence: { type: 'confidence', label: 'Confidence' }
+  },
+  vehicle_damage: {
+    summary: { type: 'text', label: 'Summary', headings: /summary/, required: true },
+    keyFindings: { type: 'list', label: 'Vehicle identification', headings: /vehicle identification/ },
+    overallCondition: { type: 'condition', label: 'Condition rating', headings: /condition rating|overall condition/, required: true },
+    damageItems: { type: 'damageItems', label: 'Damage items', headings: /damage assessment|damage identified/, required: true },
+    recommendations: { type: 'recommendations', label: 'Repair recommendations', headings: /recommendation/ },
+    insuranceNotes: { type: 'list', label: 'Insurance notes', headings: /insurance/ },
+    confidence: { type: 'confidence', label: 'Confidence' }
+  },
+  content_search: {
+    summary: { type: 'text', label: 'Summary', headings: /summary/, required: true },
+    timestamps: { type: 'timeline', label: 'Timeline', headings: /timeline|key moments/, required: true },
+    keyFindings: { type: 'list', label: 'Key findings', headings: /objects detected|people|subjects|scene changes|notable audio/ },
+    confidence: { type: 'confidence', label: 'Confidence' }
+  },
+  object_tracking: {
+    summary: { type: 'text', label: 'Summary', headings: /summary/, required: true },
+    timestamps: { type: 'timeline', label: 'Timeline', headings: /objects detected|tracking/, required: true },
+    keyFindings: { type: 'list', label: 'Key findings', headings: /stationary|motion|relationships/ },
+    confidence: { type: 'confidence', label: 'Confidence' }
+  },
+  content_summary: {
+    summary: { type: 'text', label: 'Summary', headings: /executive summary|summary/, required: true },
+    timestamps: { type: 'timeline', label: 'Key moments', headings: /key moments|timeline/, required: true },
+    keyFindings: { type: 'list', label: 'Key findings', headings: /content breakdown|technical|audience|notable/ },
+    confidence: { type: 'confidence', label: 'Confidence' }
+  },
+  custom_query: {
+    summary: { type: 'text', label: 'Summary' },
+    answer: { type: 'text', label: 'Answer', headings: 'all', required: true },
+    relatedTimestamps: { type: 'timestamps', label: 'Related timestamps', headings: 'all' },
+    confidence: { type: 'confidence', label: 'Confidence' }
+  }
+};
+
+// Fields for a task definition; user-defined tasks carry their own
+export const getResultFields = (task) =>
+  task.resultFields || TASK_RESULT_FIELDS[task.id] || TASK_RESULT_FIELDS.content_summary;
+
+// Gemini responseSchema (OpenAPI subset) for a task
+export const buildResponseSchema = (task) => {
+  const fields = getResultFields(task);
+  return {
+    type: 'OBJECT',
+    properties: Object.fromEntries(
+      Object.entries(fields).map(([name, field]) => [name, FIELD_TYPES[field.type].schema])
+    ),
+    required: Object.entries(fields).filter(([, f]) => f.required).map(([name]) => name)
+  };
+};
+
+// JSON body, optionally wrapped in a ```json fence; null if not JSON
+const tryParseJson = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = (fenced ? fenced[1] : text).trim();
+  if (!candidate.startsWith('{')) return null;
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return null;
+  }
+};
+
+// Raw text from an LLM engine -> unvalidated result data.
+// expectJson: the engine was asked for JSON, so markdown is a degraded path.
+export const parseTextResult = (task, text, { expectJson = false, query } = {}) => {
+  const warnings = [];
+  const json = tryParseJson(text);
+  const data = json || parseMarkdownResult(task, text);
+
+  if (!json && expectJson) {
+    warnings.push('Engine did not return structured JSON; results were read from its text instead');
+  }
+  if (!data.summary && data.answer && query) {
+    data.summary = `Answer to "${query}"`;
+  }
+
+  return { ...data, warnings };
+};
+
+const parseMarkdownResult = (task, text) => {
+  const fields = getResultFields(task);
+  const data = parseMarkdown(text, fields);
+
+  // Whole-response text fields ('all') keep the raw answer
+  for (const [name, field] of Object.entries(fields)) {
+    if (field.headings === 'all' && field.type === 'text') data[name] = text.trim();
+  }
+
+  // No summary section: use the intro paragraph before the first heading
+  if (!data.summary && !data.answer) {
+    const intro = splitSections(text).find(s => !s.heading);
+    const firstParagraph = intro?.lines.join('\n').trim().split(/\n\s*\n/)[0];
+    data.summary = firstParagraph || data.overallCondition?.description;
+  }
+  return data;
+};
+
+// Validate & coerce a result against its task fields. Unknown fields
+// (detections, raw engine extras) pass through untouched.
+export const validateResult = (task, data, engineName = 'The engine') => {
+  const fields = getResultFields(task);
+  const warnings = [...(data.warnings || [])];
+  const result = { ...data };
+
+  for (const [name, field] of Object.entries(fields)) {
+    const value = data[name];
+    if (value == null || value === '') {
+      delete result[name];
+      if (field.required) warnings.push(`${field.label}: not provided by ${engineName}`);
+      continue;
+    }
+    result[name] = FIELD_TYPES[field.type].validate(value, field.label, (path, message) =>
+      warnings.push(`${path}: ${message}`));
+  }
+
+  result.warnings = warnings;
+  return result;
+};
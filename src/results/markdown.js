@@ -0,0 +1,198 @@
+// ============================================
+// MARKDOWN RESULT PARSER
+// CR AudioViz AI, LLC
+//
+// The ANALYSIS_TASKS prompts ask for numbered, bold section headings
+// ("1. **OVERALL CONDITION**"). Engines that can't return JSON answer in that
+// markdown, so we split it into sections and read each field from the
+// section whose heading matches.
+// ============================================
+
+import { normalizeSeverity } from './fields.js';
+
+const TIMESTAMP_PATTERN = /\b(?:\d{1,2}:)?\d{1,2}:\d{2}\b/g;
+
+const stripMarkdown = (text) =>
+  text.replace(/\*\*|__|`/g, '').replace(/^\s*[-*•]\s+/, '').replace(/^\s*\d+[.)]\s+/, '').trim();
+
+// A line is a section heading if it is a markdown "#" heading, or a bold
+// line ("1. **OVERALL CONDITION**") that is upper case or matches one of the
+// headings we look for. Bold item titles ("1. **Missing shingles**") are not.
+// Text after the bold title ("**OVERALL CONDITION:** 7/10") starts the section.
+const headingOf = (line, known) => {
+  const hashed = line.match(/^\s*#{1,6}\s+(.*)$/);
+  if (hashed) return { title: stripMarkdown(hashed[1]), rest: '' };
+  const bold = line.match(/^\s*(?:\d+[.)]\s*)?\*\*([^*]+)\*\*\s*(.*)$/);
+  if (!bold) return null;
+  const title = stripMarkdown(bold[1]).replace(/:$/, '');
+  const isUpper = /[A-Z]/.test(title) && title === title.toUpperCase();
+  if (!isUpper && !known.some(re => re.test(title.toLowerCase()))) return null;
+  return { title, rest: bold[2].replace(/^:\s*/, '') };
+};
+
+export const splitSections = (text, known = []) => {
+  const sections = [];
+  let current = { heading: '', title: '', lines: [] };
+  for (const line of text.split('\n')) {
+    const heading = headingOf(line, known);
+    if (heading) {
+      sections.push(current);
+      current = { heading: heading.title.toLowerCase(), title: heading.title, lines: heading.rest ? [heading.rest] : [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+  return sections.filter(s => s.heading || s.lines.some(l => l.trim()));
+};
+
+// Bulleted / numbered lines -> [{ text, children: [text] }], nesting by indent
+const parseBullets = (lines) => {
+  const items = [];
+  let baseIndent = null;
+  for (const line of lines) {
+    if (!line.trim() || /^\s*\|/.test(line)) continue;
+    const bullet = line.match(/^(\s*)(?:[-*•]|\d+[.)])\s+(.*)$/);
+    const indent = bullet ? bullet[1].length : line.match(/^\s*/)[0].length;
+    const text = stripMarkdown(bullet ? bullet[2] : line);
+    if (!text) continue;
+    if (baseIndent === null) baseIndent = indent;
+    if (indent <= baseIndent || !items.length) {
+      items.push({ text, children: [] });
+    } else {
+      items[items.length - 1].children.push(text);
+    }
+  }
+  return items;
+};
+
+// Markdown table -> [{ header: cell }]
+const parseTable = (lines) => {
+  const rows = lines.filter(l => /^\s*\|.*\|\s*$/.test(l))
+    .map(l => l.trim().slice(1, -1).split('|').map(c => stripMarkdown(c)));
+  if (rows.length < 2) return [];
+  const headers = rows[0].map(h => h.toLowerCase());
+  return rows.slice(1)
+    .filter(r => !r.every(c => /^:?-{2,}:?$/.test(c) || !c))
+    .map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] || ''])));
+};
+
+const keyValue = (text) => {
+  const match = text.match(/^([A-Za-z /()-]{2,40}):\s*(.+)$/);
+  return match ? [match[1].trim().toLowerCase(), match[2].trim()] : null;
+};
+
+const sectionText = (section) =>
+  section.lines.map(l => l.trim()).filter(Boolean).map(stripMarkdown).join('\n');
+
+const findTimestamps = (text) => [...new Set(text.match(TIMESTAMP_PATTERN) || [])];
+
+// ---------- per-type readers ----------
+
+const readCondition = (section) => {
+  // The score is often in the heading itself: "OVERALL CONDITION: 7/10"
+  const body = sectionText(section).replace(/\(\s*1\s*-\s*10[^)]*\)/g, '').trim();
+  const text = `${section.title.replace(/\(\s*1\s*-\s*10[^)]*\)/g, '')}\n${body}`;
+  const score = text.match(/(\d+(?:\.\d+)?)\s*(?:\/\s*10|out of 10)/i) || text.match(/\b(\d+(?:\.\d+)?)\b/);
+  return {
+    score: score ? parseFloat(score[1]) : undefined,
+    description: body.replace(/^.*?(?:\/\s*10|out of 10)[^\w]*/i, '').trim() || body
+  };
+};
+
+const readDamageItems = (section) => {
+  const table = parseTable(section.lines);
+  const source = table.length
+    ? table.map(row => ({ text: Object.values(row).join(' '), fields: row }))
+    : parseBullets(section.lines).map(item => ({
+      text: [item.text, ...item.children].join(' '),
+      fields: Object.fromEntries([item.text, ...item.children].map(keyValue).filter(Boolean)),
+      title: item.text
+    }));
+
+  return source.map(({ text, fields, title }) => {
+    const pick = (...keys) => keys.map(k => Object.entries(fields).find(([name]) => name.includes(k))?.[1]).find(Boolean);
+    return {
+      location: pick('location', 'area') || (title && !keyValue(title) ? title.replace(/^damage\s*\d*:\s*/i, '') : ''),
+      type: pick('type', 'damage') || '',
+      severity: normalizeSeverity(pick('severity') || text) || pick('severity'),
+      timestamp: pick('timestamp', 'time') || findTimestamps(text)[0] || '',
+      description: pick('description', 'detail') || '',
+      recommendation: pick('recommend', 'action', 'repair') || ''
+    };
+  });
+};
+
+const readRecommendations = (section) => {
+  const groups = { immediate: [], shortTerm: [], longTerm: [] };
+  let target = null;
+  for (const item of parseBullets(section.lines)) {
+    const heading = item.text.toLowerCase();
+    const group = /immediate|priority|urgent/.test(heading) ? 'immediate'
+      : /short[- ]term/.test(heading) ? 'shortTerm'
+        : /long[- ]term|maintenance/.test(heading) ? 'longTerm' : null;
+    const inline = keyValue(item.text);
+    if (group) {
+      target = group;
+      if (inline && inline[1]) groups[group].push(inline[1]);
+      groups[group].push(...item.children);
+    } else {
+      groups[target || 'shortTerm'].push(item.text, ...item.children);
+    }
+  }
+  return groups;
+};
+
+const readList = (section) =>
+  parseBullets(section.lines).map(item =>
+    item.children.length ? `${item.text.replace(/:$/, '')}: ${item.children.join('; ')}` : item.text);
+
+const readTimeline = (section) => {
+  const table = parseTable(section.lines);
+  if (table.length) {
+    return table.map(row => {
+      const values = Object.values(row);
+      const time = values.find(v => findTimestamps(v).length) || '';
+      return { time: findTimestamps(time)[0] || time, event: values.filter(v => v !== time).join(' – ') };
+    });
+  }
+  return parseBullets(section.lines)
+    .map(item => [item.text, ...item.children].join(' '))
+    .filter(text => findTimestamps(text).length)
+    .map(text => {
+      const time = findTimestamps(text)[0];
+      return { time, event: text.replace(time, '').replace(/^[\s|:–-]+|[\s|:–-]+$/g, '').replace(/\s*\|\s*/g, ' – ') };
+    });
+};
+
+const READERS = {
+  text: sectionText,
+  list: readList,
+  condition: readCondition,
+  damageItems: readDamageItems,
+  recommendations: readRecommendations,
+  timeline: readTimeline,
+  timestamps: (section) => findTimestamps(sectionText(section))
+};
+
+// fields: { name: { type, headings: RegExp | 'all' } }. Returns only the fields found.
+export const parseMarkdown = (text, fields) => {
+  const known = Object.values(fields).map(f => f.headings).filter(h => h instanceof RegExp);
+  const sections = splitSections(text, known);
+  const data = {};
+
+  for (const [name, field] of Object.entries(fields)) {
+    if (!field.headings) continue;
+    const matching = field.headings === 'all'
+      ? [{ heading: '', title: '', lines: text.split('\n') }]
+      : sections.filter(s => field.headings.test(s.heading));
+    if (!matching.length) continue;
+    const reader = READERS[field.type];
+    const values = matching.map(reader);
+    data[name] = Array.isArray(values[0]) ? values.flat() : values[0];
+  }
+
+  return data;
+};
+
+export { findTimestamps };
@@ -0,0 +1,33 @@
+// ============================================
+// FINDING MATCHING
+// CR AudioViz AI, LLC
+//
+// Decides whether two damage items describe the same damage, by comparing
+// the words in their type and location. Used to reconcile engines
+// (consensus) and to diff two videos of the same subject (comparison).
+// ============================================
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'on', 'in', 'at', 'to', 'and', 'with', 'near', 'side', 'area']);
+
+// Significant, roughly singular words: "Cracked shingles" -> { crack, shingl }
+export const keywords = (text) => new Set(
+  String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => word.replace(/(ing|es|s)$/, ''))
+);
+
+// Share of the smaller set found in the other (0-1)
+export const overlap = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / Math.min(a.size, b.size);
+};
+
+// How alike two damage items are by type and location (0-1), or 0 when
+// either differs too much to be the same damage
+export const damageSimilarity = (a, b) => {
+  const type = overlap(keywords(a.type), keywords(b.type));
+  const location = overlap(keywords(a.location), keywords(b.location));
+  return type >= 0.5 && location >= 0.5 ? (type + location) / 2 : 0;
+};
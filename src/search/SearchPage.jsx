@@ -0,0 +1,160 @@
+// ============================================
+// LIBRARY SEARCH PAGE
+// CR AudioViz AI, LLC
+//
+// Search across every saved analysis. Hits are ranked video + timestamp
+// moments; opening one reopens the report with the player at that moment.
+// ============================================
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Search, Loader2, AlertCircle, Clock, Cpu, Video, Play, FolderOpen, X
+} from 'lucide-react';
+import { searchLibrary, availableBackends, defaultBackend } from './index.js';
+import { tokenize } from './localIndex.js';
+import { formatTimestamp } from '../utils/time.js';
+
+const KIND_LABELS = {
+  moment: 'Timeline',
+  damage: 'Damage',
+  object: 'Object',
+  transcript: 'Transcript',
+  answer: 'Answer',
+  summary: 'Summary',
+  finding: 'Finding',
+  clip: 'Video match'
+};
+
+const EXAMPLES = ['cracked tile', 'person at front door', 'water stain'];
+
+// Marks the words of the text that match a query term
+const highlight = (text, terms) => text.split(/([a-z0-9]+)/i).map((part, i) => (
+  terms.has(tokenize(part)[0]) ? <mark key={i}>{part}</mark> : <React.Fragment key={i}>{part}</React.Fragment>
+));
+
+export default function SearchPage({ tasks, engines, user, onOpen }) {
+  const [query, setQuery] = useState('');
+  const [backend, setBackend] = useState(defaultBackend);
+  const [hits, setHits] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const backends = availableBackends();
+
+  // Debounced, and a newer query cancels the one in flight
+  useEffect(() => {
+    if (!query.trim()) {
+      setHits([]);
+      setIsSearching(false);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      setError(null);
+      try {
+        setHits(await searchLibrary(query, { backend, user, signal: controller.signal }));
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message || 'Search failed');
+      } finally {
+        if (!controller.signal.aborted) setIsSearching(false);
+      }
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, backend, user]);
+
+  const terms = useMemo(() => new Set(tokenize(query)), [query]);
+
+  return (
+    <main className="main">
+      <section className="history-section">
+        <h2><Search size={24} /> Search Library</h2>
+
+        <div className="history-filters">
+          <div className="history-search">
+            <Search size={18} />
+            <input
+              type="search"
+              placeholder='Find a moment, e.g. "cracked tile" or "person at front door"'
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              autoFocus
+            />
+          </div>
+          {backends.length > 1 && (
+            <select value={backend} onChange={(e) => setBackend(e.target.value)} title="Search backend">
+              {backends.map(b => (
+                <option key={b.id} value={b.id} title={b.description}>{b.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {error && (
+          <div className="error-banner">
+            <AlertCircle size={20} />
+            <span>{error}</span>
+            <button onClick={() => setError(null)}><X size={18} /></button>
+          </div>
+        )}
+
+        {!query.trim() ? (
+          <p className="empty-note">
+            Search timelines, damage items, answers and transcripts from every video you've analyzed. Try{' '}
+            {EXAMPLES.map((example, i) => (
+              <React.Fragment key={example}>
+                {i > 0 && ', '}
+                <button className="search-example" onClick={() => setQuery(example)}>{example}</button>
+              </React.Fragment>
+            ))}.
+          </p>
+        ) : isSearching ? (
+          <p className="empty-note"><Loader2 size={16} className="spinner" /> Searching...</p>
+        ) : hits.length === 0 ? (
+          <p className="empty-note">No moments match "{query.trim()}".</p>
+        ) : (
+          <ol className="search-hits">
+            {hits.map(({ passage, record }) => {
+              const task = tasks[record.task];
+              const canSeek = passage.time != null && record.hasVideo;
+              return (
+                <li key={passage.id} className="search-hit">
+                  <div className="search-hit-time">
+                    {passage.time != null ? formatTimestamp(passage.time) : '--:--'}
+                  </div>
+                  <div className="history-details">
+                    <span className={`search-kind search-kind-${passage.kind}`}>{KIND_LABELS[passage.kind] || passage.kind}</span>
+                    <p className="search-snippet">{highlight(passage.text, terms)}</p>
+                    <div className="results-meta">
+                      <span className="meta-item"><Video size={14} /> {record.videoName}</span>
+                      <span className="meta-item">{task?.name || record.task}</span>
+                      <span className="meta-item"><Cpu size={14} /> {engines[record.engine]?.name || record.engine}</span>
+                      <span className="meta-item"><Clock size={14} /> {new Date(record.createdAt).toLocaleDateString()}</span>
+                    </div>
+                  </div>
+                  <div className="history-actions">
+                    {canSeek ? (
+                      <button className="btn btn-sm btn-primary" onClick={() => onOpen(record, { at: passage.time })}>
+                        <Play size={16} /> Open at {formatTimestamp(passage.time)}
+                      </button>
+                    ) : (
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={() => onOpen(record)}
+                        title={record.hasVideo ? undefined : 'The video was not saved with this analysis'}
+                      >
+                        <FolderOpen size={16} /> Open report
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </section>
+    </main>
+  );
+}
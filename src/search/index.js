@@ -0,0 +1,54 @@
+// ============================================
+// LIBRARY SEARCH
+// CR AudioViz AI, LLC
+//
+// Searches every saved analysis for moments matching a query ("cracked
+// tile", "person at front door"). Backends are pluggable: the local index
+// runs in the browser over History; Twelve Labs searches its own index of
+// the videos. VITE_SEARCH_BACKEND picks the default.
+//
+// A backend is { id, name, description, isAvailable(), search(query,
+// { records, limit, signal }) } resolving ranked hits:
+//   [{ passage: { id, recordId, kind, time, text }, record, score }]
+// ============================================
+
+import { listAnalyses } from '../history/index.js';
+import { buildIndex, searchIndex } from './localIndex.js';
+import { twelveLabsBackend } from './twelveLabs.js';
+
+// The local index is rebuilt only when the saved analyses change
+let cached = { key: null, index: null };
+
+const indexFor = (records) => {
+  const key = records.map(record => record.id).join('|');
+  if (cached.key !== key) cached = { key, index: buildIndex(records) };
+  return cached.index;
+};
+
+const localBackend = {
+  id: 'local',
+  name: 'Saved analyses',
+  description: 'Searches timelines, damage items, answers and transcripts in History',
+  isAvailable: () => true,
+  search: async (query, { records, limit }) => searchIndex(indexFor(records), query, { limit })
+};
+
+export const SEARCH_BACKENDS = {
+  local: localBackend,
+  twelveLabs: twelveLabsBackend
+};
+
+export const availableBackends = () => Object.values(SEARCH_BACKENDS).filter(backend => backend.isAvailable());
+
+export const defaultBackend = () => {
+  const preferred = SEARCH_BACKENDS[import.meta.env?.VITE_SEARCH_BACKEND];
+  return preferred?.isAvailable() ? preferred.id : 'local';
+};
+
+export const searchLibrary = async (query, { backend = defaultBackend(), user, limit = 50, signal } = {}) => {
+  const searcher = SEARCH_BACKENDS[backend];
+  if (!searcher) throw new Error(`Unknown search backend: ${backend}`);
+  if (!query.trim()) return [];
+  const records = await listAnalyses({}, user);
+  return searcher.search(query, { records, limit, signal });
+};
@@ -0,0 +1,84 @@
+// ============================================
+// LOCAL SEARCH INDEX
+// CR AudioViz AI, LLC
+//
+// An in-memory BM25 index over the passages of every saved analysis. It is
+// built in the browser from History, so it needs no service and works for
+// local development. Passages that contain the query as a phrase, or more
+// of its words, rank higher.
+// ============================================
+
+import { recordPassages } from './passages.js';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'there', 'this', 'to', 'was', 'were', 'with'
+]);
+
+// BM25 tuning, the usual defaults
+const K1 = 1.2;
+const B = 0.75;
+
+const PHRASE_BONUS = 1.5;
+
+// "Cracked tiles" and "cracks in a tile" share crack + tile
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+export const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  .map(stem);
+
+// records -> { passages, records, postings: term -> [{ passage, count }], lengths, avgLength }
+export const buildIndex = (records) => {
+  const passages = records.flatMap(recordPassages);
+  const postings = new Map();
+  const lengths = passages.map((passage, i) => {
+    const tokens = tokenize(passage.text);
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    counts.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ passage: i, count });
+    });
+    return tokens.length;
+  });
+  return {
+    passages,
+    records: new Map(records.map(record => [record.id, record])),
+    postings,
+    lengths,
+    avgLength: lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1)
+  };
+};
+
+// Ranked hits: [{ passage, record, score }]
+export const searchIndex = (index, query, { limit = 50 } = {}) => {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !index.passages.length) return [];
+
+  const total = index.passages.length;
+  const scores = new Map();
+  const matched = new Map();
+  terms.forEach(term => {
+    const list = index.postings.get(term) || [];
+    const idf = Math.log(1 + (total - list.length + 0.5) / (list.length + 0.5));
+    list.forEach(({ passage, count }) => {
+      const norm = K1 * (1 - B + B * (index.lengths[passage] / index.avgLength));
+      scores.set(passage, (scores.get(passage) || 0) + idf * ((count * (K1 + 1)) / (count + norm)));
+      matched.set(passage, (matched.get(passage) || 0) + 1);
+    });
+  });
+
+  const phrase = query.trim().toLowerCase();
+  return [...scores.entries()]
+    .map(([i, score]) => {
+      const passage = index.passages[i];
+      const coverage = matched.get(i) / terms.length;
+      const bonus = terms.length > 1 && passage.text.toLowerCase().includes(phrase) ? PHRASE_BONUS : 1;
+      return { passage, record: index.records.get(passage.recordId), score: score * coverage * bonus };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,49 @@
+// ============================================
+// SEARCH PASSAGES
+// CR AudioViz AI, LLC
+//
+// Breaks a saved analysis into searchable passages, each tied to the moment
+// in the video it describes where there is one: timeline events, damage
+// items, detected objects, transcript lines, answers and summaries.
+// ============================================
+
+import { parseTimestamp } from '../utils/time.js';
+
+const FIRST_TIME = /\b(?:\d{1,2}:)?\d{1,2}:\d{2}\b/;
+
+// A moment mentioned in free text, e.g. "Loose flashing (0:42)"
+const timeIn = (text) => {
+  const match = String(text || '').match(FIRST_TIME);
+  return match ? parseTimestamp(match[0]) : null;
+};
+
+const LIST_FIELDS = ['keyFindings', 'positiveObservations', 'insuranceNotes'];
+
+// record -> [{ id, recordId, kind, time (seconds or null), text }]
+export const recordPassages = (record) => {
+  const data = record.result?.data || {};
+  const passages = [];
+  const add = (kind, text, time = null) => {
+    if (!text) return;
+    passages.push({ id: `${record.id}:${passages.length}`, recordId: record.id, kind, time, text: String(text) });
+  };
+
+  (data.timestamps || []).forEach(ts => add('moment', ts.event, parseTimestamp(ts.time)));
+
+  (data.damageItems || []).forEach(item => add(
+    'damage',
+    [`${item.severity} ${item.type}`, item.location, item.description, item.recommendation].filter(Boolean).join(' — '),
+    item.timeRange?.[0] ?? parseTimestamp(item.timestamp)
+  ));
+
+  (data.detections || []).forEach(d => add('object', `${d.label} (${Math.round(d.confidence * 100)}%)`, d.start ?? d.frames?.[0]?.time ?? null));
+
+  // Engines that transcribe speech return [{ time, text }]
+  (Array.isArray(data.transcript) ? data.transcript : []).forEach(line => add('transcript', line.text, parseTimestamp(line.time)));
+
+  add('answer', data.answer, parseTimestamp(data.relatedTimestamps?.[0]) ?? timeIn(data.answer));
+  add('summary', data.summary, timeIn(data.summary));
+  LIST_FIELDS.forEach(name => (data[name] || []).forEach(text => add('finding', text, timeIn(text))));
+
+  return passages;
+};
@@ -0,0 +1,52 @@
+// ============================================
+// TWELVE LABS SEARCH BACKEND
+// CR AudioViz AI, LLC
+//
+// Searches the configured Twelve Labs index by what is seen and heard. The
+// index is shared, so the API server (server/search.js) searches only the
+// videos this user indexed. Matches are mapped back to the saved analyses
+// through the video ID kept on each report.
+// ============================================
+
+import { getEngineConfig, apiUrl } from '../engines/config.js';
+import { engineJson } from '../engines/http.js';
+
+export const twelveLabsBackend = {
+  id: 'twelveLabs',
+  name: 'Twelve Labs',
+  description: 'Searches the video itself, including moments no analysis wrote down',
+
+  isAvailable: () => !!getEngineConfig('twelveLabs').indexId,
+
+  // records: the user's saved analyses
+  async search(query, { records, limit, signal }) {
+    const byVideo = new Map();
+    records.forEach(record => {
+      const videoId = record.result?.data?.videoHandle?.videoId;
+      if (videoId && !byVideo.has(videoId)) byVideo.set(videoId, record);
+    });
+    if (!byVideo.size) return [];
+
+    const result = await engineJson('twelveLabs', apiUrl('search'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ indexId: getEngineConfig('twelveLabs').indexId, query, limit }),
+      signal
+    });
+
+    // Indexed videos whose analysis was deleted have nothing to show
+    return (result.data || [])
+      .filter(clip => byVideo.has(clip.video_id))
+      .map((clip, i) => ({
+        passage: {
+          id: `${clip.video_id}:${clip.start}`,
+          recordId: byVideo.get(clip.video_id).id,
+          kind: 'clip',
+          time: clip.start ?? null,
+          text: `Matched "${query}"${clip.confidence ? ` with ${clip.confidence} confidence` : ''}`
+        },
+        record: byVideo.get(clip.video_id),
+        score: clip.score ?? -i
+      }));
+  }
+};
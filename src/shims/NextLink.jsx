@@ -0,0 +1,19 @@
+// ============================================
+// next/link FOR VITE
+// CR AudioViz AI, LLC
+//
+// The shared components in components/brand are written for the Next.js
+// apps and import next/link. In this Vite app they resolve here instead.
+// Root-relative links (/pricing, /account) live on the central hub.
+// ============================================
+
+import React from 'react';
+
+const CENTRAL_ORIGIN = 'https://craudiovizai.com';
+
+const Link = ({ href, children, ...props }) => {
+  const url = typeof href === 'string' && href.startsWith('/') ? `${CENTRAL_ORIGIN}${href}` : href;
+  return <a href={url} {...props}>{children}</a>;
+};
+
+export default Link;
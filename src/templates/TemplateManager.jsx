@@ -0,0 +1,373 @@
+// ============================================
+// TEMPLATE MANAGER
+// CR AudioViz AI, LLC
+//
+// Modal for the user's task templates: list, create and edit (each save is
+// a new version), restore an older version, copy a share code, import one,
+// and delete.
+// ============================================
+
+import React, { useState } from 'react';
+import {
+  LayoutTemplate, Plus, Pencil, Trash2, Share2, History, Download, Save,
+  ArrowLeft, AlertCircle, CheckCircle, X
+} from 'lucide-react';
+import {
+  TEMPLATE_ICONS, TEMPLATE_COLORS, TEMPLATE_FIELDS, PROMPT_ENGINES,
+  MIN_TEMPLATE_COST, MAX_TEMPLATE_COST, MAX_PROMPT_LENGTH, emptyDefinition, definitionProblems
+} from './definition.js';
+import { shareCode } from './share.js';
+
+// The definition to edit: a copy of the template's, or a blank one
+const startDraft = (editing) => (editing && editing !== 'new'
+  ? structuredClone(editing.definition)
+  : emptyDefinition());
+
+// templates: the useTemplates() object. editing: a template to open in the
+// editor, 'new' for a blank one, or null for the list.
+export default function TemplateManager({
+  templates, engines, editing: initialEditing = null, onUse, onClose, onShare = () => {}
+}) {
+  const [editing, setEditing] = useState(initialEditing);
+  const [draft, setDraft] = useState(() => startDraft(initialEditing));
+  const [problems, setProblems] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const [importText, setImportText] = useState('');
+  const [openVersions, setOpenVersions] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const edit = (template) => {
+    setEditing(template);
+    setDraft(startDraft(template));
+    setProblems([]);
+    setNotice(null);
+  };
+
+  const run = async (action, success) => {
+    setNotice(null);
+    try {
+      await action();
+      if (success) setNotice({ ok: true, text: success });
+    } catch (err) {
+      setNotice({ ok: false, text: err.message || 'Something went wrong' });
+    }
+  };
+
+  const save = async () => {
+    const found = definitionProblems(draft);
+    setProblems(found);
+    if (found.length) return;
+    setIsSaving(true);
+    await run(async () => {
+      const saved = await templates.save(draft, editing === 'new' ? null : editing);
+      setEditing(null);
+      setNotice({ ok: true, text: `Saved ${saved.definition.name} (version ${saved.version}).` });
+    });
+    setIsSaving(false);
+  };
+
+  const copyShareCode = (template) => run(
+    async () => {
+      await navigator.clipboard.writeText(shareCode(template));
+      onShare(template);
+    },
+    `Share code for ${template.definition.name} copied. Anyone can import it from their Templates.`
+  );
+
+  const importTemplate = () => run(async () => {
+    const saved = await templates.importCode(importText);
+    setImportText('');
+    setNotice({ ok: true, text: `Imported ${saved.definition.name}.` });
+  });
+
+  const removeTemplate = (template) => {
+    if (!window.confirm(`Delete the ${template.definition.name} template? Reports made with it stay in History.`)) return;
+    run(() => templates.remove(template), `Deleted ${template.definition.name}.`);
+  };
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleField = (name) => {
+    const present = draft.fields.some(field => field.name === name);
+    update({
+      fields: present
+        ? draft.fields.filter(field => field.name !== name)
+        : Object.keys(TEMPLATE_FIELDS)
+          .filter(key => key === name || draft.fields.some(field => field.name === key))
+          .map(key => draft.fields.find(field => field.name === key)
+            || { name: key, label: TEMPLATE_FIELDS[key].label, required: false })
+    });
+  };
+
+  const updateField = (name, changes) => update({
+    fields: draft.fields.map(field => (field.name === name ? { ...field, ...changes } : field))
+  });
+
+  const renderNotice = () => notice && (
+    <div className={notice.ok ? 'template-notice' : 'error-banner'}>
+      {notice.ok ? <CheckCircle size={18} /> : <AlertCircle size={18} />}
+      <span>{notice.text}</span>
+      <button onClick={() => setNotice(null)}><X size={16} /></button>
+    </div>
+  );
+
+  const renderList = () => (
+    <>
+      {renderNotice()}
+      <div className="template-toolbar">
+        <button className="btn btn-sm btn-primary" onClick={() => edit('new')}>
+          <Plus size={16} /> New Template
+        </button>
+        <div className="template-import">
+          <input
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="Paste a share code (JVT1...)"
+          />
+          <button className="btn btn-sm btn-secondary" onClick={importTemplate} disabled={!importText.trim()}>
+            <Download size={16} /> Import
+          </button>
+        </div>
+      </div>
+
+      {templates.error && <p className="empty-note">{templates.error}</p>}
+      {templates.templates.length === 0 ? (
+        <p className="empty-note">
+          No templates yet. Save a prompt you keep reusing (a solar panel or HVAC inspection, say) as a task of its own.
+        </p>
+      ) : (
+        <ul className="template-list">
+          {templates.templates.map(template => {
+            const { definition } = template;
+            const TemplateIcon = TEMPLATE_ICONS[definition.icon] || LayoutTemplate;
+            return (
+              <li key={template.id} className="template-item">
+                <div className="history-icon" style={{ background: definition.color }}>
+                  <TemplateIcon size={20} color="white" />
+                </div>
+                <div className="history-details">
+                  <h3>{definition.name}</h3>
+                  <div className="results-meta">
+                    <span className="meta-item">Version {template.version}</span>
+                    <span className="meta-item">{definition.creditCost} credits</span>
+                    <span className="meta-item">
+                      {engines[definition.routing.primary]?.name}
+                      {definition.routing.fallback && ` → ${engines[definition.routing.fallback]?.name}`}
+                    </span>
+                    <span className="meta-item">Updated {new Date(template.updatedAt).toLocaleDateString()}</span>
+                    {template.sharedFrom && <span className="meta-item">Imported</span>}
+                  </div>
+                  {openVersions === template.id && (
+                    <ul className="template-versions">
+                      {template.versions.length === 0 && <li className="empty-note">No earlier versions.</li>}
+                      {template.versions.map(entry => (
+                        <li key={entry.version}>
+                          <span>Version {entry.version} · {entry.definition.name} · {new Date(entry.savedAt).toLocaleString()}</span>
+                          <button
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => run(() => templates.restore(template, entry.version), `Restored version ${entry.version} as a new version.`)}
+                          >
+                            Restore
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                <div className="history-actions">
+                  <button className="btn btn-sm btn-primary" onClick={() => onUse(template.id)}>Use</button>
+                  <button className="btn btn-sm btn-secondary" onClick={() => edit(template)} title="Edit">
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    className="btn btn-sm btn-secondary"
+                    onClick={() => setOpenVersions(openVersions === template.id ? null : template.id)}
+                    title="Versions"
+                  >
+                    <History size={16} />
+                  </button>
+                  <button className="btn btn-sm btn-secondary" onClick={() => copyShareCode(template)} title="Copy share code">
+                    <Share2 size={16} />
+                  </button>
+                  <button className="btn btn-sm btn-danger" onClick={() => removeTemplate(template)} title="Delete">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </>
+  );
+
+  const renderEditor = () => (
+    <div className="template-editor">
+      <button className="btn btn-sm btn-secondary" onClick={() => edit(null)}>
+        <ArrowLeft size={16} /> All templates
+      </button>
+
+      <div className="template-row">
+        <label className="template-label">
+          Name
+          <input value={draft.name} onChange={(e) => update({ name: e.target.value })} placeholder="Solar Panel Inspection" />
+        </label>
+        <label className="template-label">
+          Description
+          <input
+            value={draft.description}
+            onChange={(e) => update({ description: e.target.value })}
+            placeholder="Cracked cells, soiling, hot spots and mounting"
+          />
+        </label>
+      </div>
+
+      <div className="template-row">
+        <div className="template-label">
+          Icon
+          <div className="template-icons">
+            {Object.entries(TEMPLATE_ICONS).map(([name, Icon]) => (
+              <button
+                key={name}
+                className={`template-swatch ${draft.icon === name ? 'selected' : ''}`}
+                onClick={() => update({ icon: name })}
+                title={name}
+              >
+                <Icon size={18} />
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="template-label">
+          Color
+          <div className="template-icons">
+            {TEMPLATE_COLORS.map(color => (
+              <button
+                key={color}
+                className={`template-swatch ${draft.color === color ? 'selected' : ''}`}
+                onClick={() => update({ color })}
+                style={{ background: color }}
+                title={color}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <h4>Prompts</h4>
+      <p className="template-hint">
+        Ask for one section per output field, headed with its label:{' '}
+        {draft.fields.map(field => `**${field.label.toUpperCase()}**`).join(', ')}.
+        Image-only engines (Roboflow, Video Intelligence) run their own models and ignore prompts.
+      </p>
+      {PROMPT_ENGINES.map(engine => (
+        <label key={engine} className="template-label">
+          {engines[engine]?.name}{engine === 'gemini' ? '' : ' (optional, defaults to the Gemini prompt)'}
+          <textarea
+            className="query-input"
+            rows={engine === 'gemini' ? 8 : 4}
+            value={draft.prompts[engine] || ''}
+            onChange={(e) => update({ prompts: { ...draft.prompts, [engine]: e.target.value } })}
+          />
+          <span className="template-count">{(draft.prompts[engine] || '').length} / {MAX_PROMPT_LENGTH.toLocaleString()}</span>
+        </label>
+      ))}
+
+      <h4>Output</h4>
+      <div className="template-fields">
+        {Object.entries(TEMPLATE_FIELDS).map(([name, spec]) => {
+          const field = draft.fields.find(f => f.name === name);
+          return (
+            <div key={name} className={`template-field ${field ? 'selected' : ''}`}>
+              <label>
+                <input type="checkbox" checked={!!field} onChange={() => toggleField(name)} />
+                {spec.label}
+              </label>
+              {field && (
+                <>
+                  <input
+                    value={field.label}
+                    onChange={(e) => updateField(name, { label: e.target.value })}
+                    placeholder={spec.label}
+                    title="Section heading the prompt asks for"
+                  />
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={(e) => updateField(name, { required: e.target.checked })}
+                    />
+                    Required
+                  </label>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <h4>Routing &amp; Cost</h4>
+      <div className="template-row">
+        <label className="template-label">
+          Primary engine
+          <select
+            value={draft.routing.primary}
+            onChange={(e) => update({ routing: { ...draft.routing, primary: e.target.value } })}
+          >
+            {Object.entries(engines).map(([key, engine]) => <option key={key} value={key}>{engine.name}</option>)}
+          </select>
+        </label>
+        <label className="template-label">
+          Fallback engine
+          <select
+            value={draft.routing.fallback || ''}
+            onChange={(e) => update({ routing: { ...draft.routing, fallback: e.target.value || null } })}
+          >
+            <option value="">None</option>
+            {Object.entries(engines).map(([key, engine]) => <option key={key} value={key}>{engine.name}</option>)}
+          </select>
+        </label>
+        <label className="template-label">
+          Credits per video
+          <input
+            type="number"
+            min={MIN_TEMPLATE_COST}
+            max={MAX_TEMPLATE_COST}
+            value={draft.creditCost}
+            onChange={(e) => update({ creditCost: Number(e.target.value) })}
+          />
+        </label>
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="template-problems">
+          {problems.map(problem => <li key={problem}><AlertCircle size={14} /> {problem}</li>)}
+        </ul>
+      )}
+      {renderNotice()}
+
+      <button className="btn btn-primary" onClick={save} disabled={isSaving}>
+        <Save size={18} /> {editing === 'new' ? 'Save Template' : `Save as Version ${editing.version + 1}`}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>
+            <LayoutTemplate size={24} />
+            {editing === 'new' ? 'New Template' : editing ? `Edit ${editing.definition.name}` : 'Task Templates'}
+          </h2>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+        <div className="modal-body">
+          {editing ? renderEditor() : renderList()}
+        </div>
+      </div>
+    </div>
+  );
+}
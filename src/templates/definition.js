@@ -0,0 +1,130 @@
+// ============================================
+// TASK TEMPLATES
+// CR AudioViz AI, LLC
+//
+// User-defined analysis tasks (e.g. a solar panel or HVAC inspection) that
+// sit in the task grid next to the built-ins. A template definition is
+// plain JSON so it can be stored, versioned and shared:
+//
+//   { name, description, icon, color,
+//     prompts: { gemini, twelveLabs },
+//     fields: [{ name, label, required }],   // expected output
+//     routing: { primary, fallback },
+//     creditCost }
+//
+// Output fields are picked from the standard result fields, so templates
+// get the same result cards, exports, search and comparison as built-ins.
+// ============================================
+
+import {
+  Sun, Wind, Zap, Droplets, Flame, Home, Wrench, ClipboardCheck, Building, Car, Camera, Leaf
+} from 'lucide-react';
+import { getCreditCost } from '../../lib/central-services.ts';
+import { ENGINE_ENDPOINTS } from '../engines/config.js';
+
+export const TEMPLATE_ICONS = { Sun, Wind, Zap, Droplets, Flame, Home, Wrench, ClipboardCheck, Building, Car, Camera, Leaf };
+
+export const TEMPLATE_COLORS = ['#F59E0B', '#06B6D4', '#10B981', '#EF4444', '#8B5CF6', '#EC4899', '#64748B'];
+
+// Engines that take a prompt; the others run fixed models
+export const PROMPT_ENGINES = ['gemini', 'twelveLabs'];
+
+// Result fields a template can ask for, with their built-in labels. The
+// label doubles as the markdown section heading the prompt should use.
+export const TEMPLATE_FIELDS = {
+  summary: { type: 'text', label: 'Summary' },
+  overallCondition: { type: 'condition', label: 'Overall Condition' },
+  damageItems: { type: 'damageItems', label: 'Damage Identified' },
+  keyFindings: { type: 'list', label: 'Key Findings' },
+  positiveObservations: { type: 'list', label: 'Positive Observations' },
+  recommendations: { type: 'recommendations', label: 'Recommendations' },
+  insuranceNotes: { type: 'list', label: 'Insurance Notes' },
+  timestamps: { type: 'timeline', label: 'Timeline' },
+  answer: { type: 'text', label: 'Answer' },
+  confidence: { type: 'confidence', label: 'Confidence' }
+};
+
+// A template is a saved custom query, so it never costs less than one
+export const MIN_TEMPLATE_COST = getCreditCost('video_custom_query');
+export const MAX_TEMPLATE_COST = 20;
+
+export const MAX_PROMPT_LENGTH = 8000;
+
+export const emptyDefinition = () => ({
+  name: '',
+  description: '',
+  icon: 'ClipboardCheck',
+  color: TEMPLATE_COLORS[0],
+  prompts: { gemini: '', twelveLabs: '' },
+  fields: [
+    { name: 'summary', label: TEMPLATE_FIELDS.summary.label, required: true },
+    { name: 'keyFindings', label: TEMPLATE_FIELDS.keyFindings.label, required: false },
+    { name: 'timestamps', label: TEMPLATE_FIELDS.timestamps.label, required: false },
+    { name: 'confidence', label: TEMPLATE_FIELDS.confidence.label, required: false }
+  ],
+  routing: { primary: 'gemini', fallback: 'twelveLabs' },
+  creditCost: MIN_TEMPLATE_COST
+});
+
+// Problems that block saving, as messages; empty when the definition is valid
+export const definitionProblems = (definition) => {
+  const problems = [];
+  const { name, prompts = {}, fields = [], routing = {}, creditCost } = definition;
+
+  if (!name?.trim()) problems.push('Give the template a name.');
+  if (!prompts.gemini?.trim()) problems.push('Write the Gemini prompt; other engines fall back to it.');
+  PROMPT_ENGINES.forEach(engine => {
+    if ((prompts[engine] || '').length > MAX_PROMPT_LENGTH) {
+      problems.push(`The ${engine} prompt is over ${MAX_PROMPT_LENGTH.toLocaleString()} characters.`);
+    }
+  });
+  if (!fields.length) problems.push('Pick at least one output field.');
+  fields.forEach(field => {
+    if (!TEMPLATE_FIELDS[field.name]) problems.push(`Unknown output field: ${field.name}.`);
+  });
+  if (new Set(fields.map(field => field.name)).size !== fields.length) problems.push('Each output field can only be used once.');
+  if (!ENGINE_ENDPOINTS[routing.primary]) problems.push('Pick a primary engine.');
+  if (routing.fallback && !ENGINE_ENDPOINTS[routing.fallback]) problems.push('Pick a valid fallback engine.');
+  if (routing.fallback && routing.fallback === routing.primary) problems.push('The fallback engine must differ from the primary.');
+  if (!Number.isInteger(creditCost) || creditCost < MIN_TEMPLATE_COST || creditCost > MAX_TEMPLATE_COST) {
+    problems.push(`Credit cost must be a whole number from ${MIN_TEMPLATE_COST} to ${MAX_TEMPLATE_COST}.`);
+  }
+  return problems;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Stored template -> task definition, shaped like an ANALYSIS_TASKS entry
+export const templateTask = (template) => {
+  const { definition } = template;
+  return {
+    id: template.id,
+    name: definition.name,
+    description: definition.description || 'Custom analysis template',
+    icon: TEMPLATE_ICONS[definition.icon] || ClipboardCheck,
+    color: definition.color,
+    primaryAPI: definition.routing.primary,
+    fallbackAPI: definition.routing.fallback || null,
+    routing: definition.routing,
+    creditCost: definition.creditCost,
+    prompts: Object.fromEntries(PROMPT_ENGINES.map(engine => [engine, definition.prompts[engine]?.trim()]).filter(([, prompt]) => prompt)),
+    resultFields: Object.fromEntries(definition.fields.map(field => [field.name, {
+      type: TEMPLATE_FIELDS[field.name].type,
+      label: field.label || TEMPLATE_FIELDS[field.name].label,
+      headings: new RegExp(escapeRegExp((field.label || TEMPLATE_FIELDS[field.name].label).toLowerCase())),
+      required: !!field.required
+    }])),
+    custom: true,
+    version: template.version
+  };
+};
+
+// Stands in for a template that has since been deleted, so its saved
+// reports still open
+export const missingTemplateTask = (id) => templateTask({
+  id,
+  version: 0,
+  definition: { ...emptyDefinition(), name: 'Deleted template', description: 'This template no longer exists' }
+});
+
+export const isTemplateId = (id) => typeof id === 'string' && id.startsWith('tpl_');
@@ -0,0 +1,40 @@
+// ============================================
+// TEMPLATE SHARING
+// CR AudioViz AI, LLC
+//
+// A template is shared as a self-contained code the recipient pastes in;
+// importing it saves their own copy, which they can then edit freely.
+// ============================================
+
+import { definitionProblems } from './definition.js';
+
+const PREFIX = 'JVT1.';
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (code) => {
+  const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+export const shareCode = (template) => PREFIX + toBase64Url(JSON.stringify({
+  id: template.id,
+  version: template.version,
+  definition: template.definition
+}));
+
+// code -> { definition, sharedFrom: 'tpl_…@v3' }; throws when it isn't usable
+export const readShareCode = (code) => {
+  const text = code.trim();
+  if (!text.startsWith(PREFIX)) throw new Error('This is not a template share code');
+  let shared;
+  try {
+    shared = JSON.parse(fromBase64Url(text.slice(PREFIX.length)));
+  } catch {
+    throw new Error('This share code is damaged; copy it again');
+  }
+  const problems = definitionProblems(shared.definition || {});
+  if (problems.length) throw new Error(`This template can't be imported: ${problems[0]}`);
+  return { definition: shared.definition, sharedFrom: `${shared.id}@v${shared.version}` };
+};
@@ -0,0 +1,147 @@
+// ============================================
+// TEMPLATE STORAGE
+// CR AudioViz AI, LLC
+//
+// Each user's task templates, in the `task_templates` Supabase table (see
+// README) with IndexedDB taking over when Supabase is not configured, there
+// is no Supabase session, or offline, as for history. Rows belong to the
+// session's user and row-level security keeps everyone else out. Every
+// save is a new version; earlier versions are kept on the record so they
+// can be restored.
+// ============================================
+
+import { openDatabase, withStore } from '../utils/idb.js';
+import { getSupabase } from '../utils/supabase.js';
+import { sessionUser } from '../auth/session.js';
+
+const TABLE = 'task_templates';
+
+// Older versions beyond this are dropped
+export const MAX_VERSIONS = 20;
+
+const db = () => openDatabase('javari-templates', {
+  templates: { keyPath: 'id', indexes: ['userId'] }
+});
+
+const localTemplates = {
+  async save(template) {
+    const stored = { ...template, source: 'local' };
+    await withStore(await db(), 'templates', 'readwrite', store => store.put(stored));
+    return stored;
+  },
+
+  async list(user) {
+    const all = await withStore(await db(), 'templates', 'readonly', store => store.getAll());
+    return all.filter(template => template.userId === (user?.id ?? null));
+  },
+
+  async remove(template) {
+    await withStore(await db(), 'templates', 'readwrite', store => store.delete(template.id));
+  }
+};
+
+const toRow = (template) => ({
+  id: template.id,
+  user_id: template.userId,
+  definition: template.definition,
+  version: template.version,
+  versions: template.versions,
+  shared_from: template.sharedFrom ?? null,
+  created_at: template.createdAt,
+  updated_at: template.updatedAt
+});
+
+const fromRow = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  definition: row.definition,
+  version: row.version,
+  versions: row.versions || [],
+  sharedFrom: row.shared_from,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  source: 'supabase'
+});
+
+const unwrap = ({ data, error }) => {
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+const supabaseTemplates = {
+  isAvailable: async () => navigator.onLine && Boolean(await sessionUser()),
+
+  async save(template) {
+    const owner = await sessionUser();
+    const row = toRow({ ...template, userId: owner.id });
+    return fromRow(unwrap(await getSupabase().from(TABLE).upsert(row).select().single()));
+  },
+
+  async list() {
+    const owner = await sessionUser();
+    return unwrap(await getSupabase().from(TABLE).select('*').eq('user_id', owner.id)).map(fromRow);
+  },
+
+  async remove(template) {
+    unwrap(await getSupabase().from(TABLE).delete().eq('id', template.id));
+  }
+};
+
+const persist = async (template) => {
+  if (template.source !== 'local' && await supabaseTemplates.isAvailable()) {
+    try {
+      return await supabaseTemplates.save(template);
+    } catch (err) {
+      console.warn('[Templates] Supabase save failed, keeping a local copy:', err.message);
+    }
+  }
+  return localTemplates.save(template);
+};
+
+export const listTemplates = async (user) => {
+  const lists = await Promise.all([
+    localTemplates.list(user),
+    await supabaseTemplates.isAvailable()
+      ? supabaseTemplates.list().catch((err) => {
+        console.warn('[Templates] Supabase list failed:', err.message);
+        return [];
+      })
+      : []
+  ]);
+  return lists.flat().sort((a, b) => a.definition.name.localeCompare(b.definition.name));
+};
+
+// Saves a definition as a new template, or as the next version of `existing`
+export const saveTemplate = (definition, { user, existing, sharedFrom } = {}) => {
+  const now = new Date().toISOString();
+  if (!existing) {
+    return persist({
+      id: `tpl_${crypto.randomUUID()}`,
+      userId: user?.id ?? null,
+      definition,
+      version: 1,
+      versions: [],
+      sharedFrom: sharedFrom ?? null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+  const previous = { version: existing.version, savedAt: existing.updatedAt, definition: existing.definition };
+  return persist({
+    ...existing,
+    definition,
+    version: existing.version + 1,
+    versions: [previous, ...existing.versions].slice(0, MAX_VERSIONS),
+    updatedAt: now
+  });
+};
+
+// Restoring saves the old definition as a new version, so nothing is lost
+export const restoreVersion = (template, version) => {
+  const entry = template.versions.find(v => v.version === version);
+  if (!entry) throw new Error(`Version ${version} of this template is no longer kept`);
+  return saveTemplate(entry.definition, { existing: template });
+};
+
+export const deleteTemplate = (template) =>
+  (template.source === 'supabase' ? supabaseTemplates : localTemplates).remove(template);
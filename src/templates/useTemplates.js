@@ -0,0 +1,64 @@
+// ============================================
+// TEMPLATES HOOK
+// CR AudioViz AI, LLC
+//
+// Loads the signed-in user's task templates and exposes them as tasks for
+// the task grid, along with save, restore, import and delete.
+// ============================================
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { listTemplates, saveTemplate, restoreVersion, deleteTemplate } from './store.js';
+import { readShareCode } from './share.js';
+import { templateTask } from './definition.js';
+
+export const useTemplates = (user) => {
+  const [templates, setTemplates] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listTemplates(user)
+      .then(list => !cancelled && setTemplates(list))
+      .catch(err => !cancelled && setError(err.message || 'Could not load your templates'));
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  // Keeps the list in step with a saved (or removed) template
+  const replace = (saved, removedId = saved?.id) => setTemplates(prev => [
+    ...prev.filter(t => t.id !== removedId),
+    ...(saved ? [saved] : [])
+  ].sort((a, b) => a.definition.name.localeCompare(b.definition.name)));
+
+  const save = useCallback(async (definition, existing) => {
+    const saved = await saveTemplate(definition, { user, existing });
+    replace(saved, existing?.id);
+    return saved;
+  }, [user]);
+
+  const restore = useCallback(async (template, version) => {
+    const saved = await restoreVersion(template, version);
+    replace(saved);
+    return saved;
+  }, []);
+
+  const importCode = useCallback(async (code) => {
+    const { definition, sharedFrom } = readShareCode(code);
+    const saved = await saveTemplate(definition, { user, sharedFrom });
+    replace(saved);
+    return saved;
+  }, [user]);
+
+  const remove = useCallback(async (template) => {
+    await deleteTemplate(template);
+    replace(null, template.id);
+  }, []);
+
+  const tasks = useMemo(
+    () => Object.fromEntries(templates.map(template => [template.id, templateTask(template)])),
+    [templates]
+  );
+
+  return { templates, tasks, error, save, restore, importCode, remove };
+};
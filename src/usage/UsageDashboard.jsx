@@ -0,0 +1,82 @@
+// ============================================
+// USAGE DASHBOARD
+// CR AudioViz AI, LLC
+//
+// Per-engine usage against its free-tier quota for the current period,
+// shown in the API Information modal.
+// ============================================
+
+import React from 'react';
+import { Gauge, AlertTriangle } from 'lucide-react';
+import { describeQuota } from './quotas.js';
+
+const PERIOD_LABELS = { day: 'today', month: 'this month', lifetime: 'in total' };
+
+const STATE_LABELS = {
+  ok: null,
+  warning: 'Running low',
+  exhausted: 'Used up: skipped by routing',
+  unlimited: 'No limit set'
+};
+
+const formatUsed = (used, unit) => (unit === 'minutes'
+  ? used.toLocaleString('en-US', { maximumFractionDigits: 1 })
+  : used.toLocaleString('en-US'));
+
+// "in 5h", "in 12 days"
+const untilText = (date) => {
+  const hours = Math.max(0, (date.getTime() - Date.now()) / 3600000);
+  if (hours < 1) return 'in under an hour';
+  if (hours < 48) return `in ${Math.round(hours)}h`;
+  return `in ${Math.round(hours / 24)} days`;
+};
+
+const sinceText = (iso) => {
+  const minutes = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 120) return `${minutes} min ago`;
+  return new Date(iso).toLocaleString();
+};
+
+// usage: { engine: engineUsage(engine) }; engines: API_CONFIG
+export default function UsageDashboard({ usage, engines }) {
+  return (
+    <section className="usage-dashboard">
+      <h3><Gauge size={20} /> Usage This Period</h3>
+      <div className="usage-grid">
+        {Object.entries(usage).map(([key, entry]) => {
+          const { quota, used, fraction, state, resetsAt, throttledAt } = entry;
+          return (
+            <div key={key} className={`usage-card usage-${state}`}>
+              <div className="usage-header">
+                <strong>{engines[key]?.name || key}</strong>
+                {STATE_LABELS[state] && <span className="usage-state">{STATE_LABELS[state]}</span>}
+              </div>
+              {quota.limit != null && (
+                <div className="meter">
+                  <div className="meter-fill" style={{ width: `${fraction * 100}%` }} />
+                </div>
+              )}
+              <p>
+                {formatUsed(used, quota.unit)}
+                {quota.limit != null ? ` of ${describeQuota(quota)}` : ` ${quota.unit}`}
+                {' '}{PERIOD_LABELS[quota.period]}
+              </p>
+              <p className="usage-note">
+                {resetsAt ? `Resets ${untilText(resetsAt)}` : 'Does not reset'}
+              </p>
+              {throttledAt && (
+                <p className="usage-note usage-throttled">
+                  <AlertTriangle size={12} /> Last rate-limited {sinceText(throttledAt)}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <p className="usage-note">
+        Counted by the server across everyone using the shared engine keys. Periods reset at midnight UTC.
+      </p>
+    </section>
+  );
+}
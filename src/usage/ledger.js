@@ -0,0 +1,77 @@
+// ============================================
+// USAGE LEDGER
+// CR AudioViz AI, LLC
+//
+// Requests and video minutes per engine and quota period, so the app can
+// warn before a free tier runs out and routing can skip an engine that has.
+// The engine keys are shared by every user, so the API server counts what
+// it relays for all of them (server/usage.js), rate-limit (429) answers
+// included; the app reads those counts after each engine run and every
+// minute.
+// ============================================
+
+import { quotaFor, periodResetsAt, WARNING_THRESHOLD } from './quotas.js';
+import { apiUrl } from '../engines/config.js';
+import { authHeaders } from '../auth/session.js';
+
+// { engine: { day, month, lifetime: { requests, minutes }, throttledAt } }
+// as last read from the server
+let totals = {};
+let loading = null;
+
+const listeners = new Set();
+
+export const subscribeUsage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Reads the server's counts; concurrent calls share one request. Never
+// rejects: the last counts stay in place when they can't be read.
+export const refreshUsage = () => {
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const response = await fetch(apiUrl('usage'), { headers: await authHeaders() });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        totals = (await response.json()).engines || {};
+        listeners.forEach(listener => listener());
+      } catch (err) {
+        console.warn('[Usage] Could not read engine usage:', err.message);
+      } finally {
+        loading = null;
+      }
+    })();
+  }
+  return loading;
+};
+
+// { quota, used, remaining, fraction, state, resetsAt, throttledAt } where
+// state is 'ok', 'warning', 'exhausted' or 'unlimited'
+export const engineUsage = (engine, at = new Date()) => {
+  const quota = quotaFor(engine);
+  if (!quota) return null;
+  const entry = totals[engine];
+  const period = entry?.[quota.period] || { requests: 0, minutes: 0 };
+  const used = quota.unit === 'minutes' ? period.minutes : period.requests;
+  const fraction = quota.limit ? used / quota.limit : 0;
+  let state = 'ok';
+  if (quota.limit == null) state = 'unlimited';
+  else if (fraction >= 1) state = 'exhausted';
+  else if (fraction >= WARNING_THRESHOLD) state = 'warning';
+  return {
+    quota,
+    used,
+    remaining: quota.limit == null ? null : Math.max(0, quota.limit - used),
+    fraction: Math.min(1, fraction),
+    state,
+    resetsAt: periodResetsAt(quota.period, at),
+    throttledAt: entry?.throttledAt || null
+  };
+};
+
+export const isQuotaExhausted = (engine) => engineUsage(engine)?.state === 'exhausted';
+
+// Every tracked engine's usage, keyed by engine
+export const usageSnapshot = (engines) =>
+  Object.fromEntries(engines.map(engine => [engine, engineUsage(engine)]).filter(([, usage]) => usage));
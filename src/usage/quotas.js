@@ -0,0 +1,49 @@
+// ============================================
+// ENGINE QUOTAS
+// CR AudioViz AI, LLC
+//
+// Free-tier limits per engine, in the unit and period each engine counts.
+// API_CONFIG's "Free Tier" text is written from these. Paid plans can
+// raise a limit (or lift it with 0) via VITE_ENGINE_QUOTAS, e.g.
+// "gemini=10000,roboflow=0".
+// ============================================
+
+export const FREE_TIER_QUOTAS = {
+  gemini: { limit: 1500, unit: 'requests', period: 'day' },
+  twelveLabs: { limit: 600, unit: 'minutes', period: 'lifetime' },
+  googleVideoIntelligence: { limit: 1000, unit: 'minutes', period: 'month' },
+  roboflow: { limit: 1000, unit: 'requests', period: 'month' }
+};
+
+// Share of a quota used before the app starts warning
+export const WARNING_THRESHOLD = 0.8;
+
+const overrides = Object.fromEntries(
+  String(import.meta.env?.VITE_ENGINE_QUOTAS || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([engine, limit]) => engine && limit !== undefined && Number.isFinite(Number(limit)))
+    .map(([engine, limit]) => [engine, Number(limit)])
+);
+
+// The quota in force for an engine; limit null means unlimited
+export const quotaFor = (engine) => {
+  const quota = FREE_TIER_QUOTAS[engine];
+  if (!quota) return null;
+  if (!(engine in overrides)) return quota;
+  return { ...quota, limit: overrides[engine] > 0 ? overrides[engine] : null };
+};
+
+// "1,500 requests/day", "600 minutes lifetime"
+export const describeQuota = ({ limit, unit, period }) => {
+  if (limit == null) return `Unlimited ${unit}`;
+  return `${limit.toLocaleString('en-US')} ${unit}${period === 'lifetime' ? ' lifetime' : `/${period}`}`;
+};
+
+// When the current period's count starts over, in UTC as the server counts
+// (server/usage.js); null for lifetime quotas
+export const periodResetsAt = (period, at = new Date()) => {
+  if (period === 'day') return new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate() + 1));
+  if (period === 'month') return new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1));
+  return null;
+};
@@ -0,0 +1,36 @@
+// ============================================
+// ENGINE USAGE HOOK
+// CR AudioViz AI, LLC
+//
+// The usage ledger as React state: read from the server on mount and every
+// minute (which also picks up a period rolling over), and whenever an
+// engine run refreshes it.
+// ============================================
+
+import { useState, useEffect } from 'react';
+import { subscribeUsage, usageSnapshot, refreshUsage } from './ledger.js';
+
+const REFRESH_INTERVAL = 60 * 1000;
+
+export const useEngineUsage = (engines) => {
+  const key = engines.join(',');
+  const [usage, setUsage] = useState(() => usageSnapshot(engines));
+
+  useEffect(() => {
+    const list = key.split(',');
+    const update = () => setUsage(usageSnapshot(list));
+    update();
+    refreshUsage();
+    const timer = setInterval(() => {
+      update();
+      refreshUsage();
+    }, REFRESH_INTERVAL);
+    const unsubscribe = subscribeUsage(update);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [key]);
+
+  return usage;
+};
@@ -0,0 +1,40 @@
+// ============================================
+// INDEXEDDB HELPERS
+// CR AudioViz AI, LLC
+//
+// Promise wrappers around the few IndexedDB calls the app needs. Each
+// subsystem opens its own database so their schemas version independently.
+// ============================================
+
+const connections = new Map();
+
+export const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// stores: { storeName: { keyPath, indexes: [name] } }
+export const openDatabase = (name, stores, version = 1) => {
+  if (!connections.has(name)) {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [storeName, { keyPath = 'id', indexes = [] }] of Object.entries(stores)) {
+        const store = db.objectStoreNames.contains(storeName)
+          ? request.transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, { keyPath });
+        for (const index of indexes) {
+          if (!store.indexNames.contains(index)) store.createIndex(index, index);
+        }
+      }
+    };
+    connections.set(name, idbRequest(request));
+  }
+  return connections.get(name);
+};
+
+// Runs fn(store) in a transaction and resolves with its request's result
+export const withStore = async (db, storeName, mode, fn) => {
+  const store = db.transaction(storeName, mode).objectStore(storeName);
+  return idbRequest(fn(store));
+};
@@ -0,0 +1,22 @@
+// ============================================
+// SUPABASE CLIENT
+// CR AudioViz AI, LLC
+//
+// Browser client using the public anon key. Returns null when Supabase is
+// not configured, so callers can fall back to local storage.
+// ============================================
+
+import { createClient } from '@supabase/supabase-js';
+
+const env = import.meta.env || {};
+
+let client;
+
+export const getSupabase = () => {
+  if (client === undefined) {
+    client = env.VITE_SUPABASE_URL && env.VITE_SUPABASE_ANON_KEY
+      ? createClient(env.VITE_SUPABASE_URL, env.VITE_SUPABASE_ANON_KEY)
+      : null;
+  }
+  return client;
+};
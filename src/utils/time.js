@@ -0,0 +1,40 @@
+// ============================================
+// TIME HELPERS
+// CR AudioViz AI, LLC
+//
+// Conversions between seconds and the m:ss / h:mm:ss strings shown in results.
+// ============================================
+
+// Seconds -> "m:ss" (or "h:mm:ss" past an hour)
+export const formatTimestamp = (seconds) => {
+  if (seconds == null || Number.isNaN(seconds)) return '--:--';
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const ss = secs.toString().padStart(2, '0');
+  if (hours > 0) return `${hours}:${mins.toString().padStart(2, '0')}:${ss}`;
+  return `${mins}:${ss}`;
+};
+
+// "1:23", "01:02:03", "83s", "1.5" -> seconds. Returns null if unparseable.
+export const parseTimestamp = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+  const text = String(value).trim().replace(/s$/i, '');
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+  const match = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?(\.\d+)?$/);
+  if (!match) return null;
+  const [, a, b, c, frac] = match;
+  const base = c != null
+    ? Number(a) * 3600 + Number(b) * 60 + Number(c)
+    : Number(a) * 60 + Number(b);
+  return base + (frac ? parseFloat(frac) : 0);
+};
+
+// Google protobuf Duration, either "12.5s" or { seconds, nanos } -> seconds
+export const parseDuration = (duration) => {
+  if (duration == null) return 0;
+  if (typeof duration === 'string') return parseFloat(duration) || 0;
+  return Number(duration.seconds || 0) + Number(duration.nanos || 0) / 1e9;
+};
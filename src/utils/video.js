@@ -0,0 +1,19 @@
+// ============================================
+// VIDEO FILE CHECKS
+// CR AudioViz AI, LLC
+//
+// Upload checks shared by the single, batch and comparison flows. A file
+// is accepted if any engine can take it; routing then picks one that can
+// (see engines/limits.js).
+// ============================================
+
+import { LARGEST_VIDEO, describeSize } from '../engines/limits.js';
+
+export const MAX_VIDEO_SIZE = LARGEST_VIDEO;
+
+// Returns why a file can't be analyzed, or null
+export const videoFileProblem = (file) => {
+  if (!file.type.startsWith('video/')) return 'not a video file (MP4, MOV, AVI, WebM)';
+  if (file.size > MAX_VIDEO_SIZE) return `over the ${describeSize(MAX_VIDEO_SIZE)} limit`;
+  return null;
+};
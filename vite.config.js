@@ -1,11 +1,22 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { fileURLToPath } from 'node:url';
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // components/brand is shared with the Next.js apps
+    alias: {
+      'next/link': fileURLToPath(new URL('./src/shims/NextLink.jsx', import.meta.url))
+    }
+  },
   server: {
     port: 3000,
-    host: true
+    host: true,
+    // Engine calls go through the local API server (npm run server)
+    proxy: {
+      '/api': `http://localhost:${process.env.API_PORT || 3001}`
+    }
   },
   build: {
     outDir: 'dist',